@@ -2,29 +2,63 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { guardAnswer } from "./utils/citationsGuard.js";
+import { enforceAnswerCitations } from "../src/guards/citationGuard.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+function truncate(str, max = 1200) {
+  if (!str) return "";
+  const s = String(str).trim();
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+/**
+ * LEGAL_SOURCES as text blocks for the prompt, each under its [S#] marker.
+ */
+export function formatContextLaws(sources, { maxChunkChars = 900 } = {}) {
+  return sources
+    .map((s) => {
+      const header = [
+        s.law ? `LAW: ${s.law}` : null,
+        s.section ? `SECTION: ${s.section}` : null,
+        s.absatz ? `ABSATZ: ${s.absatz}` : null,
+        s.title ? `TITLE: ${s.title}` : null,
+        s.source ? `SOURCE: ${s.source}` : null,
+        s.context ? `CONTEXT: ${s.context}` : null,
+        s.expandedFrom ? `CONTEXT_OF: ${s.expandedFrom}` : null,
+      ]
+        .filter(Boolean)
+        .join(" | ");
+      return `[${s.id}] ${header}\nTEXT:\n${truncate(s.text, maxChunkChars)}`;
+    })
+    .join("\n\n---\n\n");
+}
+
 /**
  * @param {object} deps
  * @param {function} deps.llmCall - async ({system, user, temperature}) => string
- * @param {function} deps.retrieveLaws - async (query) => string  // вернёт текст норм/выдержек
+ * @param {function} deps.retrieve - legalRetrieval.retrieve: ({ question, versionTag }) =>
+ *   { legalSourcesWithIds, normAllowlist, legalBasisMode, legalDomain }
  */
-function createLegalAnswerer({ llmCall, retrieveLaws }) {
+function createLegalAnswerer({ llmCall, retrieve }) {
   const systemPrompt = fs.readFileSync(
     path.join(__dirname, "prompts", "system_legal_ru.txt"),
     "utf8"
   );
 
-  return async function answerLegalQuestion(userQuestion) {
-    let contextLawsText = "";
-    try {
-      contextLawsText = await retrieveLaws(userQuestion);
-    } catch {
-      contextLawsText = "";
-    }
+  // versionTag: dataset version to retrieve from (as_of); versionNote: LAW_VERSION text for the prompt.
+  return async function answerLegalQuestion(
+    userQuestion,
+    { versionTag = null, versionNote = "", requestId = null } = {}
+  ) {
+    const retrieval = await retrieve({
+      question: userQuestion,
+      versionTag,
+      logContext: { requestId, endpoint: "api_legal" },
+    });
+    const { legalSourcesWithIds, normAllowlist } = retrieval;
+    const contextLawsText = formatContextLaws(legalSourcesWithIds);
 
     const userPrompt =
 `ВОПРОС ПОЛЬЗОВАТЕЛЯ:
@@ -33,8 +67,11 @@ ${userQuestion}
 CONTEXT_LAWS (выдержки из базы законов, если есть):
 ${contextLawsText || "—"}
 
+ALLOWED_NORMS (единственные нормы, на которые можно ссылаться):
+${normAllowlist.allowedNormsText || "—"}
+${versionNote ? `\nLAW_VERSION (редакция законов в CONTEXT_LAWS):\n${versionNote}\n` : ""}
 ИНСТРУКЦИЯ:
-Ответь по формату. Ссылайся на § ТОЛЬКО если они есть в CONTEXT_LAWS.`;
+Ответь по формату. Ссылайся на § ТОЛЬКО из ALLOWED_NORMS, дословно, с маркером источника [S#].`;
 
     const raw = await llmCall({
       system: systemPrompt,
@@ -42,11 +79,26 @@ ${contextLawsText || "—"}
       temperature: 0.2,
     });
 
-    const safe = guardAnswer(String(raw || ""), contextLawsText);
+    const enforced = enforceAnswerCitations(String(raw || ""), normAllowlist, {
+      requireAllowedNorm: retrieval.legalBasisMode,
+      documentRequest: retrieval.legalDomain?.documentRequest,
+    });
+    if (enforced.removedNorms.length || enforced.replacedNorms.length) {
+      console.log("CITATION_GUARD", {
+        requestId,
+        endpoint: "api_legal",
+        timestamp: new Date().toISOString(),
+        removedNorms: enforced.removedNorms,
+        replacedNorms: enforced.replacedNorms,
+        legalBasisMode: retrieval.legalBasisMode,
+        hasAllowedNormInAnswer: enforced.hasAllowedNormInAnswer,
+      });
+    }
 
     return {
-      answer: safe,
-      used_context: Boolean(contextLawsText && contextLawsText.trim().length),
+      answer: enforced.text,
+      used_context: legalSourcesWithIds.length > 0,
+      sources: legalSourcesWithIds.map((s) => ({ id: s.id, law: s.law, section: s.section, title: s.title })),
     };
   };
 }
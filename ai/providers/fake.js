@@ -0,0 +1,97 @@
+// ai/providers/fake.js (ESM)
+// Deterministic offline stand-in for tests and local development: no network, same input -> same output.
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Bag-of-words hashing embedding: texts sharing words end up close in cosine space,
+ * which is enough to exercise retrieval end-to-end without a model.
+ */
+function fakeEmbedding(text, dimensions) {
+  const vec = new Array(dimensions).fill(0);
+  const tokens = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  for (const token of tokens) {
+    const h = fnv1a(token);
+    vec[h % dimensions] += h & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+function lastUserText({ user, messages }) {
+  if (user) return String(user);
+  const lastUser = [...(messages || [])].reverse().find((m) => m.role === "user");
+  return String(lastUser?.content || "");
+}
+
+/**
+ * Builds a value that satisfies a (strict) JSON schema: first enum value,
+ * zero/false for scalars, "[fake] <prompt excerpt>" for free strings.
+ */
+function fakeValueForSchema(schema, prompt, key = "") {
+  if (!schema || typeof schema !== "object") return null;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+  switch (type) {
+    case "object": {
+      const out = {};
+      for (const [prop, propSchema] of Object.entries(schema.properties || {})) {
+        out[prop] = fakeValueForSchema(propSchema, prompt, prop);
+      }
+      return out;
+    }
+    case "array":
+      return [];
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    case "string":
+      return `[fake${key ? `:${key}` : ""}] ${prompt.slice(0, 200)}`.trim();
+    default:
+      return null;
+  }
+}
+
+export function createFakeProvider({ dimensions = 1536, streamChunkSize = 16 } = {}) {
+  async function chat(request) {
+    return `[fake] ${lastUserText(request).slice(0, 400)}`.trim();
+  }
+
+  async function chatJSON(request) {
+    return fakeValueForSchema(request.schema, lastUserText(request));
+  }
+
+  async function chatJSONStream(request) {
+    const value = fakeValueForSchema(request.schema, lastUserText(request));
+    const content = JSON.stringify(value);
+    for (let i = 0; i < content.length; i += streamChunkSize) {
+      request.onDelta?.(content.slice(i, i + streamChunkSize));
+    }
+    return value;
+  }
+
+  async function embed(input) {
+    const inputs = Array.isArray(input) ? input : [input];
+    return inputs.map((text) => fakeEmbedding(text, dimensions));
+  }
+
+  return {
+    name: "fake",
+    chatModel: "fake-chat",
+    embeddingModel: `fake-embedding-${dimensions}`,
+    ensureConfigured() {},
+    chat,
+    chatJSON,
+    chatJSONStream,
+    embed,
+  };
+}
@@ -0,0 +1,44 @@
+// ai/providers/index.js (ESM)
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+import { createFakeProvider } from "./fake.js";
+
+/**
+ * Chat / strict-JSON chat / embeddings provider configured from env.
+ *
+ * LLM_PROVIDER             openai (default, any OpenAI-compatible endpoint) | fake
+ * LLM_BASE_URL             e.g. http://localhost:11434/v1 for Ollama (default: api.openai.com)
+ * LLM_EMBEDDING_BASE_URL   separate embeddings endpoint (default: LLM_BASE_URL)
+ * LLM_API_KEY              falls back to OPENAI_API_KEY
+ * LLM_CHAT_MODEL           falls back to OPENAI_MODEL
+ * LLM_EMBEDDING_MODEL      falls back to OPENAI_EMBED_MODEL / OPENAI_EMBEDDING_MODEL
+ * LLM_EMBEDDING_DIMENSIONS must match law_chunks.embedding (1536)
+ *
+ * Every provider exposes: chat(), chatJSON(), chatJSONStream(), embed(), ensureConfigured().
+ */
+export function createLlmProvider(env = process.env) {
+  const kind = String(env.LLM_PROVIDER || "openai").toLowerCase();
+  const dimensions = env.LLM_EMBEDDING_DIMENSIONS ? Number(env.LLM_EMBEDDING_DIMENSIONS) : null;
+
+  if (kind === "fake") {
+    return createFakeProvider({ dimensions: dimensions || 1536 });
+  }
+  if (kind !== "openai" && kind !== "openai-compatible") {
+    throw new Error(`Unknown LLM_PROVIDER: ${kind}`);
+  }
+
+  const baseUrl = env.LLM_BASE_URL || "https://api.openai.com/v1";
+  return createOpenAICompatibleProvider({
+    baseUrl,
+    embeddingBaseUrl: env.LLM_EMBEDDING_BASE_URL || baseUrl,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "",
+    chatModel: env.LLM_CHAT_MODEL || env.OPENAI_MODEL || "gpt-4o-mini",
+    embeddingModel:
+      env.LLM_EMBEDDING_MODEL ||
+      env.OPENAI_EMBED_MODEL ||
+      env.OPENAI_EMBEDDING_MODEL ||
+      "text-embedding-3-small",
+    embeddingDimensions: dimensions,
+  });
+}
+
+export { createOpenAICompatibleProvider, createFakeProvider };
@@ -0,0 +1,156 @@
+// ai/providers/openaiCompatible.js (ESM)
+import { readSseData } from "../../src/streaming/sse.js";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+function providerHttpError(label, response) {
+  const error = new Error(`${label} HTTP ${response.status}`);
+  error.status = response.status;
+  // Retry-After is either seconds or an HTTP date
+  const retryAfter = response.headers?.get?.("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    error.retryAfterMs = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Math.max(0, Date.parse(retryAfter) - Date.now()) || null;
+  }
+  return error;
+}
+
+function jsonSchemaFormat(schemaName, schema) {
+  return {
+    type: "json_schema",
+    json_schema: {
+      name: schemaName,
+      strict: true,
+      schema,
+    },
+  };
+}
+
+function toMessages({ system, user, messages }) {
+  if (Array.isArray(messages) && messages.length) {
+    return system ? [{ role: "system", content: system }, ...messages] : messages;
+  }
+  return [
+    { role: "system", content: system || "" },
+    { role: "user", content: user || "" },
+  ];
+}
+
+/**
+ * Backend for the OpenAI HTTP API and anything speaking the same protocol
+ * (Ollama, vLLM, LM Studio, ...). Only api.openai.com requires an API key.
+ */
+export function createOpenAICompatibleProvider({
+  baseUrl = OPENAI_BASE_URL,
+  embeddingBaseUrl = baseUrl,
+  apiKey = "",
+  chatModel = "gpt-4o-mini",
+  embeddingModel = "text-embedding-3-small",
+  embeddingDimensions = null,
+  fetchImpl = fetch,
+} = {}) {
+  const chatUrl = `${String(baseUrl).replace(/\/+$/, "")}/chat/completions`;
+  const embeddingsUrl = `${String(embeddingBaseUrl).replace(/\/+$/, "")}/embeddings`;
+  const needsKey = /api\.openai\.com/i.test(`${baseUrl} ${embeddingBaseUrl}`);
+
+  function ensureConfigured() {
+    if (needsKey && !apiKey) throw new Error("LLM_API_KEY or OPENAI_API_KEY is required");
+  }
+
+  async function post(url, body, label) {
+    ensureConfigured();
+    const response = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) throw providerHttpError(label, response);
+    return response;
+  }
+
+  async function chat({ system, user, messages, temperature = 0.2 }) {
+    const response = await post(
+      chatUrl,
+      { model: chatModel, temperature, store: false, messages: toMessages({ system, user, messages }) },
+      "LLM"
+    );
+    const json = await response.json();
+    return json?.choices?.[0]?.message?.content || "";
+  }
+
+  async function chatJSON({ system, user, messages, schema, schemaName, temperature = 0.2 }) {
+    const response = await post(
+      chatUrl,
+      {
+        model: chatModel,
+        temperature,
+        store: false,
+        response_format: jsonSchemaFormat(schemaName, schema),
+        messages: toMessages({ system, user, messages }),
+      },
+      "LLM"
+    );
+    const json = await response.json();
+    const content = json?.choices?.[0]?.message?.content;
+    if (!content) throw new Error("LLM empty content");
+    return JSON.parse(content);
+  }
+
+  async function chatJSONStream({ system, user, messages, schema, schemaName, temperature = 0.2, onDelta }) {
+    const response = await post(
+      chatUrl,
+      {
+        model: chatModel,
+        temperature,
+        store: false,
+        stream: true,
+        response_format: jsonSchemaFormat(schemaName, schema),
+        messages: toMessages({ system, user, messages }),
+      },
+      "LLM"
+    );
+    if (!response.body) throw new Error("LLM stream has no body");
+
+    let content = "";
+    for await (const event of readSseData(response.body)) {
+      const delta = event?.choices?.[0]?.delta?.content;
+      if (!delta) continue;
+      content += delta;
+      onDelta?.(delta);
+    }
+    if (!content) throw new Error("LLM empty content");
+    return JSON.parse(content);
+  }
+
+  async function embed(input) {
+    const inputs = Array.isArray(input) ? input : [input];
+    const response = await post(
+      embeddingsUrl,
+      {
+        model: embeddingModel,
+        input: inputs.map((t) => String(t || "").slice(0, 8000)),
+        ...(embeddingDimensions ? { dimensions: embeddingDimensions } : {}),
+      },
+      "Embeddings"
+    );
+    const json = await response.json();
+    const data = [...(json?.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    return data.map((d) => d.embedding);
+  }
+
+  return {
+    name: "openai-compatible",
+    chatModel,
+    embeddingModel,
+    ensureConfigured,
+    chat,
+    chatJSON,
+    chatJSONStream,
+    embed,
+  };
+}
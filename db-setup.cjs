@@ -5,6 +5,15 @@ const fs = require("fs/promises");
 const path = require("path");
 const { Client } = require("pg");
 
+const SCHEMA_FILES = [
+  "law_chunks.sql",
+  "law_documents.sql",
+  "law_norm_references.sql",
+  "law_definitions.sql",
+  "law_catalog_labels.sql",
+  "chat_sessions.sql",
+];
+
 async function main() {
   const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
   if (!DATABASE_URL) {
@@ -27,10 +36,12 @@ async function main() {
     console.log("✅ pgvector extension enabled");
 
     // 2) применяем схему
-    const sqlPath = path.join(__dirname, "sql", "law_chunks.sql");
-    const schemaSQL = await fs.readFile(sqlPath, "utf8");
-    await client.query(schemaSQL);
-    console.log("✅ law_chunks.sql applied");
+    for (const file of SCHEMA_FILES) {
+      const sqlPath = path.join(__dirname, "sql", file);
+      const schemaSQL = await fs.readFile(sqlPath, "utf8");
+      await client.query(schemaSQL);
+      console.log(`✅ ${file} applied`);
+    }
 
     // 3) быстрый тест
     const { rows } = await client.query("SELECT to_regclass('public.law_chunks') AS tbl;");
@@ -0,0 +1,36 @@
+import "dotenv/config";
+import { Pool } from "pg";
+import { createLawVersionDiff, formatVersionDiff } from "../src/laws/versionDiff.js";
+
+// Usage: npm run laws:diff -- [fromVersion] [toVersion] [lawCode]
+// Defaults: toVersion = active version, fromVersion = the import before it.
+// LAW_DIFF_FORMAT=json prints the raw result instead of the text report.
+const DATABASE_URL = process.env.DATABASE_URL;
+const [fromArg = process.env.LAW_DIFF_FROM || "", toArg = process.env.LAW_DIFF_TO || "", lawArg = process.env.LAW_DIFF_LAW || ""] =
+  process.argv.slice(2);
+
+if (!DATABASE_URL) throw new Error("DATABASE_URL is required");
+
+const pool = new Pool({
+  connectionString: DATABASE_URL,
+  ssl: DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
+});
+
+async function main() {
+  const versionDiff = createLawVersionDiff(pool, { maxTextDiffs: Number(process.env.LAW_DIFF_MAX_TEXT_DIFFS || 1000) });
+  const result = await versionDiff.compare({ from: fromArg, to: toArg, law: lawArg });
+  if (!result) {
+    const versions = await versionDiff.resolveVersions({ from: fromArg, to: toArg });
+    throw new Error(`Cannot compare ${versions.from || "?"} -> ${versions.to || "?"}: version unknown or its chunks were pruned`);
+  }
+  console.log(process.env.LAW_DIFF_FORMAT === "json" ? JSON.stringify(result, null, 2) : formatVersionDiff(result));
+}
+
+main()
+  .catch((err) => {
+    console.error("LAW_DIFF_FAILED", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await pool.end();
+  });
@@ -0,0 +1,97 @@
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { Pool } from "pg";
+import { loadLawPacks, readGiiToc, resolveLawPacks } from "../src/ingest/giiToc.js";
+import { ingestLawDirs, reportStagedVersion, runNodeScript } from "../src/ingest/lawDirIngest.js";
+
+// Usage: node scripts/ingest-law-dirs.js [--pack <name>]... [dir...]
+// Ingests law directories into one version tag (LAW_VERSION_TAG, default today), then
+// runs check-db.cjs. Relative dirs and pack laws resolve against LAW_DIRS_BASE
+// (default: the newest kb/laws_xml/downloads/<date>/unzipped). Missing folders are
+// skipped with a warning; any failed ingest or DB check exits non-zero. Packs alone are
+// not a corpus: ingest them into a staged full harvest with LAW_INGEST_MODE=append,
+// else the run warns LAW_VERSION_PARTIAL and the version must not be promoted.
+const ROOT = process.cwd();
+const DOWNLOADS_DIR = path.join(ROOT, "kb", "laws_xml", "downloads");
+const PACKS_FILE = process.env.LAW_PACKS_FILE || path.join(ROOT, "kb", "law-packs.json");
+const LAW_VERSION_TAG = process.env.LAW_VERSION_TAG || new Date().toISOString().slice(0, 10);
+const LAW_INGEST_MODE = process.env.LAW_INGEST_MODE || "replace";
+const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
+
+function parseArgs(argv) {
+  const packs = [];
+  const dirs = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--pack") {
+      if (!argv[i + 1]) throw new Error("--pack needs a pack name");
+      packs.push(argv[++i]);
+    } else {
+      dirs.push(argv[i]);
+    }
+  }
+  return { packs, dirs };
+}
+
+async function defaultBase() {
+  const harvests = (await fs.readdir(DOWNLOADS_DIR).catch(() => [])).sort().reverse();
+  for (const dir of harvests) {
+    const unzipped = path.join(DOWNLOADS_DIR, dir, "unzipped");
+    if (await fs.stat(unzipped).catch(() => null)) return unzipped;
+  }
+  return harvests.length ? path.join(DOWNLOADS_DIR, harvests[0], "unzipped") : path.join(DOWNLOADS_DIR, "unzipped");
+}
+
+/**
+ * Law slugs of the packs; title patterns need the harvest's gii-toc.xml next to the base.
+ */
+async function packLawSlugs(names, base) {
+  const packs = await loadLawPacks(PACKS_FILE);
+  const tocPath = path.join(path.dirname(base), "gii-toc.xml");
+  if (await fs.stat(tocPath).catch(() => null)) {
+    const { laws, missing } = resolveLawPacks(packs, names, await readGiiToc(tocPath));
+    for (const m of missing) console.warn("LAW_PACK_MISSING", m);
+    return laws.map((l) => l.slug);
+  }
+  console.warn("LAW_PACK_NO_TOC", { tocPath, note: "title patterns ignored" });
+  const selected = packs.filter((p) => names.includes(p.name));
+  const unknown = names.filter((n) => !selected.some((p) => p.name === n));
+  if (unknown.length) throw new Error(`Unknown law pack: ${unknown.join(", ")}`);
+  return [...new Set(selected.flatMap((p) => p.laws))];
+}
+
+async function main() {
+  if (!DATABASE_URL) throw new Error("DATABASE_URL_WRITE or DATABASE_URL is required");
+  const { packs, dirs } = parseArgs(process.argv.slice(2));
+  const base = process.env.LAW_DIRS_BASE || (await defaultBase());
+  const slugs = packs.length ? await packLawSlugs(packs, base) : [];
+  const targets = [...slugs, ...dirs].map((d) => path.resolve(base, d));
+  if (!targets.length) throw new Error("Usage: node scripts/ingest-law-dirs.js [--pack <name>]... [dir...]");
+
+  console.log(`Law dirs ingest start. Version=${LAW_VERSION_TAG} Base=${base} Dirs=${targets.length}`);
+  const { ingested, skipped } = await ingestLawDirs(targets, {
+    versionTag: LAW_VERSION_TAG,
+    mode: LAW_INGEST_MODE,
+    root: ROOT,
+  });
+  if (!ingested.length) throw new Error("No law directories ingested");
+
+  console.log("\n==> Final DB check");
+  await runNodeScript(path.join(ROOT, "check-db.cjs"), { cwd: ROOT });
+
+  console.log(`\nIngested ${ingested.length} dirs into ${LAW_VERSION_TAG}, skipped ${skipped.length}`);
+  const pool = new Pool({
+    connectionString: DATABASE_URL,
+    ssl: DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
+  });
+  try {
+    await reportStagedVersion(pool, LAW_VERSION_TAG);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("LAW_DIRS_INGEST_FAILED", err?.message || err);
+  process.exit(1);
+});
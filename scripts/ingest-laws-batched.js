@@ -83,6 +83,7 @@ async function main() {
     const lawKey = path.basename(dir);
     if (done.has(lawKey)) continue;
 
+    // append skips chunks already stored, so re-running an interrupted directory resumes it.
     const mode = done.size === 0 ? "replace" : "append";
     console.log(`\n=== [${done.size + 1}/${lawDirs.length}] ${lawKey} (${mode}) ===`);
 
@@ -107,6 +108,10 @@ async function main() {
 
   console.log(`\nBatched ingest completed. Processed this run: ${processedThisRun}`);
   console.log(`Total completed: ${done.size}/${lawDirs.length}`);
+  if (done.size === lawDirs.length) {
+    // Each batch only stages rows; the version goes live through verify + promote.
+    console.log(`Version ${VERSION_TAG} is staged. Next: npm run laws:verify -- ${VERSION_TAG} && npm run laws:promote -- ${VERSION_TAG}`);
+  }
 }
 
 main().catch((err) => {
@@ -2,25 +2,64 @@ import "dotenv/config";
 import fs from "fs/promises";
 import path from "path";
 import { Pool } from "pg";
+import { createLlmProvider } from "../ai/providers/index.js";
+import { chunkKey, insertChunks, loadStoredChunkKeys } from "../src/ingest/chunkWriter.js";
+import { createBatchEmbedder } from "../src/ingest/embeddingPipeline.js";
+import { buildLawChunks, documentMetadata, embeddingText, readGiiFile } from "../src/ingest/giiNorms.js";
+import {
+  chunkContentHash,
+  collectNormFingerprints,
+  createEmbeddingReuse,
+  diffNormFingerprints,
+  formatChangeReport,
+  resolvePreviousVersionTag,
+} from "../src/ingest/incrementalIngest.js";
+import { buildLawDocumentRecord, createLawDocuments } from "../src/laws/lawDocuments.js";
+import { versionValidFrom } from "../src/laws/lawVersions.js";
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
 const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
 const LAW_XML_DIR = process.env.LAW_XML_DIR || path.join(process.cwd(), "kb", "laws_xml");
 const CHUNK_MAX_CHARS = Number(process.env.LAW_CHUNK_MAX_CHARS || 1800);
+// Embedding requests: up to LAW_EMBED_BATCH_SIZE texts / LAW_EMBED_BATCH_TOKENS tokens each,
+// LAW_EMBED_CONCURRENCY in flight, 429/5xx retried LAW_EMBED_RETRIES times (honouring Retry-After).
 const EMB_BATCH_SIZE = Number(process.env.LAW_EMBED_BATCH_SIZE || 32);
+const EMB_BATCH_TOKENS = Number(process.env.LAW_EMBED_BATCH_TOKENS || 8000);
+const EMB_CONCURRENCY = Number(process.env.LAW_EMBED_CONCURRENCY || 4);
+const EMB_RETRIES = Number(process.env.LAW_EMBED_RETRIES || 6);
+// Chunks are embedded and stored in batches of this size; each stored batch is a checkpoint.
+const INSERT_BATCH_SIZE = Number(process.env.LAW_INSERT_BATCH_SIZE || 256);
 const LAW_VERSION_TAG =
   process.env.LAW_VERSION_TAG || new Date().toISOString().slice(0, 10);
 const LAW_SOURCE_URL = process.env.LAW_SOURCE_URL || "";
-const LAW_INGEST_MODE = process.env.LAW_INGEST_MODE || "replace"; // replace | append
-
-if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is required");
+// replace: start the version from scratch. append: add files to it. resume: continue an
+// interrupted full import. append and resume skip chunks the version already stores.
+const LAW_INGEST_MODE = process.env.LAW_INGEST_MODE || "replace"; // replace | append | resume
+// First day the texts apply, for as_of retrieval (default: the version tag if it is a date).
+const LAW_VALID_FROM = versionValidFrom(LAW_VERSION_TAG, process.env.LAW_VALID_FROM || "");
+// Embeddings of unchanged chunks are copied from this version (default: the active one).
+// Set LAW_REUSE_EMBEDDINGS=0 after switching the embedding model.
+const LAW_PREVIOUS_VERSION_TAG = process.env.LAW_PREVIOUS_VERSION_TAG || "";
+const LAW_REUSE_EMBEDDINGS = process.env.LAW_REUSE_EMBEDDINGS !== "0";
+const LAW_CHANGE_REPORT_PATH = process.env.LAW_CHANGE_REPORT_PATH || "";
+
+if (!["replace", "append", "resume"].includes(LAW_INGEST_MODE)) {
+  throw new Error(`Unknown LAW_INGEST_MODE: ${LAW_INGEST_MODE} (replace | append | resume)`);
+}
+const llm = createLlmProvider();
+llm.ensureConfigured();
 if (!DATABASE_URL) throw new Error("DATABASE_URL_WRITE or DATABASE_URL is required");
 
 const pool = new Pool({
   connectionString: DATABASE_URL,
   ssl: DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
 });
+const lawDocuments = createLawDocuments(pool);
+const embedder = createBatchEmbedder(llm, {
+  concurrency: EMB_CONCURRENCY,
+  maxBatchItems: EMB_BATCH_SIZE,
+  maxBatchTokens: EMB_BATCH_TOKENS,
+  retries: EMB_RETRIES,
+});
 
 async function markVersionFailed(versionTag) {
   const c = await pool.connect();
@@ -34,85 +73,6 @@ async function markVersionFailed(versionTag) {
   }
 }
 
-function textBetween(xml, tag) {
-  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, "i");
-  const m = xml.match(re);
-  return m ? stripTags(m[1]).trim() : "";
-}
-
-function allMatches(xml, tag) {
-  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, "gi");
-  const out = [];
-  let m;
-  while ((m = re.exec(xml))) out.push(stripTags(m[1]).trim());
-  return out.filter(Boolean);
-}
-
-function stripTags(s = "") {
-  return s
-    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/&nbsp;/gi, " ")
-    .replace(/&amp;/gi, "&")
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&lt;/gi, "<")
-    .replace(/&gt;/gi, ">")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function splitText(text, maxChars) {
-  const chunks = [];
-  let rest = text.trim();
-  while (rest.length > maxChars) {
-    let idx = rest.lastIndexOf(" ", maxChars);
-    if (idx < Math.floor(maxChars * 0.6)) idx = maxChars;
-    chunks.push(rest.slice(0, idx).trim());
-    rest = rest.slice(idx).trim();
-  }
-  if (rest) chunks.push(rest);
-  return chunks;
-}
-
-function parseNormBlocks(xml, sourcePath) {
-  const normBlocks = xml.match(/<norm\b[\s\S]*?<\/norm>/gi) || [];
-  const rows = [];
-
-  for (const block of normBlocks) {
-    const law =
-      textBetween(block, "jurabk") ||
-      textBetween(block, "amtabk") ||
-      path.basename(sourcePath, ".xml");
-    const section =
-      textBetween(block, "enbez") ||
-      textBetween(block, "gliederungseinheit") ||
-      textBetween(block, "titel");
-    const title = textBetween(block, "titel") || textBetween(block, "langue");
-
-    const textParts = [
-      ...allMatches(block, "text"),
-      ...allMatches(block, "Content"),
-      ...allMatches(block, "P"),
-      ...allMatches(block, "p"),
-    ];
-    const mergedText = stripTags(textParts.join("\n")).trim();
-    if (!mergedText) continue;
-
-    for (const piece of splitText(mergedText, CHUNK_MAX_CHARS)) {
-      rows.push({
-        law: law || "UNKNOWN",
-        section: section || null,
-        title: title || null,
-        text: piece,
-        source: sourcePath,
-      });
-    }
-  }
-
-  return rows;
-}
-
 async function walk(dir) {
   const out = [];
   const entries = await fs.readdir(dir, { withFileTypes: true });
@@ -127,35 +87,23 @@ async function walk(dir) {
   return out;
 }
 
-async function embedBatch(inputs) {
-  const res = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: OPENAI_EMBEDDING_MODEL,
-      input: inputs,
-    }),
-  });
-  if (!res.ok) throw new Error(`Embeddings HTTP ${res.status}`);
-  const json = await res.json();
-  return json.data.map((d) => d.embedding);
-}
-
-async function insertRows(client, rows, embeddings) {
-  for (let i = 0; i < rows.length; i++) {
-    const r = rows[i];
-    const vector = `[${embeddings[i].join(",")}]`;
-    await client.query(
-      `
-        INSERT INTO law_chunks (version_tag, law, section, title, text, source, embedding)
-        VALUES ($1, $2, $3, $4, $5, $6, $7::vector)
-      `,
-      [LAW_VERSION_TAG, r.law, r.section, r.title, r.text, r.source, vector]
-    );
+/**
+ * Vector literals for rows: reused by content hash where possible, the rest
+ * embedded in parallel batches (identical chunks are embedded once).
+ */
+async function vectorsForRows(rows, reuse, stats) {
+  const vectors = LAW_REUSE_EMBEDDINGS ? await reuse.lookup(rows.map((r) => r.contentHash)) : new Map();
+  stats.reused += rows.filter((r) => vectors.has(r.contentHash)).length;
+
+  const missing = new Map();
+  for (const r of rows) {
+    if (!vectors.has(r.contentHash) && !missing.has(r.contentHash)) missing.set(r.contentHash, r);
   }
+  const toEmbed = [...missing.values()];
+  const embeddings = await embedder.embed(toEmbed.map(embeddingText));
+  toEmbed.forEach((r, i) => vectors.set(r.contentHash, `[${embeddings[i].join(",")}]`));
+  stats.embedded += toEmbed.length;
+  return rows.map((r) => vectors.get(r.contentHash));
 }
 
 async function main() {
@@ -165,54 +113,116 @@ async function main() {
 
   const client = await pool.connect();
   try {
-    await client.query("BEGIN");
+    // Staged import: the version stays 'loading' (not served) until verified and promoted.
+    const { rows: activeRows } = await client.query(
+      "SELECT 1 FROM law_dataset_versions WHERE version_tag = $1 AND status = 'active'",
+      [LAW_VERSION_TAG]
+    );
+    if (activeRows.length) {
+      throw new Error(`Law version ${LAW_VERSION_TAG} is active; ingest into a new LAW_VERSION_TAG and promote it`);
+    }
     await client.query(
       `
-      INSERT INTO law_dataset_versions (version_tag, source_url, status)
-      VALUES ($1, $2, 'loading')
+      INSERT INTO law_dataset_versions (version_tag, source_url, status, valid_from)
+      VALUES ($1, $2, 'loading', $3)
       ON CONFLICT (version_tag)
-      DO UPDATE SET source_url = EXCLUDED.source_url, status = 'loading', imported_at = NOW()
+      DO UPDATE SET source_url = EXCLUDED.source_url, status = 'loading', valid_from = EXCLUDED.valid_from, imported_at = NOW()
       `,
-      [LAW_VERSION_TAG, LAW_SOURCE_URL || null]
+      [LAW_VERSION_TAG, LAW_SOURCE_URL || null, LAW_VALID_FROM]
     );
 
     if (LAW_INGEST_MODE === "replace") {
       await client.query("DELETE FROM law_chunks WHERE version_tag = $1", [LAW_VERSION_TAG]);
+      await lawDocuments.deleteVersion(LAW_VERSION_TAG, { client });
     }
 
+    const reuse = createEmbeddingReuse(client, {
+      previousVersionTag: await resolvePreviousVersionTag(client, LAW_VERSION_TAG, LAW_PREVIOUS_VERSION_TAG),
+    });
+    console.log("LAW_INGEST_REUSE", {
+      previousVersionTag: reuse.previousVersionTag,
+      enabled: LAW_REUSE_EMBEDDINGS && Boolean(reuse.previousVersionTag),
+    });
+    const stats = { embedded: 0, reused: 0 };
+    const currentFingerprints = new Map();
+    // append/resume: chunks stored by an earlier (interrupted) run are not embedded again.
+    const storedKeys =
+      LAW_INGEST_MODE === "replace" ? new Set() : await loadStoredChunkKeys(client, LAW_VERSION_TAG, xmlFiles);
+    if (storedKeys.size) console.log(`Resuming: ${storedKeys.size} chunks already stored for ${LAW_VERSION_TAG}`);
+
     let totalChunks = 0;
+    let skippedChunks = 0;
+    let filesWithWarnings = 0;
+    const pending = [];
+    const flush = async () => {
+      const batch = pending.splice(0, INSERT_BATCH_SIZE);
+      if (!batch.length) return;
+      const vectors = await vectorsForRows(batch, reuse, stats);
+      await insertChunks(client, LAW_VERSION_TAG, batch, vectors, { batchSize: INSERT_BATCH_SIZE });
+      totalChunks += batch.length;
+      const { requests, retries } = embedder.stats;
+      console.log(`Stored ${totalChunks} chunks (embedding requests: ${requests}, retries: ${retries})`);
+    };
     for (const filePath of xmlFiles) {
-      const xml = await fs.readFile(filePath, "utf8");
-      const rows = parseNormBlocks(xml, filePath);
-      if (!rows.length) continue;
-
-      for (let i = 0; i < rows.length; i += EMB_BATCH_SIZE) {
-        const batch = rows.slice(i, i + EMB_BATCH_SIZE);
-        const embeddings = await embedBatch(batch.map((r) => r.text));
-        await insertRows(client, batch, embeddings);
+      const parsed = await readGiiFile(filePath);
+      const { rows, warnings: chunkWarnings } = buildLawChunks(parsed.norms, filePath, { maxChars: CHUNK_MAX_CHARS });
+      const warnings = [...parsed.warnings, ...chunkWarnings];
+      if (warnings.length) {
+        filesWithWarnings += 1;
+        console.warn("LAW_PARSE_WARNINGS", {
+          file: path.relative(LAW_XML_DIR, filePath),
+          count: warnings.length,
+          warnings: warnings.slice(0, 20).map((w) => (w.norm === null ? w.message : `norm #${w.norm}: ${w.message}`)),
+        });
+      }
+      if (!rows.length) {
+        console.warn("LAW_PARSE_EMPTY", { file: path.relative(LAW_XML_DIR, filePath), norms: parsed.norms.length });
+        continue;
+      }
+
+      for (const r of rows) r.contentHash = chunkContentHash(r);
+      collectNormFingerprints(rows, currentFingerprints);
+      const metadata = documentMetadata(parsed.norms, parsed.document);
+      const lawCode = rows[0].law || metadata.jurabk;
+      if (lawCode) {
+        const record = buildLawDocumentRecord(metadata, { lawCode, source: filePath });
+        await lawDocuments.upsert(record, { versionTag: LAW_VERSION_TAG, client });
+        if (record.pendingAmendment) {
+          console.warn("LAW_PENDING_AMENDMENT", { law: lawCode, hinweis: record.hinweisText });
+        }
       }
 
-      totalChunks += rows.length;
-      console.log(`Ingested ${rows.length} chunks from ${path.basename(filePath)}`);
+      const fresh = storedKeys.size ? rows.filter((r) => !storedKeys.has(chunkKey(r))) : rows;
+      skippedChunks += rows.length - fresh.length;
+      pending.push(...fresh);
+      const note = fresh.length < rows.length ? ` (${rows.length - fresh.length} already stored)` : "";
+      console.log(`Parsed ${rows.length} chunks from ${path.basename(filePath)}${note}`);
+      // The version stays 'loading' until verified, so partially stored files are never served.
+      while (pending.length >= INSERT_BATCH_SIZE) await flush();
     }
+    while (pending.length) await flush();
 
-    await client.query("UPDATE law_dataset_versions SET status = 'archived' WHERE status = 'active' AND version_tag <> $1", [LAW_VERSION_TAG]);
-    await client.query("UPDATE law_dataset_versions SET status = 'active' WHERE version_tag = $1", [LAW_VERSION_TAG]);
-    await client.query(
-      `
-      INSERT INTO law_dataset_meta (key, value)
-      VALUES ('active_version_tag', $1)
-      ON CONFLICT (key)
-      DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
-      `,
-      [LAW_VERSION_TAG]
+    const changes = diffNormFingerprints(await reuse.previousFingerprints(), currentFingerprints, {
+      partial: LAW_INGEST_MODE === "append",
+    });
+    console.log(
+      `Done. Total chunks inserted: ${totalChunks}, already stored: ${skippedChunks}. Files with parse warnings: ${filesWithWarnings}`
+    );
+    console.log(
+      `Embeddings: ${stats.embedded} computed in ${embedder.stats.requests} requests (${embedder.stats.retries} retries), ${stats.reused} reused from ${reuse.previousVersionTag || "(none)"}`
+    );
+    console.log(`Changes since ${reuse.previousVersionTag || "(no previous version)"}:\n${formatChangeReport(changes)}`);
+    if (LAW_CHANGE_REPORT_PATH) {
+      await fs.writeFile(
+        LAW_CHANGE_REPORT_PATH,
+        JSON.stringify({ versionTag: LAW_VERSION_TAG, previousVersionTag: reuse.previousVersionTag, ...stats, ...changes }, null, 2)
+      );
+      console.log(`Change report written to ${LAW_CHANGE_REPORT_PATH}`);
+    }
+    console.log(
+      `Version ${LAW_VERSION_TAG} is staged ('loading'). Next: npm run laws:verify -- ${LAW_VERSION_TAG} && npm run laws:promote -- ${LAW_VERSION_TAG}`
     );
-    await client.query("COMMIT");
-    console.log(`Done. Total chunks inserted: ${totalChunks}`);
   } catch (err) {
-    try {
-      await client.query("ROLLBACK");
-    } catch {}
     try {
       await markVersionFailed(LAW_VERSION_TAG);
     } catch {}
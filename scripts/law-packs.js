@@ -0,0 +1,116 @@
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { Pool } from "pg";
+import { GII_TOC_URL, ensureLawXml, loadLawPacks, readGiiToc, resolveLawPacks } from "../src/ingest/giiToc.js";
+import { ingestLawDirs, reportStagedVersion, runNodeScript } from "../src/ingest/lawDirIngest.js";
+
+// Usage:
+//   npm run laws:packs -- list                       packs from kb/law-packs.json
+//   npm run laws:packs -- show <pack|law...>         laws a selection resolves to
+//   npm run laws:packs -- fetch <pack|law...>        unpack/download their XML only
+//   npm run laws:packs -- ingest <pack|law...>       fetch, then ingest into LAW_VERSION_TAG
+//   --refresh (fetch/ingest)                         unpack/download again even if cached
+// A selection is pack names ("all" for every pack) and/or single law slugs from
+// gii-toc.xml ("bgb", "stvo_2013"). Laws come from LAW_PACK_XML_DIR/<harvest> if already
+// unpacked, else from the harvest zips next to the toc, else gesetze-im-internet.de
+// (cached under LAW_PACK_XML_DIR/<LAW_VERSION_TAG>, so a new version downloads afresh).
+// Packs alone are not a corpus: ingest them with LAW_INGEST_MODE=append into a staged full
+// harvest (LAW_VERSION_TAG=<its tag>), else the run ends with a LAW_VERSION_PARTIAL warning.
+const ROOT = process.cwd();
+const PACKS_FILE = process.env.LAW_PACKS_FILE || path.join(ROOT, "kb", "law-packs.json");
+const DOWNLOADS_DIR = path.join(ROOT, "kb", "laws_xml", "downloads");
+const PACK_XML_DIR = process.env.LAW_PACK_XML_DIR || path.join(ROOT, "kb", "laws_xml", "packs");
+const LAW_VERSION_TAG = process.env.LAW_VERSION_TAG || new Date().toISOString().slice(0, 10);
+const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
+const args = process.argv.slice(2);
+const REFRESH = args.includes("--refresh");
+const [command = "list", ...selection] = args.filter((arg) => arg !== "--refresh");
+
+/**
+ * LAW_GII_TOC (path or URL), else the newest harvest's gii-toc.xml, else the live one.
+ */
+async function locateToc() {
+  if (process.env.LAW_GII_TOC) return process.env.LAW_GII_TOC;
+  const harvests = (await fs.readdir(DOWNLOADS_DIR).catch(() => [])).sort().reverse();
+  for (const dir of harvests) {
+    const candidate = path.join(DOWNLOADS_DIR, dir, "gii-toc.xml");
+    if (await fs.stat(candidate).catch(() => null)) return candidate;
+  }
+  return GII_TOC_URL;
+}
+
+async function resolveSelection(packs) {
+  const tocSource = await locateToc();
+  const toc = await readGiiToc(tocSource);
+  console.log(`gii-toc: ${tocSource} (${toc.length} laws)`);
+
+  // Names that are not packs select single laws by slug.
+  const packNames = new Set(packs.map((p) => p.name));
+  const singles = selection.filter((name) => name !== "all" && !packNames.has(name));
+  const adHoc = singles.length
+    ? [{ name: "(single laws)", priority: -1, laws: singles.map((s) => s.toLowerCase()), titlePatterns: [] }]
+    : [];
+  const names = selection.filter((name) => name === "all" || packNames.has(name));
+  const { laws, missing } = resolveLawPacks([...adHoc, ...packs], [...adHoc.map((p) => p.name), ...names], toc);
+  for (const m of missing) console.warn("LAW_PACK_MISSING", m);
+
+  const harvestDir = /^https?:\/\//i.test(tocSource) ? "" : path.dirname(tocSource);
+  return { laws, harvestDir };
+}
+
+async function fetchLaws(laws, harvestDir) {
+  // One cache folder per harvest (or per version for live downloads): a folder
+  // unpacked from an older harvest must not be ingested into a new version.
+  const targetDir = path.join(PACK_XML_DIR, harvestDir ? path.basename(harvestDir) : LAW_VERSION_TAG);
+  const dirs = [];
+  for (const item of laws) {
+    const { dir, origin } = await ensureLawXml(item, { targetDir, harvestDir, refresh: REFRESH });
+    console.log(`${item.slug.padEnd(16)} ${origin.padEnd(8)} ${dir}`);
+    dirs.push(dir);
+  }
+  return dirs;
+}
+
+async function main() {
+  const packs = await loadLawPacks(PACKS_FILE);
+  if (command === "list") {
+    for (const p of [...packs].sort((a, b) => a.priority - b.priority)) {
+      console.log(`${p.name.padEnd(10)} ${String(p.laws.length).padStart(3)} laws, ${p.titlePatterns.length} patterns  ${p.description}`);
+    }
+    return;
+  }
+  if (!["show", "fetch", "ingest"].includes(command)) {
+    throw new Error(`Unknown command: ${command} (list | show | fetch | ingest)`);
+  }
+  if (!selection.length) throw new Error(`Usage: npm run laws:packs -- ${command} <pack|law...>`);
+
+  const { laws, harvestDir } = await resolveSelection(packs);
+  if (command === "show") {
+    for (const l of laws) console.log(`${l.slug.padEnd(16)} [${l.packs.join(", ")}] ${l.title}`);
+    console.log(`${laws.length} laws`);
+    return;
+  }
+
+  if (command === "ingest" && !DATABASE_URL) throw new Error("DATABASE_URL_WRITE or DATABASE_URL is required");
+  const dirs = await fetchLaws(laws, harvestDir);
+  if (command === "fetch") return;
+
+  await ingestLawDirs(dirs, { versionTag: LAW_VERSION_TAG, mode: process.env.LAW_INGEST_MODE || "replace", root: ROOT });
+  await runNodeScript(path.join(ROOT, "check-db.cjs"), { cwd: ROOT });
+  console.log(`\nPacks staged as ${LAW_VERSION_TAG}.`);
+  const pool = new Pool({
+    connectionString: DATABASE_URL,
+    ssl: DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
+  });
+  try {
+    await reportStagedVersion(pool, LAW_VERSION_TAG);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("LAW_PACKS_FAILED", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+import "dotenv/config";
+import { Pool } from "pg";
+import { createLlmProvider } from "../ai/providers/index.js";
+import { createLawLabeler } from "../src/laws/catalogLabels.js";
+import { rebuildLawCatalog } from "../src/laws/lawCatalog.js";
+import { rebuildLegalDefinitions } from "../src/laws/legalDefinitions.js";
+import { pruneLawVersions, retentionPolicyFromEnv } from "../src/laws/lawVersions.js";
+import { rebuildNormReferences } from "../src/laws/normReferences.js";
+import { createLawVersionDiff } from "../src/laws/versionDiff.js";
+import {
+  promoteLawVersion,
+  rollbackLawVersion,
+  verifyLawVersion,
+  verifyPolicyFromEnv,
+} from "../src/laws/versionLifecycle.js";
+
+// Usage:
+//   npm run laws:versions                 list versions and their status
+//   npm run laws:verify -- <tag>          check a staged version and build its catalog, references and definitions
+//   npm run laws:promote -- <tag> [--force]  make it active, then prune old versions
+//   npm run laws:rollback -- [tag]        default: the version active before the last promote
+//   npm run laws:catalog -- <tag>         rebuild a version's catalog (e.g. the active one) in place
+//   npm run laws:references -- <tag>      rebuild a version's norm cross-references in place
+//   npm run laws:definitions -- <tag>     rebuild a version's legal definitions in place
+// Verify thresholds: LAW_VERIFY_SAMPLE_SIZE, LAW_VERIFY_MIN_HIT_RATE, LAW_VERIFY_MAX_SHRINK.
+// LAW_CATALOG_LABELS=0 skips generating Russian catalog titles and keywords.
+// Retention after promote: LAW_RETAIN_VERSIONS (default 12), LAW_RETAIN_MONTHS (default 0).
+const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
+const [command = "list", ...args] = process.argv.slice(2);
+const flags = new Set(args.filter((a) => a.startsWith("--")));
+const [tagArg = ""] = args.filter((a) => !a.startsWith("--"));
+
+if (!DATABASE_URL) throw new Error("DATABASE_URL_WRITE or DATABASE_URL is required");
+
+const pool = new Pool({
+  connectionString: DATABASE_URL,
+  ssl: DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
+});
+
+function requireTag() {
+  if (!tagArg) throw new Error(`Usage: npm run laws:${command} -- <version_tag>`);
+  return tagArg;
+}
+
+async function list() {
+  const versions = await createLawVersionDiff(pool).listVersions();
+  for (const v of versions) {
+    console.log(`${v.versionTag.padEnd(14)} ${v.status.padEnd(9)} valid_from=${v.validFrom || "-"}`);
+  }
+  if (!versions.length) console.log("No law versions.");
+}
+
+function catalogOptions() {
+  const llm = createLlmProvider();
+  llm.ensureConfigured();
+  const embed = async (text) => {
+    const [embedding] = await llm.embed(String(text || ""));
+    return embedding;
+  };
+  const labels =
+    process.env.LAW_CATALOG_LABELS === "0" ? {} : { labelLaws: createLawLabeler(llm), labelModel: llm.chatModel };
+  return { embed, ...labels };
+}
+
+async function verify(client) {
+  const { embed, ...labels } = catalogOptions();
+  const report = await verifyLawVersion(client, requireTag(), { embed, ...labels, ...verifyPolicyFromEnv() });
+  for (const c of report.checks) {
+    console.log(`${c.ok ? "OK  " : c.blocking ? "FAIL" : "WARN"} ${c.name} ${JSON.stringify(c.detail)}`);
+  }
+  if (!report.ok) throw new Error(`Law version ${report.versionTag} failed verification`);
+  console.log(`Version ${report.versionTag} verified. Next: npm run laws:promote -- ${report.versionTag}`);
+}
+
+async function main() {
+  if (command === "list") return list();
+  const client = await pool.connect();
+  try {
+    if (command === "verify") return await verify(client);
+    if (command === "promote") {
+      const r = await promoteLawVersion(client, requireTag(), { force: flags.has("--force") });
+      console.log(`Active law version: ${r.active} (previous: ${r.previous || "none"})`);
+      const pruned = await pruneLawVersions(client, retentionPolicyFromEnv());
+      console.log(`Old versions pruned: ${pruned.length ? pruned.join(", ") : "none"}`);
+      return;
+    }
+    if (command === "catalog") {
+      const laws = await rebuildLawCatalog(client, { versionTag: requireTag(), ...catalogOptions() });
+      console.log(`law_catalog rebuilt for ${tagArg}: ${laws} laws`);
+      return;
+    }
+    if (command === "references") {
+      const r = await rebuildNormReferences(client, { versionTag: requireTag() });
+      console.log(`law_norm_references rebuilt for ${tagArg}: ${r.references} references from ${r.norms} norms`);
+      return;
+    }
+    if (command === "definitions") {
+      const r = await rebuildLegalDefinitions(client, { versionTag: requireTag() });
+      console.log(`law_definitions rebuilt for ${tagArg}: ${r.definitions} definitions from ${r.files} files`);
+      return;
+    }
+    if (command === "rollback") {
+      const r = await rollbackLawVersion(client, { to: tagArg });
+      console.log(`Rolled back to ${r.active} (was: ${r.previous || "none"})`);
+      return;
+    }
+    throw new Error(`Unknown command: ${command} (list | verify | promote | rollback | catalog | references | definitions)`);
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("LAW_VERSIONS_FAILED", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await pool.end();
+  });
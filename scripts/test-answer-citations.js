@@ -0,0 +1,93 @@
+import { buildAnswerCitations } from "../src/citations/answerCitations.js";
+import { lawSectionUrl, lawSourceRef } from "../src/shared/lawSources.js";
+import { buildNormAllowlist } from "../src/guards/citationGuard.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function runCase(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const sources = [
+  {
+    id: "S1",
+    law: "BGB",
+    section: "§ 622",
+    title: "Kündigungsfristen bei Arbeitsverhältnissen",
+    text: "(1) Das Arbeitsverhältnis eines Arbeiters oder eines Angestellten kann mit einer Frist von vier Wochen gekündigt werden.",
+    source: "/data/laws/unzipped/bgb/BJNR001950896.xml",
+  },
+  {
+    id: "S2",
+    law: "BUrlG",
+    section: "§ 7",
+    title: "Zeitpunkt, Übertragbarkeit und Abgeltung des Urlaubs",
+    text: "(4) Kann der Urlaub wegen Beendigung des Arbeitsverhältnisses ganz oder teilweise nicht mehr gewährt werden, so ist er abzugelten.",
+    source: "C:\\laws\\unzipped\\burlg\\BJNR000020963.xml",
+  },
+];
+
+runCase("citations follow answer order and carry source details", () => {
+  const { normToSourceIds } = buildNormAllowlist(sources);
+  const citations = buildAnswerCitations("Nach § 7 BUrlG ist abzugelten; Frist: § 622 BGB.", {
+    sources,
+    normToSourceIds,
+  });
+  assert(citations.length === 2, `Expected 2 citations, got ${citations.length}`);
+  assert(citations[0].norm === "§ 7 BUrlG" && citations[0].sourceId === "S2", "Wrong first citation");
+  assert(citations[1].url === "https://www.gesetze-im-internet.de/bgb/__622.html", `Bad url ${citations[1].url}`);
+  assert(citations[0].sourceFile === "burlg/BJNR000020963.xml", `Bad sourceFile ${citations[0].sourceFile}`);
+  assert(citations[0].excerpt.startsWith("(4) Kann der Urlaub"), "Excerpt missing");
+});
+
+runCase("norm prefixes do not count as citations", () => {
+  const normToSourceIds = new Map([["§ 62 BGB", ["S1"]]]);
+  const citations = buildAnswerCitations("Siehe § 622 BGB.", { sources, normToSourceIds });
+  assert(citations.length === 0, "§ 62 BGB must not match inside § 622 BGB");
+});
+
+runCase("the source of the cited norm wins over one that only mentions it", () => {
+  const many = Array.from({ length: 10 }, (_, i) => ({ ...sources[1], id: `S${i + 1}`, section: `§ ${i + 1}` }));
+  many[1] = { ...sources[0], id: "S2", section: "§ 623", text: "Die Kündigung bedarf der Schriftform; § 622 BGB bleibt unberührt." };
+  many[9] = { ...sources[0], id: "S10" };
+  const { normToSourceIds } = buildNormAllowlist(many);
+  assert(normToSourceIds.get("§ 622 BGB").join() === "S2,S10", `Ids must sort by number: ${normToSourceIds.get("§ 622 BGB")}`);
+  const [c] = buildAnswerCitations("Die Frist folgt aus § 622 BGB.", { sources: many, normToSourceIds });
+  assert(c.sourceId === "S10" && c.section === "§ 622" && c.sourceIds.join() === "S2,S10", JSON.stringify(c));
+});
+
+runCase("the answer's marker after the norm picks among equal sources", () => {
+  const pieces = [
+    { ...sources[1], id: "S3", absatz: "1", text: "(1) Bei der zeitlichen Festlegung des Urlaubs ..." },
+    { ...sources[1], id: "S4", absatz: "4" },
+  ];
+  const { normToSourceIds } = buildNormAllowlist(pieces);
+  const [c] = buildAnswerCitations("Der Urlaub ist abzugelten (§ 7 BUrlG [S4]).", { sources: pieces, normToSourceIds });
+  assert(c.sourceId === "S4" && c.excerpt.startsWith("(4)"), JSON.stringify(c));
+});
+
+runCase("long excerpts are cut at a word boundary", () => {
+  const long = [{ ...sources[0], text: "Wort ".repeat(200) }];
+  const [c] = buildAnswerCitations("§ 622 BGB", { sources: long, normToSourceIds: new Map([["§ 622 BGB", ["S1"]]]) });
+  assert(c.excerpt.length <= 402 && c.excerpt.endsWith("Wort …"), `Unexpected excerpt end: ${c.excerpt.slice(-10)}`);
+});
+
+runCase("source refs handle URLs and articles", () => {
+  assert(lawSourceRef("https://example.org/x").url === "https://example.org/x", "URL source not kept");
+  assert(lawSectionUrl("dsgvo", "Art. 6") === "https://www.gesetze-im-internet.de/dsgvo/art_6.html", "Article url");
+  assert(lawSectionUrl(null, "§ 1") === null, "No slug must give no url");
+});
+
+if (!process.exitCode) {
+  console.log("All answer citation tests passed.");
+}
@@ -0,0 +1,146 @@
+import { createLawLabeler, formatCatalogKeywords, resolveCatalogLabels } from "../src/laws/catalogLabels.js";
+import { rebuildLawCatalog } from "../src/laws/lawCatalog.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// law_catalog_labels as a Map; everything else answers with no rows.
+function createFakeClient({ labels = {}, laws = [] } = {}) {
+  const cache = new Map(Object.entries(labels));
+  const catalog = [];
+  return {
+    cache,
+    catalog,
+    async query(sql, params = []) {
+      if (sql.includes("CREATE TABLE IF NOT EXISTS law_catalog_labels")) throw new Error("Schema belongs to sql/law_catalog_labels.sql");
+      if (sql.includes("FROM law_catalog_labels")) {
+        return { rows: params[0].filter((code) => cache.has(code)).map((code) => ({ law_code: code, ...cache.get(code) })) };
+      }
+      if (sql.includes("INSERT INTO law_catalog_labels")) {
+        cache.set(params[0], { title_de: params[1], title_ru: params[2], keywords: params[3], model: params[4] });
+        return { rows: [] };
+      }
+      if (sql.includes("GROUP BY c.law")) return { rows: laws };
+      if (sql.includes("INSERT INTO law_catalog")) {
+        catalog.push({ lawCode: params[1], titleRu: params[3], keywords: params[4] });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+const fakeLlm = (answer) => {
+  const calls = [];
+  return {
+    calls,
+    async chatJSON(request) {
+      calls.push(JSON.parse(request.user));
+      return answer(JSON.parse(request.user));
+    },
+  };
+};
+
+const russian = (laws) => ({
+  laws: laws.map((l) => ({
+    law_code: l.law_code,
+    title_ru: `Закон ${l.law_code}`,
+    colloquial_names: ["закон об отпуске", "Urlaubsgesetz"],
+    keywords: ["отпуск", "Urlaub", "ОТПУСК"],
+  })),
+});
+
+await runCase("keywords merge names and keywords without duplicates", () => {
+  assert(
+    formatCatalogKeywords(["закон об отпуске", " Urlaubsgesetz "], ["отпуск", "Отпуск", ""]) === "закон об отпуске; Urlaubsgesetz; отпуск",
+    "Unexpected keywords"
+  );
+});
+
+await runCase("labeler batches laws and drops unknown or empty answers", async () => {
+  const llm = fakeLlm((laws) => ({
+    laws: [
+      ...russian(laws).laws,
+      { law_code: "INVENTED", title_ru: "Выдумка", colloquial_names: [], keywords: [] },
+      { law_code: laws[0].law_code, title_ru: " ", colloquial_names: [], keywords: [] },
+    ],
+  }));
+  const labelLaws = createLawLabeler(llm, { batchSize: 2 });
+  const labels = await labelLaws(["BUrlG", "KSchG", "BGB"].map((lawCode) => ({ lawCode, titleDe: lawCode })));
+  assert(llm.calls.length === 2 && llm.calls[0].length === 2, `Batches: ${llm.calls.map((c) => c.length)}`);
+  assert(labels.size === 3 && !labels.has("INVENTED"), `Labels: ${[...labels.keys()]}`);
+  assert(labels.get("BUrlG").titleRu === "Закон BUrlG", "Empty duplicate answer must not overwrite");
+});
+
+await runCase("a failing batch does not cost the other labels", async () => {
+  const llm = fakeLlm((laws) => {
+    if (laws[0].law_code === "BGB") {
+      const error = new Error("LLM HTTP 400");
+      error.status = 400;
+      throw error;
+    }
+    return russian(laws);
+  });
+  const labels = await createLawLabeler(llm, { batchSize: 1 })([{ lawCode: "BGB" }, { lawCode: "KSchG" }]);
+  assert(labels.size === 1 && labels.has("KSchG"), `Labels: ${[...labels.keys()]}`);
+});
+
+await runCase("cached labels are reused until the German title changes", async () => {
+  const client = createFakeClient({
+    labels: {
+      BUrlG: { title_de: "Mindesturlaubsgesetz für Arbeitnehmer", title_ru: "Закон о минимальном отпуске", keywords: "отпуск" },
+      KSchG: { title_de: "Altes Kündigungsschutzgesetz", title_ru: "Старый", keywords: "" },
+    },
+  });
+  const asked = [];
+  const labelLaws = async (laws) => {
+    asked.push(...laws.map((l) => l.lawCode));
+    return new Map(laws.map((l) => [l.lawCode, { titleRu: `Новый ${l.lawCode}`, keywords: "увольнение" }]));
+  };
+  const labels = await resolveCatalogLabels(
+    client,
+    [
+      { lawCode: "BUrlG", titleDe: "Mindesturlaubsgesetz für Arbeitnehmer" },
+      { lawCode: "KSchG", titleDe: "Kündigungsschutzgesetz" },
+      { lawCode: "BGB", titleDe: "Bürgerliches Gesetzbuch" },
+    ],
+    { labelLaws, model: "test-model" }
+  );
+  assert(asked.join() === "KSchG,BGB", `Regenerated: ${asked}`);
+  assert(labels.get("BUrlG").titleRu === "Закон о минимальном отпуске", "Cache hit not used");
+  assert(client.cache.get("KSchG").title_ru === "Новый KSchG" && client.cache.get("BGB").model === "test-model", "Cache not updated");
+});
+
+await runCase("catalog rows and their embedding text carry the Russian labels", async () => {
+  const client = createFakeClient({ laws: [{ law_code: "BUrlG", title_de: "Mindesturlaubsgesetz für Arbeitnehmer" }] });
+  const embedded = [];
+  const embed = async (text) => {
+    embedded.push(text);
+    return [0.1];
+  };
+  const labelLaws = async () => new Map([["BUrlG", { titleRu: "Закон об отпуске", keywords: "отпуск; Urlaub" }]]);
+  await rebuildLawCatalog(client, { versionTag: "2026-02-01", embed, labelLaws });
+  assert(client.catalog[0].titleRu === "Закон об отпуске" && client.catalog[0].keywords === "отпуск; Urlaub", "Row labels");
+  assert(embedded[0] === "BUrlG | Mindesturlaubsgesetz für Arbeitnehmer | Закон об отпуске | отпуск; Urlaub", embedded[0]);
+
+  const plain = createFakeClient({ laws: [{ law_code: "BGB", title_de: "Bürgerliches Gesetzbuch" }] });
+  await rebuildLawCatalog(plain, { versionTag: "2026-02-01", embed });
+  assert(plain.catalog[0].titleRu === "" && plain.catalog[0].keywords === null, "Without labeler labels stay empty");
+});
+
+if (!process.exitCode) {
+  console.log("All catalog labels tests passed.");
+}
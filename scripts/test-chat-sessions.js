@@ -0,0 +1,125 @@
+import { createChatSessions, createMemorySessionStore, createPgSessionStore } from "../src/sessions/chatSessions.js";
+import { createFakeProvider } from "../ai/providers/index.js";
+import { buildNormAllowlist } from "../src/guards/citationGuard.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function makeSessions(options = {}) {
+  return createChatSessions({
+    store: createMemorySessionStore({ ttlMs: 60_000 }),
+    llm: createFakeProvider({ dimensions: 8 }),
+    maxTurns: 2,
+    keepRecentTurns: 1,
+    maxCarriedSources: 2,
+    ...options,
+  });
+}
+
+await runCase("invalid session ids get a fresh uuid", async () => {
+  const sessions = makeSessions();
+  const s = await sessions.load("bad id!");
+  assert(s.id !== "bad id!" && s.id.length === 36, `Unexpected id ${s.id}`);
+  assert(!sessions.buildContext(s).isFollowUp, "New session must not be a follow-up");
+});
+
+await runCase("recorded turns are loaded back as follow-up context", async () => {
+  const sessions = makeSessions();
+  const s = await sessions.load("session-0001");
+  await sessions.recordTurn(s, {
+    userText: "Kündigungsfrist in der Probezeit?",
+    answerText: "Zwei Wochen, § 622 Abs. 3 BGB.",
+    citedSources: [{ law: "BGB", section: "§ 622", title: "Kündigungsfristen", text: "..." }],
+  });
+
+  const again = await sessions.load("session-0001");
+  const ctx = sessions.buildContext(again);
+  assert(ctx.isFollowUp, "Second turn must be a follow-up");
+  assert(ctx.retrievalContext.includes("Probezeit"), "Retrieval context misses the previous question");
+  assert(ctx.promptContext.includes("§ 622 Abs. 3 BGB"), "Prompt context misses the previous answer");
+  assert(ctx.carriedSources.length === 1 && ctx.carriedSources[0].law === "BGB", "Cited source not carried");
+});
+
+await runCase("long histories are folded into a summary", async () => {
+  const sessions = makeSessions();
+  const s = await sessions.load("session-0002");
+  for (let i = 0; i < 3; i++) {
+    await sessions.recordTurn(s, { userText: `Frage ${i}`, answerText: `Antwort ${i}` });
+  }
+  assert(s.summary.startsWith("[fake:summary]"), `Summary not built: ${s.summary}`);
+  assert(s.history.length === 2 && s.history[0].content === "Frage 2", "Only the latest turn should stay verbatim");
+});
+
+await runCase("carried sources are deduped and capped, newest first", async () => {
+  const sessions = makeSessions();
+  const s = await sessions.load("session-0003");
+  const src = (section) => ({ law: "BUrlG", section, title: "", text: section });
+  await sessions.recordTurn(s, { userText: "a", answerText: "a", citedSources: [src("§ 1"), src("§ 3")] });
+  await sessions.recordTurn(s, { userText: "b", answerText: "b", citedSources: [src("§ 7"), src("§ 3")] });
+  const sections = s.sources.map((x) => x.section);
+  assert(sections.join(",") === "§ 7,§ 3", `Unexpected sources: ${sections.join(",")}`);
+});
+
+await runCase("a follow-up may cite the Absatz of a carried source", async () => {
+  const sessions = makeSessions();
+  const s = await sessions.load("session-0004");
+  const cited = {
+    id: "S2",
+    law: "BUrlG",
+    section: "§ 7",
+    absatz: "4",
+    title: "Zeitpunkt, Übertragbarkeit und Abgeltung des Urlaubs",
+    text: "(4) Kann der Urlaub wegen Beendigung des Arbeitsverhältnisses ganz oder teilweise nicht mehr gewährt werden, so ist er abzugelten.",
+    source: "burlg.xml",
+    chunkId: 42,
+    normIndex: 7,
+    chunkIndex: 3,
+    score: 0.8,
+    versionTag: "v1",
+  };
+  await sessions.recordTurn(s, { userText: "a", answerText: "a", citedSources: [cited] });
+  const { carriedSources } = sessions.buildContext(await sessions.load("session-0004"));
+  const [carried] = carriedSources;
+  assert(carried.absatz === "4" && carried.chunkId === 42 && carried.normIndex === 7 && carried.chunkIndex === 3, JSON.stringify(carried));
+  assert(carried.id === undefined && carried.score === undefined, "Per-answer fields must not be stored");
+  const allowlist = buildNormAllowlist(carriedSources.map((src, i) => ({ ...src, id: `S${i + 1}` })));
+  assert(allowlist.allowedNorms.has("§ 7 Abs. 4 BUrlG"), [...allowlist.allowedNorms].join());
+});
+
+await runCase("saving a session sweeps expired ones from the memory store", async () => {
+  const store = createMemorySessionStore({ ttlMs: 60_000 });
+  const old = new Date(Date.now() - 120_000).toISOString();
+  await store.save({ id: "session-old1", history: [], summary: "", sources: [], updatedAt: old });
+  await store.save({ id: "session-old2", history: [], summary: "", sources: [], updatedAt: old });
+  await store.save({ id: "session-new1", history: [], summary: "", sources: [], updatedAt: new Date().toISOString() });
+  assert(store.size === 1, `Size ${store.size}`);
+  assert(await store.get("session-new1"), "Live session swept");
+});
+
+await runCase("saving a session deletes expired rows from chat_sessions", async () => {
+  const queries = [];
+  const store = createPgSessionStore(
+    { query: async (sql, params) => (queries.push({ sql, params }), { rows: [] }) },
+    { ttlMs: 60_000 }
+  );
+  await store.save({ id: "session-0005", history: [], summary: "", sources: [] });
+  const sweep = queries.find((q) => q.sql.includes("DELETE FROM chat_sessions"));
+  assert(sweep && sweep.params[0] === 60_000, JSON.stringify(queries.map((q) => q.sql)));
+});
+
+if (!process.exitCode) {
+  console.log("All chat session tests passed.");
+}
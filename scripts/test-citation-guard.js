@@ -67,6 +67,14 @@ runCase("canonicalizes loose norm to allowlist norm", () => {
   assert(out.replacedNorms.some((r) => r.from === "§ 823 BGB" && r.to === "§ 823 Abs. 1 BGB"), "Replacement log missing");
 });
 
+runCase("Absatz metadata allows the precise norm", () => {
+  const allowlist = buildNormAllowlist([
+    { id: "S1", law: "BUrlG", section: "§ 7", absatz: "4", title: "Abgeltung", text: "(4) Kann der Urlaub ..." },
+  ]);
+  assert(allowlist.allowedNorms.has("§ 7 Abs. 4 BUrlG"), "Missing § 7 Abs. 4 BUrlG");
+  assert(allowlist.allowedNorms.has("§ 7 BUrlG"), "Missing § 7 BUrlG");
+});
+
 if (!process.exitCode) {
   console.log("All citation guard tests passed.");
 }
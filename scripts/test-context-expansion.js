@@ -0,0 +1,136 @@
+import path from "path";
+import { createFakeProvider } from "../ai/providers/fake.js";
+import {
+  contextExpansionConfigFromEnv,
+  createContextExpander,
+  planContextExpansion,
+} from "../src/retrieval/contextExpansion.js";
+import { loadLegalDomains } from "../src/retrieval/legalDomains.js";
+import { createLegalRetrieval } from "../src/retrieval/legalRetrieval.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// § 573 BGB in three pieces, with § 572 and § 574 around it; every chunk is 100 tokens.
+const norms = [
+  { section: "§ 572", normIndex: 10, pieces: 2 },
+  { section: "§ 573", normIndex: 11, pieces: 3 },
+  { section: "§ 574", normIndex: 12, pieces: 2 },
+];
+let nextId = 1;
+const chunks = norms.flatMap((n) =>
+  Array.from({ length: n.pieces }, (_, i) => ({
+    id: nextId++,
+    law: "BGB",
+    section: n.section,
+    absatz: String(i + 1),
+    title: "",
+    context_header: "BGB > Buch 2",
+    text: `${n.section}/${i}`.padEnd(400, "."),
+    source: "bgb.xml",
+    norm_index: n.normIndex,
+    chunk_index: i,
+  }))
+);
+const label = (s) => `${s.section}/${s.chunkIndex}`;
+const hitOf = (id, sIndex) => {
+  const c = chunks.find((x) => x.id === id);
+  return { id: `S${sIndex}`, law: c.law, section: c.section, text: c.text, source: c.source, chunkId: c.id, normIndex: c.norm_index, chunkIndex: c.chunk_index };
+};
+
+await runCase("siblings come first, then the previous and next norm, within the budget", () => {
+  // hit on the middle piece of § 573
+  const picked = planContextExpansion([hitOf(4, 1)], chunks, { tokenBudget: 500 });
+  assert(picked.map(label).join() === "§ 573/0,§ 573/2,§ 572/1,§ 574/0,§ 572/0", picked.map(label).join());
+  assert(picked[0].expansion === "sibling" && picked[2].expansion === "previous_norm" && picked[3].expansion === "next_norm", JSON.stringify(picked.map((p) => p.expansion)));
+  assert(picked.every((p) => p.expandedFrom === "S1"), "expandedFrom");
+  assert(picked[0].context === "BGB > Buch 2" && picked[0].chunkId === 3, JSON.stringify(picked[0]));
+});
+
+await runCase("hits take turns and nothing is added twice", () => {
+  // S1 on § 573/0, S2 on § 574/1: § 574/0 is S2's sibling and S1's next-norm neighbour
+  const picked = planContextExpansion([hitOf(3, 1), hitOf(7, 2)], chunks, { tokenBudget: 300, neighbourNorms: 1 });
+  assert(picked.map((p) => `${p.expandedFrom}:${label(p)}`).join() === "S1:§ 573/1,S2:§ 574/0,S1:§ 573/2", picked.map((p) => `${p.expandedFrom}:${label(p)}`).join());
+  const ids = picked.map((p) => p.chunkId);
+  assert(new Set(ids).size === ids.length && !ids.includes(3) && !ids.includes(7), ids.join());
+});
+
+await runCase("neighbourNorms 0 keeps expansion inside the hit's norm", () => {
+  const picked = planContextExpansion([hitOf(4, 1)], chunks, { tokenBudget: 10000, neighbourNorms: 0 });
+  assert(picked.map(label).join() === "§ 573/0,§ 573/2", picked.map(label).join());
+});
+
+await runCase("the expander fetches the hits' norms and neighbours in one query", async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: chunks.filter((c) => params[2].includes(c.norm_index)) };
+    },
+  };
+  const expand = createContextExpander(pool, { tokenBudget: 200 });
+  const picked = await expand([hitOf(4, 1)], { versionTag: "v1" });
+  assert(queries.length === 1 && queries[0].params[0] === "v1", JSON.stringify(queries.map((q) => q.params)));
+  assert(queries[0].params[2].slice().sort().join() === "10,11,12", queries[0].params[2].join());
+  assert(picked.map(label).join() === "§ 573/0,§ 573/2", picked.map(label).join());
+
+  assert((await expand([{ id: "S1", law: "BGB", section: "§ 1", text: "carried" }], { versionTag: "v1" })).length === 0, "Source without norm position");
+  assert(queries.length === 1, "No query without expandable hits");
+});
+
+await runCase("expansion is configured from env and off by default", () => {
+  assert(contextExpansionConfigFromEnv({}) === null, "Default must be off");
+  assert(contextExpansionConfigFromEnv({ LEGAL_CONTEXT_EXPANSION_TOKENS: "0" }) === null, "0 must be off");
+  const config = contextExpansionConfigFromEnv({ LEGAL_CONTEXT_EXPANSION_TOKENS: "1500", LEGAL_CONTEXT_NEIGHBOUR_NORMS: "0" });
+  assert(config.tokenBudget === 1500 && config.neighbourNorms === 0, JSON.stringify(config));
+  try {
+    contextExpansionConfigFromEnv({ LEGAL_CONTEXT_EXPANSION_TOKENS: "1500", LEGAL_CONTEXT_NEIGHBOUR_NORMS: "-1" });
+    throw new Error("Accepted invalid config");
+  } catch (error) {
+    assert(/LEGAL_CONTEXT_NEIGHBOUR_NORMS/.test(error.message), error.message);
+  }
+});
+
+const legalDomains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+
+await runCase("retrieval appends expansions after the hits, which keep their ids", async () => {
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes("active_version_tag")) return { rows: [{ version_tag: "v1" }] };
+      if (sql.includes("FROM law_chunks") && sql.includes("ORDER BY embedding")) {
+        return { rows: [chunks[3], chunks[5]].map((c, i) => ({ ...c, score: 0.9 - i / 10 })) };
+      }
+      if (sql.includes("unnest")) return { rows: chunks.filter((c) => params[2].includes(c.norm_index)) };
+      return { rows: [] };
+    },
+  };
+  const retrieval = createLegalRetrieval({
+    pool,
+    llm: createFakeProvider({ dimensions: 8 }),
+    legalDomains,
+    contextExpansion: { tokenBudget: 300, neighbourNorms: 1 },
+  });
+  const out = await retrieval.retrieve({ question: "Может ли арендодатель расторгнуть договор аренды?" });
+  const sources = out.legalSourcesWithIds;
+  assert(sources.slice(0, 2).map((s) => `${s.id}:${label(s)}`).join() === "S1:§ 573/1,S2:§ 574/0", sources.map(label).join());
+  assert(sources.length === 5 && sources.slice(2).every((s) => s.expandedFrom), sources.map((s) => `${s.id}:${label(s)}`).join());
+  assert(sources.map((s) => s.id).join() === "S1,S2,S3,S4,S5", "Ids must stay sequential");
+  assert(out.normAllowlist.allowedNorms.size > 0, "Expanded sources feed the allowlist");
+});
+
+if (!process.exitCode) {
+  console.log("All context expansion tests passed.");
+}
@@ -0,0 +1,151 @@
+import { MAX_ROWS_PER_INSERT, buildChunkInsert, chunkKey, loadStoredChunkKeys } from "../src/ingest/chunkWriter.js";
+import { batchByTokens, createBatchEmbedder, mapWithConcurrency } from "../src/ingest/embeddingPipeline.js";
+import { retryDelayMs, withRetry } from "../src/shared/retry.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function httpError(status, retryAfterMs) {
+  const error = new Error(`Embeddings HTTP ${status}`);
+  error.status = status;
+  if (retryAfterMs) error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+const noSleep = async () => {};
+
+await runCase("batches respect item and token budgets", () => {
+  const texts = ["a".repeat(400), "b".repeat(400), "c".repeat(400), "d".repeat(4000), "e"];
+  const batches = batchByTokens(texts, { maxItems: 2, maxTokens: 250 });
+  assert(JSON.stringify(batches) === "[[0,1],[2],[3],[4]]", `Batches: ${JSON.stringify(batches)}`);
+  assert(batchByTokens([]).length === 0, "No texts, no batches");
+});
+
+await runCase("backoff honours Retry-After and grows exponentially otherwise", () => {
+  assert(retryDelayMs(httpError(429, 7000), 0) === 7000, "Retry-After ignored");
+  assert(retryDelayMs(httpError(429, 600000), 0, { maxDelayMs: 60000 }) === 60000, "Retry-After not capped");
+  const fixed = { baseDelayMs: 1000, random: () => 1 };
+  assert(retryDelayMs(httpError(503), 0, fixed) === 1000 && retryDelayMs(httpError(503), 3, fixed) === 8000, "Exponential");
+  assert(retryDelayMs(httpError(503), 3, { baseDelayMs: 1000, random: () => 0 }) === 4000, "Jitter floor");
+});
+
+await runCase("retries rate limits but not client errors", async () => {
+  const delays = [];
+  let calls = 0;
+  const out = await withRetry(
+    async () => {
+      calls += 1;
+      if (calls < 3) throw httpError(429, 2000);
+      return "ok";
+    },
+    { sleep: async (ms) => delays.push(ms) }
+  );
+  assert(out === "ok" && calls === 3 && delays.join() === "2000,2000", `calls=${calls} delays=${delays}`);
+
+  let authCalls = 0;
+  try {
+    await withRetry(
+      async () => {
+        authCalls += 1;
+        throw httpError(401);
+      },
+      { sleep: noSleep }
+    );
+    throw new Error("401 should not be swallowed");
+  } catch (error) {
+    assert(error.status === 401 && authCalls === 1, "401 must fail at once");
+  }
+
+  let attempts = 0;
+  try {
+    await withRetry(
+      async () => {
+        attempts += 1;
+        throw httpError(500);
+      },
+      { retries: 2, sleep: noSleep }
+    );
+  } catch (error) {
+    assert(error.status === 500 && attempts === 3, `Gave up after ${attempts} attempts`);
+  }
+});
+
+await runCase("worker pool caps concurrency and keeps order", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const out = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (n) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    inFlight -= 1;
+    return n * 10;
+  });
+  assert(out.join() === "50,10,40,20,30", `Order: ${out}`);
+  assert(peak === 2, `Peak concurrency ${peak}`);
+});
+
+await runCase("embedder fills vectors in input order across retried batches", async () => {
+  let failNext = true;
+  const llm = {
+    async embed(texts) {
+      if (failNext) {
+        failNext = false;
+        throw httpError(429, 10);
+      }
+      return texts.map((t) => [t.length]);
+    },
+  };
+  const embedder = createBatchEmbedder(llm, { maxBatchItems: 2, concurrency: 3, sleep: noSleep });
+  const vectors = await embedder.embed(["a", "bb", "ccc", "dddd", "eeeee"]);
+  assert(vectors.map((v) => v[0]).join() === "1,2,3,4,5", `Vectors: ${JSON.stringify(vectors)}`);
+  assert(embedder.stats.requests === 4 && embedder.stats.retries === 1, JSON.stringify(embedder.stats));
+});
+
+await runCase("chunks are inserted with one multi-row statement", () => {
+  const rows = [1, 2, 3].map((i) => ({
+    law: "BGB",
+    section: `§ ${i}`,
+    text: `Text ${i}`,
+    source: "/x/bgb.xml",
+    normIndex: i,
+    chunkIndex: 0,
+    tables: i === 2 ? [{ rows: [] }] : null,
+    contentHash: `h${i}`,
+  }));
+  const { text, values } = buildChunkInsert("2026-02-01", rows, ["[1]", "[2]", "[3]"]);
+  assert((text.match(/\(\$/g) || []).length === 3, "Expected three value tuples");
+  assert(values.length === 3 * 17 && values[0] === "2026-02-01", `Values: ${values.length}`);
+  assert(text.includes("$7::vector") && text.includes("$33::jsonb"), "Casts missing");
+  assert(values[6] === "[1]" && values[17 + 15] === '[{"rows":[]}]', "Vector or tables misplaced");
+  assert(MAX_ROWS_PER_INSERT * 17 <= 65535, "Parameter limit exceeded");
+});
+
+await runCase("stored chunk keys let a resumed import skip finished work", async () => {
+  const pool = {
+    async query(sql, params) {
+      assert(sql.includes("source = ANY") && params[1].length === 1, "Lookup must be limited to the sources");
+      return { rows: [{ source: "/x/bgb.xml", norm_index: 4, chunk_index: 0 }] };
+    },
+  };
+  const stored = await loadStoredChunkKeys(pool, "2026-02-01", ["/x/bgb.xml"]);
+  assert(stored.has(chunkKey({ source: "/x/bgb.xml", normIndex: 4, chunkIndex: 0 })), "Stored chunk not found");
+  assert(!stored.has(chunkKey({ source: "/x/bgb.xml", normIndex: 4, chunkIndex: 1 })), "Next chunk must be pending");
+  assert((await loadStoredChunkKeys(pool, "2026-02-01", [])).size === 0, "No sources, no lookup");
+});
+
+if (!process.exitCode) {
+  console.log("All embedding pipeline tests passed.");
+}
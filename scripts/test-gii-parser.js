@@ -0,0 +1,130 @@
+import { embeddingText, parseGiiDocument, splitAtSentences } from "../src/ingest/giiNorms.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function runCase(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function gliederung(kennzahl, bez, titel) {
+  return `<norm><metadaten><jurabk>BUrlG</jurabk><gliederungseinheit><gliederungskennzahl>${kennzahl}</gliederungskennzahl><gliederungsbez>${bez}</gliederungsbez><gliederungstitel>${titel}</gliederungstitel></gliederungseinheit></metadaten><textdaten><text format="XML"/></textdaten></norm>`;
+}
+
+function norm(enbez, titel, content) {
+  return `<norm><metadaten><jurabk>BUrlG</jurabk><amtabk>BUrlG</amtabk><enbez>${enbez}</enbez><titel format="parat">${titel}</titel></metadaten><textdaten><text format="XML"><Content>${content}</Content></text></textdaten></norm>`;
+}
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<dokumente>
+  <norm><metadaten><jurabk>BUrlG</jurabk><amtabk>BUrlG</amtabk><ausfertigung-datum manuell="ja">1963-01-08</ausfertigung-datum><fundstelle typ="amtlich"><periodikum>BGBl I</periodikum><zitstelle>1963, 2</zitstelle></fundstelle><langue>Mindesturlaubsgesetz f&#252;r Arbeitnehmer</langue><standangabe checked="ja"><standtyp>Stand</standtyp><standkommentar>Ge&#228;ndert durch Art. 3 G v. 20.4.2013 I 868</standkommentar></standangabe></metadaten><textdaten><fussnoten><Content><P>(+++ Textnachweis ab: 1.1.1977 +++)</P></Content></fussnoten></textdaten></norm>
+  ${gliederung("010", "Abschnitt 1", "Allgemeines")}
+  ${gliederung("010010", "Titel 1", "Urlaub")}
+  ${norm(
+    "§ 7",
+    "Zeitpunkt, &#220;bertragbarkeit und Abgeltung des Urlaubs",
+    `<P>(1) Die Urlaubsw&#252;nsche sind zu ber&#252;cksichtigen.</P>
+     <P>(2) Der Urlaub ist zusammenh&#228;ngend zu gew&#228;hren, es sei denn<DL Type="arabic"><DT>1.</DT><DD><LA>dringende Gr&#252;nde,</LA></DD><DT>2.</DT><DD><LA>Gr&#252;nde in der Person.</LA></DD></DL></P>
+     <P>Satz nach der Aufz&#228;hlung.</P>
+     <P>(4) Kann der Urlaub nicht mehr gew&#228;hrt werden, so ist er abzugelten.</P>`
+  )}
+  ${gliederung("020", "Abschnitt 2", "Schluss")}
+  ${norm("§ 15", "Verh&#228;ltnis zu anderen Gesetzen", '<P>Unber&#252;hrt bleiben andere Vorschriften.<FnR ID="F1"/></P>')}
+  ${norm("§ 16", "(weggefallen)", "")}
+</dokumente>`;
+
+const { rows, warnings, metadata } = parseGiiDocument(xml, "/laws/unzipped/burlg/BJNR000020963.xml");
+
+runCase("one row per Absatz with its number", () => {
+  const p7 = rows.filter((r) => r.section === "§ 7");
+  assert(p7.map((r) => r.absatz).join(",") === "1,2,4", `Unexpected Absaetze ${p7.map((r) => r.absatz)}`);
+  assert(p7.map((r) => r.chunkIndex).join(",") === "0,1,2", "Chunk index must count within the norm");
+  assert(p7[2].text.startsWith("(4) Kann der Urlaub"), "Absatz text must start at its number");
+});
+
+runCase("enumerations stay on separate lines inside their Absatz", () => {
+  const abs2 = rows.find((r) => r.section === "§ 7" && r.absatz === "2");
+  const lines = abs2.text.split("\n");
+  assert(lines[1] === "1. dringende Gründe,", `Unexpected enumeration line ${JSON.stringify(lines[1])}`);
+  assert(lines[3] === "Satz nach der Aufzählung.", "Unnumbered <P> must continue the previous Absatz");
+});
+
+runCase("Gliederung path and contextual header", () => {
+  const p7 = rows.find((r) => r.section === "§ 7");
+  assert(p7.gliederungPath.join(" / ") === "Abschnitt 1 Allgemeines / Titel 1 Urlaub", "Wrong path for § 7");
+  assert(
+    p7.contextHeader === "BUrlG > Abschnitt 1 Allgemeines > Titel 1 Urlaub > § 7 Zeitpunkt, Übertragbarkeit und Abgeltung des Urlaubs",
+    `Unexpected header ${p7.contextHeader}`
+  );
+  const p15 = rows.find((r) => r.section === "§ 15");
+  assert(p15.gliederungPath.join(" / ") === "Abschnitt 2 Schluss", "Sibling Gliederung must replace, not nest");
+  assert(p15.absatz === null, "Norm without numbered Absatz has no absatz");
+  assert(embeddingText(p15).startsWith("BUrlG > Abschnitt 2 Schluss > § 15"), "Embedding text needs the header");
+});
+
+runCase("jurabk and amtabk are kept separately", () => {
+  assert(rows.every((r) => r.jurabk === "BUrlG" && r.law === "BUrlG"), "jurabk missing");
+  assert(rows.find((r) => r.section === "§ 7").amtabk === "BUrlG", "amtabk missing");
+});
+
+runCase("document metadata is captured", () => {
+  assert(metadata.ausfertigungDatum === "1963-01-08", `Unexpected date ${metadata.ausfertigungDatum}`);
+  assert(metadata.fundstellen[0].periodikum === "BGBl I" && metadata.fundstellen[0].zitstelle === "1963, 2", "Fundstelle");
+  assert(metadata.standangaben[0].kommentar.startsWith("Geändert durch"), "Standangabe");
+  assert(metadata.langue === "Mindesturlaubsgesetz für Arbeitnehmer", "Entity in langue not decoded");
+});
+
+runCase("dropped norms and dangling footnotes become warnings", () => {
+  const messages = warnings.map((w) => w.message);
+  assert(messages.includes("§ 16: no text, norm skipped"), `Missing skip warning: ${messages}`);
+  assert(messages.includes("footnote reference F1 has no footnote"), `Missing footnote warning: ${messages}`);
+});
+
+runCase("tables are kept structured and rendered as pipe-separated rows", () => {
+  const { rows: tableRows } = parseGiiDocument(
+    `<dokumente>${norm(
+      "§ 1",
+      "Tabelle",
+      "<P>(1) Betr&#228;ge:</P><P><table><tgroup cols=\"2\"><tbody><row><entry>Stufe</entry><entry>Betrag</entry></row><row><entry/><entry/></row><row><entry>1</entry><entry>100 &#8364;</entry></row></tbody></tgroup></table></P>"
+    )}</dokumente>`,
+    "/laws/x/a.xml"
+  );
+  assert(tableRows.length === 1, "Table paragraph must continue Absatz 1");
+  assert(tableRows[0].text === "(1) Beträge:\nStufe | Betrag\n1 | 100 €", `Unexpected text ${JSON.stringify(tableRows[0].text)}`);
+  assert(JSON.stringify(tableRows[0].tables) === '[[["Stufe","Betrag"],["1","100 €"]]]', "Structured table missing");
+});
+
+runCase("footnotes are attached to the rows of their norm", () => {
+  const { rows: fnRows } = parseGiiDocument(
+    `<dokumente><norm><metadaten><jurabk>X</jurabk><enbez>§ 1</enbez></metadaten><textdaten><text><Content><P>Text.<FnR ID="F9"/></P></Content></text><fussnoten><Content><Footnote ID="F9">Fu&#223;note.</Footnote></Content></fussnoten></textdaten></norm></dokumente>`,
+    "/laws/x/a.xml"
+  );
+  assert(fnRows[0].footnotes === "Fußnote.", `Unexpected footnotes ${fnRows[0].footnotes}`);
+});
+
+runCase("malformed XML is reported, not thrown", () => {
+  const result = parseGiiDocument(`<dokumente>${norm("§ 1", "A", "<P>ok & kaputt</P>")}</dokumente>`, "/laws/x/a.xml");
+  assert(result.warnings.some((w) => w.message.startsWith("XML error")), "Expected an XML error warning");
+});
+
+runCase("long Absaetze split on sentence boundaries", () => {
+  const sentence = "Der Arbeitgeber hat den Urlaub rechtzeitig zu gewähren.";
+  const chunks = splitAtSentences(Array(10).fill(sentence).join(" "), 200);
+  assert(chunks.length > 1, "Expected several chunks");
+  assert(chunks.every((c) => c.startsWith("Der Arbeitgeber") && c.length <= 200), "Chunk starts mid-sentence");
+  const lines = splitAtSentences(`${Array(5).fill(sentence).join(" ")}\n1. Punkt eins.\n2. Punkt zwei.`, 200);
+  assert(lines[lines.length - 1].endsWith(".\n1. Punkt eins.\n2. Punkt zwei."), "Line breaks must survive splitting");
+});
+
+if (!process.exitCode) {
+  console.log("All gii parser tests passed.");
+}
@@ -0,0 +1,114 @@
+import { buildLexicalQuery, createHybridLawSearch, fuseRankedLists } from "../src/retrieval/hybridSearch.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+await runCase("lexical query drops tsquery syntax characters", () => {
+  assert(buildLexicalQuery("§ 622 BGB") === "622 | bgb", "Unexpected query for § 622 BGB");
+  assert(buildLexicalQuery("a & (b | !c):*") === "a | b | c", "Operators were not stripped");
+  assert(buildLexicalQuery("  ") === "", "Empty input must give empty query");
+});
+
+await runCase("lexical query keeps umlauts and dedupes terms", () => {
+  const q = buildLexicalQuery("Urlaubsabgeltung Kündigung Urlaubsabgeltung");
+  assert(q === "urlaubsabgeltung | kündigung", `Unexpected query: ${q}`);
+});
+
+await runCase("fusion ranks rows found by both lists first", () => {
+  const fused = fuseRankedLists([
+    { name: "vector", rows: [{ id: 1, score: 0.9 }, { id: 2, score: 0.8 }] },
+    { name: "lexical", rows: [{ id: 3, score: 0.5 }, { id: 2, score: 0.4 }] },
+  ]);
+  assert(fused[0].id === 2, "Row present in both lists should win");
+  assert(fused[0].vectorRank === 2 && fused[0].lexicalRank === 2, "Component ranks missing");
+  assert(fused[0].vectorScore === 0.8 && fused[0].lexicalScore === 0.4, "Component scores missing");
+});
+
+await runCase("fusion keeps null component score for single-list hits", () => {
+  const fused = fuseRankedLists([
+    { name: "vector", rows: [{ id: 1, score: 0.9 }] },
+    { name: "lexical", rows: [{ id: 3, score: 0.5 }] },
+  ]);
+  const lexicalOnly = fused.find((r) => r.id === 3);
+  assert(lexicalOnly.vectorScore === null && lexicalOnly.vectorRank === null, "Vector fields should be null");
+});
+
+await runCase("fusion honours weights and limit", () => {
+  const fused = fuseRankedLists(
+    [
+      { name: "vector", weight: 0, rows: [{ id: 1, score: 0.9 }] },
+      { name: "lexical", weight: 1, rows: [{ id: 3, score: 0.5 }] },
+    ],
+    { limit: 1 }
+  );
+  assert(fused.length === 1 && fused[0].id === 3, "Zero-weighted list should not win");
+});
+
+await runCase("weights come from env, where 0 switches a list off", async () => {
+  const pool = {
+    async query(sql) {
+      return { rows: sql.includes("to_tsquery") ? [{ id: 3, score: 0.5 }] : [{ id: 1, score: 0.9 }] };
+    },
+  };
+  process.env.LEGAL_HYBRID_VECTOR_WEIGHT = "0";
+  try {
+    const search = createHybridLawSearch(pool);
+    const [top] = await search({ queryText: "Urlaub", embedding: [0.1, 0.2], limit: 1 });
+    assert(top.id === 3, `Vector weight 0 must not be read as 1: ${JSON.stringify(top)}`);
+  } finally {
+    delete process.env.LEGAL_HYBRID_VECTOR_WEIGHT;
+  }
+});
+
+await runCase("invalid weights are rejected", () => {
+  const rejects = (options, name) => {
+    try {
+      createHybridLawSearch({}, options);
+    } catch (error) {
+      return error.message.includes(name);
+    }
+    return false;
+  };
+  assert(rejects({ vectorWeight: -1 }, "LEGAL_HYBRID_VECTOR_WEIGHT"), "Negative vector weight accepted");
+  assert(rejects({ lexicalWeight: Number("abc") }, "LEGAL_HYBRID_LEXICAL_WEIGHT"), "NaN lexical weight accepted");
+  assert(rejects({ vectorWeight: Infinity }, "LEGAL_HYBRID_VECTOR_WEIGHT"), "Infinite weight accepted");
+  assert(!rejects({ vectorWeight: 0, lexicalWeight: 0.5 }, "WEIGHT"), "Valid weights rejected");
+  assert(rejects({ vectorWeight: 0, lexicalWeight: 0 }, "cannot both be 0"), "Both lists switched off");
+});
+
+await runCase("a list with weight 0 is neither queried nor fused", async () => {
+  const queries = [];
+  const pool = {
+    async query(sql) {
+      queries.push(sql.includes("to_tsquery") ? "lexical" : "vector");
+      return { rows: sql.includes("to_tsquery") ? [{ id: 3, score: 0.5 }] : [{ id: 1, score: 0.9 }] };
+    },
+  };
+  const vectorOff = await createHybridLawSearch(pool, { vectorWeight: 0 })({ queryText: "Urlaub", embedding: [0.1], limit: 5 });
+  assert(queries.join() === "lexical", `Queries: ${queries}`);
+  assert(vectorOff.map((r) => r.id).join() === "3" && vectorOff[0].vectorRank === null, JSON.stringify(vectorOff));
+  const lexicalOff = await createHybridLawSearch(pool, { lexicalWeight: 0 })({ queryText: "Urlaub", embedding: [0.1], limit: 5 });
+  assert(lexicalOff.map((r) => r.id).join() === "1", JSON.stringify(lexicalOff));
+  const fused = fuseRankedLists([
+    { name: "vector", weight: 0, rows: [{ id: 1, score: 0.9 }] },
+    { name: "lexical", weight: 1, rows: [{ id: 3, score: 0.5 }] },
+  ]);
+  assert(fused.map((r) => r.id).join() === "3", `Zero-weighted rows fused: ${JSON.stringify(fused)}`);
+});
+
+if (!process.exitCode) {
+  console.log("All hybrid search tests passed.");
+}
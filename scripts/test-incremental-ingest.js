@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import {
+  chunkContentHash,
+  collectNormFingerprints,
+  createEmbeddingReuse,
+  diffNormFingerprints,
+  formatChangeReport,
+  loadNormFingerprints,
+  resolvePreviousVersionTag,
+} from "../src/ingest/incrementalIngest.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function row(law, section, normIndex, text, contextHeader = `${law} ${section}`, source = `/data/2026-02-01/unzipped/${law.toLowerCase()}/BJNR1.xml`) {
+  return { law, section, normIndex, text, contextHeader, source };
+}
+
+const md5 = (s) => crypto.createHash("md5").update(s, "utf8").digest("hex");
+
+await runCase("content hash follows the embedded text including its context header", () => {
+  const a = row("BUrlG", "§ 7", 6, "(4) Kann der Urlaub ... abzugelten.");
+  assert(chunkContentHash(a) === chunkContentHash({ ...a }), "Hash is not deterministic");
+  assert(chunkContentHash(a) !== chunkContentHash({ ...a, contextHeader: "BUrlG > Erster Abschnitt > § 7" }), "Context header ignored");
+  assert(/^[0-9a-f]{64}$/.test(chunkContentHash(a)), "Expected sha256 hex");
+});
+
+await runCase("norm fingerprints join chunk texts like the SQL side", () => {
+  const fp = collectNormFingerprints([
+    row("BGB", "§ 622", 10, "(1) eins"),
+    row("BGB", "§ 622", 10, "(2) zwei"),
+    row("BGB", null, 11, "Anlage"),
+  ]);
+  assert(fp.get("BGB").get("bgb/BJNR1.xml|§ 622") === md5("(1) eins\n(2) zwei"), `Section fingerprint mismatch: ${[...fp.get("BGB").keys()]}`);
+  assert(fp.get("BGB").has("bgb/BJNR1.xml|#11"), "Unlabelled norm should be keyed by position");
+});
+
+await runCase("files sharing a jurabk keep separate fingerprints", () => {
+  const other = "/data/2026-02-01/unzipped/bgbeg/BJNR2.xml";
+  const fp = collectNormFingerprints([
+    row("BGB", "§ 1", 1, "Rechtsfähigkeit"),
+    row("BGB", "§ 1", 1, "Inkrafttreten", "", other),
+  ]);
+  assert(fp.get("BGB").size === 2, [...fp.get("BGB").keys()].join());
+  // the harvest date in the path does not change the key
+  const later = collectNormFingerprints([row("BGB", "§ 1", 1, "Rechtsfähigkeit", "", "/data/2026-03-01/unzipped/bgb/BJNR1.xml")]);
+  const { totals } = diffNormFingerprints(fp, later, { partial: true });
+  assert(totals.normsChanged === 0 && totals.normsRemoved === 1, JSON.stringify(totals));
+});
+
+await runCase("stored fingerprints are keyed by file and label in SQL", async () => {
+  const calls = [];
+  const client = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ law: "BGB", norm_key: "bgb/BJNR1.xml|§ 1", fingerprint: "f" }] };
+    },
+  };
+  const fp = await loadNormFingerprints(client, "v1", { laws: ["bgb"] });
+  assert(fp.get("BGB").get("bgb/BJNR1.xml|§ 1") === "f", JSON.stringify([...fp.get("BGB")]));
+  assert(/regexp_replace\(COALESCE\(source, ''\)/.test(calls[0].sql) && calls[0].params[0] === "v1", calls[0].sql);
+});
+
+await runCase("diff reports added, changed and removed norms per law", () => {
+  const previous = new Map([
+    ["BGB", new Map([["§ 1", "a"], ["§ 2", "b"], ["§ 3", "c"]])],
+    ["AltG", new Map([["§ 1", "x"]])],
+    ["BUrlG", new Map([["§ 1", "u"]])],
+  ]);
+  const current = new Map([
+    ["BGB", new Map([["§ 1", "a"], ["§ 2", "B"], ["§ 4", "d"]])],
+    ["NeuG", new Map([["§ 1", "n"]])],
+    ["BUrlG", new Map([["§ 1", "u"]])],
+  ]);
+  const { laws, totals } = diffNormFingerprints(previous, current);
+  assert(laws.map((l) => `${l.law}:${l.status}`).join(",") === "AltG:removed,BGB:changed,NeuG:added", `Unexpected laws ${JSON.stringify(laws)}`);
+  const bgb = laws.find((l) => l.law === "BGB");
+  assert(bgb.added.join() === "§ 4" && bgb.changed.join() === "§ 2" && bgb.removed.join() === "§ 3", "BGB diff");
+  assert(totals.lawsAdded === 1 && totals.lawsRemoved === 1 && totals.lawsChanged === 1, "Law totals");
+  assert(totals.normsAdded === 2 && totals.normsChanged === 1 && totals.normsRemoved === 2, `Norm totals ${JSON.stringify(totals)}`);
+
+  const partial = diffNormFingerprints(previous, current, { partial: true });
+  assert(!partial.laws.some((l) => l.status === "removed"), "Append ingest must not report missing laws as removed");
+
+  const report = formatChangeReport({ laws, totals });
+  assert(report.includes("BGB (changed): +1 [§ 4] ~1 [§ 2] -1 [§ 3]"), `Unexpected report ${report}`);
+});
+
+await runCase("embedding reuse looks up unique hashes in the previous version", async () => {
+  const calls = [];
+  const client = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ content_hash: "h1", embedding: "[0.1,0.2]" }] };
+    },
+  };
+  const reuse = createEmbeddingReuse(client, { previousVersionTag: "2026-01-01" });
+  const found = await reuse.lookup(["h1", "h2", "h1", null]);
+  assert(found.get("h1") === "[0.1,0.2]" && !found.has("h2"), "Lookup result");
+  assert(calls[0].params[0] === "2026-01-01" && calls[0].params[1].length === 2, "Hashes should be deduplicated");
+
+  const none = createEmbeddingReuse(client, { previousVersionTag: null });
+  assert((await none.lookup(["h1"])).size === 0 && calls.length === 1, "No previous version, no query");
+  assert((await none.previousFingerprints()).size === 0, "No previous fingerprints");
+});
+
+await runCase("previous version defaults to the active one unless re-ingesting it", async () => {
+  const client = { query: async () => ({ rows: [{ value: "2026-01-01" }] }) };
+  assert((await resolvePreviousVersionTag(client, "2026-02-01")) === "2026-01-01", "Active version");
+  assert((await resolvePreviousVersionTag(client, "2026-01-01")) === null, "Same tag has nothing to reuse");
+  assert((await resolvePreviousVersionTag(client, "2026-02-01", "2025-12-01")) === "2025-12-01", "Explicit override");
+});
+
+if (!process.exitCode) {
+  console.log("All incremental ingest tests passed.");
+}
@@ -0,0 +1,56 @@
+import { createJsonStringFieldReader } from "../src/streaming/jsonFieldReader.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function runCase(name, fn) {
+  try {
+    fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function feed(json, size) {
+  const reader = createJsonStringFieldReader("analysis");
+  let out = "";
+  for (let i = 0; i < json.length; i += size) out += reader.push(json.slice(i, i + size));
+  return { out, reader };
+}
+
+const doc = JSON.stringify({
+  analysis: 'Кратко: § 7 Abs. 4 BUrlG\n"Abgeltung" \\ ä 😀',
+  riskLevel: "low",
+  financialRisk: "low",
+});
+
+runCase("decodes field from one fragment", () => {
+  const { out, reader } = feed(doc, doc.length);
+  assert(out === JSON.parse(doc).analysis, "Decoded text differs");
+  assert(reader.done, "Reader should be done after closing quote");
+});
+
+runCase("decodes field from single-character fragments", () => {
+  const { out } = feed(doc, 1);
+  assert(out === JSON.parse(doc).analysis, "Decoded text differs for 1-char fragments");
+});
+
+runCase("handles unicode escapes split across fragments", () => {
+  const escaped = '{"analysis":"K\\u00fcndigung \\ud83d\\ude00","riskLevel":"low"}';
+  const { out } = feed(escaped, 3);
+  assert(out === "Kündigung 😀", `Unexpected text: ${out}`);
+});
+
+runCase("ignores other fields", () => {
+  const { out } = feed('{"riskLevel":"high","analysis":"ok","x":"nope"}', 4);
+  assert(out === "ok", `Unexpected text: ${out}`);
+});
+
+if (!process.exitCode) {
+  console.log("All JSON field reader tests passed.");
+}
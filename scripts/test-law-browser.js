@@ -0,0 +1,138 @@
+import { buildTocEntries, createLawBrowser, normalizeSectionParam } from "../src/laws/lawBrowser.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function fakePool(rows) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows };
+    },
+  };
+}
+
+await runCase("section params are normalized to stored spelling", () => {
+  assert(normalizeSectionParam("622") === "§ 622", "Bare number");
+  assert(normalizeSectionParam("§622a") === "§ 622a", "Missing space");
+  assert(normalizeSectionParam("Art 6") === "Art. 6", "Article without dot");
+  assert(normalizeSectionParam("Erster  Abschnitt") === "Erster Abschnitt", "Heading whitespace");
+});
+
+await runCase("section text is reassembled from chunks in id order", async () => {
+  const pool = fakePool([
+    { law: "BGB", section: "§ 622", title: "Kündigungsfristen", text: "(1) Teil eins", source: "/x/unzipped/bgb/BJNR001950896.xml" },
+    { law: "BGB", section: "§ 622", title: null, text: "(2) Teil zwei", source: "/x/unzipped/bgb/BJNR001950896.xml" },
+  ]);
+  const browser = createLawBrowser(pool, { getVersionTag: async () => "2026-02-01" });
+  const section = await browser.getSection("bgb", "622");
+  assert(section.text === "(1) Teil eins (2) Teil zwei", `Unexpected text ${section.text}`);
+  assert(section.chunks === 2 && section.versionTag === "2026-02-01", "Chunk count/version missing");
+  assert(section.url === "https://www.gesetze-im-internet.de/bgb/__622.html", `Unexpected url ${section.url}`);
+  assert(pool.calls[0].params[2] === "§ 622", "Section param was not normalized");
+});
+
+await runCase("TOC marks headings and keeps document order", async () => {
+  const pool = fakePool([
+    { law: "SGB 2", section: "Kapitel 1", title: "Fördern und Fordern", first_id: 1, chunks: "1" },
+    { law: "SGB 2", section: "§ 1", title: "Aufgabe und Ziel", first_id: 2, chunks: "3" },
+  ]);
+  const browser = createLawBrowser(pool, { getVersionTag: async () => null });
+  const toc = await browser.getToc("SGB II");
+  assert(toc.entries[0].kind === "heading" && toc.entries[1].kind === "norm", "Kinds not detected");
+  assert(toc.entries[1].chunks === 3, "Chunk count should be numeric");
+  assert(pool.calls[0].params[1].includes("sgb 2"), "Roman law code variant missing");
+});
+
+await runCase("Absatz chunks are joined on new lines", async () => {
+  const pool = fakePool([
+    { law: "BUrlG", section: "§ 7", title: "Abgeltung", absatz: "1", text: "(1) Erster Teil", source: "" },
+    { law: "BUrlG", section: "§ 7", title: "Abgeltung", absatz: "1", text: "weiter.", source: "" },
+    { law: "BUrlG", section: "§ 7", title: "Abgeltung", absatz: "2", text: "(2) Zweiter.", source: "" },
+  ]);
+  const browser = createLawBrowser(pool, { getVersionTag: async () => null });
+  const section = await browser.getSection("BUrlG", "7");
+  assert(section.text === "(1) Erster Teil weiter.\n(2) Zweiter.", `Unexpected text ${JSON.stringify(section.text)}`);
+});
+
+await runCase("sections list the norms that refer to them", async () => {
+  const pool = fakePool([
+    { law: "BGB", section: "§ 626", title: "Fristlose Kündigung", absatz: "1", text: "(1) Text", source: "bgb.xml", norm_index: 40 },
+  ]);
+  const requests = [];
+  const normReferences = {
+    async referencedBy(lawCode, section, options) {
+      requests.push({ lawCode, section, ...options });
+      return [{ law: "BGB", section: "§ 314", title: "Kündigung von Dauerschuldverhältnissen" }];
+    },
+  };
+  const browser = createLawBrowser(pool, { getVersionTag: async () => "v1", normReferences });
+  const section = await browser.getSection("bgb", "626");
+  assert(section.referencedBy.length === 1 && section.referencedBy[0].section === "§ 314", JSON.stringify(section.referencedBy));
+  const expected = [{ lawCode: "BGB", section: "§ 626", versionTag: "v1", source: "bgb.xml", normIndex: 40 }];
+  assert(JSON.stringify(requests) === JSON.stringify(expected), JSON.stringify(requests));
+  const plain = await createLawBrowser(pool, { getVersionTag: async () => "v1" }).getSection("bgb", "626");
+  assert(Array.isArray(plain.referencedBy) && !plain.referencedBy.length, "Without references the list is empty");
+});
+
+await runCase("norms sharing a section label stay apart", async () => {
+  const pool = fakePool([
+    { law: "AO", section: "§ 5", title: "Ermessen", absatz: "1", text: "(1) Ermessen.", source: "ao.xml", norm_index: 5 },
+    { law: "AO", section: "§ 5", title: null, absatz: "2", text: "(2) Grenzen.", source: "ao.xml", norm_index: 5 },
+    { law: "AO", section: "§ 5", title: "(weggefallen)", absatz: null, text: "-", source: "ao.xml", norm_index: 90 },
+  ]);
+  const browser = createLawBrowser(pool, { getVersionTag: async () => null });
+  const section = await browser.getSection("AO", "5");
+  assert(section.chunks === 2 && section.text === "(1) Ermessen.\n(2) Grenzen.", JSON.stringify(section));
+
+  const tocPool = fakePool([
+    { law: "AO", section: "§ 5", title: "Ermessen", first_id: 5, chunks: "2" },
+    { law: "AO", section: "§ 5", title: "(weggefallen)", first_id: 90, chunks: "1" },
+  ]);
+  const toc = await createLawBrowser(tocPool, { getVersionTag: async () => null }).getToc("AO");
+  assert(/GROUP BY law, section, source, norm_index/.test(tocPool.calls[0].sql), "TOC must group per norm");
+  assert(toc.entries.map((e) => e.title).join() === "Ermessen,(weggefallen)", JSON.stringify(toc.entries));
+});
+
+await runCase("TOC opens heading entries along the Gliederung path", () => {
+  const entries = buildTocEntries([
+    { section: "§ 1", title: "A", gliederung_path: ["Buch 1", "Abschnitt 1"], chunks: "1" },
+    { section: "§ 2", title: "B", gliederung_path: ["Buch 1", "Abschnitt 1"], chunks: "1" },
+    { section: "§ 3", title: "C", gliederung_path: ["Buch 1", "Abschnitt 2"], chunks: "1" },
+  ]);
+  const labels = entries.map((e) => `${e.kind}:${e.section}:${e.level}`);
+  const expected = [
+    "heading:Buch 1:0",
+    "heading:Abschnitt 1:1",
+    "norm:§ 1:2",
+    "norm:§ 2:2",
+    "heading:Abschnitt 2:1",
+    "norm:§ 3:2",
+  ];
+  assert(labels.join(",") === expected.join(","), `Unexpected TOC ${labels.join(",")}`);
+});
+
+await runCase("unknown laws give null", async () => {
+  const browser = createLawBrowser(fakePool([]), { getVersionTag: async () => null });
+  assert((await browser.getToc("XYZ")) === null, "TOC should be null");
+  assert((await browser.getSection("XYZ", "1")) === null, "Section should be null");
+});
+
+if (!process.exitCode) {
+  console.log("All law browser tests passed.");
+}
@@ -0,0 +1,121 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ingestLawDirs, reportStagedVersion } from "../src/ingest/lawDirIngest.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+async function withLawDirs(fn) {
+  const base = await fs.mkdtemp(path.join(os.tmpdir(), "law-dirs-"));
+  try {
+    for (const law of ["burlg", "kschg"]) {
+      await fs.mkdir(path.join(base, law, "nested"), { recursive: true });
+      await fs.writeFile(path.join(base, law, "nested", `${law}.xml`), "<dokumente/>");
+    }
+    await fs.mkdir(path.join(base, "empty"));
+    await fn(base);
+  } finally {
+    await fs.rm(base, { recursive: true, force: true });
+  }
+}
+
+await runCase("directories go into one version: replace first, then append", async () => {
+  await withLawDirs(async (base) => {
+    const runs = [];
+    const run = async (script, { env }) => runs.push({ script, env });
+    const dirs = ["burlg", "missing", "empty", "kschg"].map((d) => path.join(base, d));
+    const { ingested, skipped } = await ingestLawDirs(dirs, { versionTag: "2026-02-01", root: "/app", env: {}, run });
+    assert(ingested.length === 2 && skipped.length === 2, `ingested=${ingested.length} skipped=${skipped.length}`);
+    assert(runs.every((r) => r.script === path.join("/app", "scripts", "ingest-laws.js")), "Wrong script");
+    assert(runs.every((r) => r.env.LAW_VERSION_TAG === "2026-02-01"), "All dirs must share the version tag");
+    assert(runs.map((r) => r.env.LAW_INGEST_MODE).join() === "replace,append", "Modes");
+    assert(runs[0].env.LAW_XML_DIR.endsWith("burlg"), "First dir");
+  });
+});
+
+await runCase("a skipped first directory does not turn the next into append", async () => {
+  await withLawDirs(async (base) => {
+    const modes = [];
+    const run = async (_script, { env }) => modes.push(env.LAW_INGEST_MODE);
+    await ingestLawDirs([path.join(base, "missing"), path.join(base, "kschg")], { versionTag: "v", env: {}, run });
+    assert(modes.join() === "replace", `Modes: ${modes}`);
+  });
+});
+
+await runCase("a failing ingest stops the run", async () => {
+  await withLawDirs(async (base) => {
+    let calls = 0;
+    const run = async () => {
+      calls += 1;
+      throw new Error("ingest-laws.js exited with code 1");
+    };
+    try {
+      await ingestLawDirs([path.join(base, "burlg"), path.join(base, "kschg")], { versionTag: "v", env: {}, run });
+      throw new Error("Failure swallowed");
+    } catch (error) {
+      assert(/exited with code 1/.test(error.message) && calls === 1, error.message);
+    }
+  });
+});
+
+function createCountClient(countsByTag, activeTag) {
+  return {
+    async query(sql, params = []) {
+      if (sql.includes("FROM law_dataset_meta")) return { rows: activeTag ? [{ value: activeTag }] : [] };
+      if (sql.includes("count(DISTINCT law)")) {
+        const c = countsByTag[params[0]] || { chunks: 0, laws: 0 };
+        return { rows: [{ chunks: c.chunks, laws: c.laws, empty_texts: 0, documents: c.laws }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+}
+
+async function captureConsole(fn) {
+  const lines = [];
+  const { log, warn } = console;
+  console.log = (...args) => lines.push(["log", ...args]);
+  console.warn = (...args) => lines.push(["warn", ...args]);
+  try {
+    return { result: await fn(), lines };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+await runCase("a pack-only version is reported as partial, without promote advice", async () => {
+  const client = createCountClient({ packs: { chunks: 400, laws: 2 }, full: { chunks: 90000, laws: 6000 } }, "full");
+  const { result, lines } = await captureConsole(() => reportStagedVersion(client, "packs"));
+  assert(result.ok === false && result.activeVersionTag === "full", JSON.stringify(result));
+  assert(lines.some(([kind, tag]) => kind === "warn" && tag === "LAW_VERSION_PARTIAL"), "No LAW_VERSION_PARTIAL warning");
+  assert(!lines.some((l) => /laws:promote|LAW_VERIFY_MAX_SHRINK/.test(l.join(" "))), "Partial version advised for promotion");
+});
+
+await runCase("a full version or a first import gets the verify and promote advice", async () => {
+  const full = createCountClient({ next: { chunks: 90500, laws: 6002 }, full: { chunks: 90000, laws: 6000 } }, "full");
+  const first = createCountClient({ packs: { chunks: 400, laws: 2 } }, null);
+  for (const [client, tag] of [[full, "next"], [first, "packs"]]) {
+    const { result, lines } = await captureConsole(() => reportStagedVersion(client, tag));
+    assert(result.ok === true, JSON.stringify(result));
+    assert(lines.some((l) => l.join(" ").includes(`laws:promote -- ${tag}`)), `No promote advice for ${tag}`);
+  }
+});
+
+if (!process.exitCode) {
+  console.log("All law dir ingest tests passed.");
+}
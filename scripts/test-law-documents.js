@@ -0,0 +1,93 @@
+import {
+  buildLawDocumentRecord,
+  createLawDocuments,
+  formatLawStatusForPrompt,
+  parseAmendmentDate,
+  parseBuilddate,
+  summarizeLawStatus,
+} from "../src/laws/lawDocuments.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const METADATA = {
+  doknr: "BJNR000020963",
+  builddate: "20240215213015",
+  jurabk: "BUrlG",
+  amtabk: null,
+  langue: "Mindesturlaubsgesetz für Arbeitnehmer",
+  kurzue: "Bundesurlaubsgesetz",
+  ausfertigungDatum: "1963-01-08",
+  fundstellen: [{ periodikum: "BGBl I", zitstelle: "1963, 2" }],
+  standangaben: [
+    { typ: "Stand", kommentar: "Zuletzt geändert durch Art. 3 Abs. 3 G v. 20.4.2013 I 868" },
+    { typ: "Hinweis", kommentar: "Änderung durch Art. 7 G v. 22.12.2023 I Nr. 411 textlich nachgewiesen, dokumentarisch noch nicht abschließend bearbeitet" },
+  ],
+};
+
+await runCase("gii dates are normalized", () => {
+  assert(parseBuilddate("20240215213015") === "2024-02-15T21:30:15Z", "builddate");
+  assert(parseBuilddate("") === null, "empty builddate");
+  assert(parseAmendmentDate("Neugefasst durch Bek. v. 2.1.2002 I 42; zuletzt geändert durch Art. 1 G v. 7.2.2024") === "2024-02-07", "last v. date wins");
+  assert(parseAmendmentDate("kein Datum") === null, "no date");
+});
+
+await runCase("record splits standangaben and flags Hinweis as pending amendment", () => {
+  const record = buildLawDocumentRecord(METADATA, { lawCode: "BUrlG", source: "/x/burlg/BJNR000020963.xml" });
+  assert(record.title === "Mindesturlaubsgesetz für Arbeitnehmer" && record.shortTitle === "Bundesurlaubsgesetz", "titles");
+  assert(record.standText.startsWith("Zuletzt geändert"), "stand text");
+  assert(record.hinweisText.includes("noch nicht abschließend"), "hinweis text");
+  assert(record.pendingAmendment === true, "pending flag");
+  assert(record.lastAmendedOn === "2013-04-20", `lastAmendedOn ${record.lastAmendedOn}`);
+  assert(record.ausfertigungDatum === "1963-01-08" && record.builddate === "2024-02-15T21:30:15Z", "dates");
+
+  const plain = buildLawDocumentRecord({ standangaben: [] }, { lawCode: "AMHV" });
+  assert(plain.pendingAmendment === false && plain.standText === null, "law without standangaben");
+});
+
+await runCase("getByLawCodes queries code variants and keeps one row per law", async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return {
+        rows: [
+          { version_tag: "2026-02-01", law_code: "SGB 2", builddate: new Date("2026-01-30T10:00:00Z"), last_amended_on: new Date("2025-12-01T00:00:00Z"), pending_amendment: false },
+          { version_tag: "2026-01-01", law_code: "SGB 2", builddate: null, pending_amendment: true },
+        ],
+      };
+    },
+  };
+  const docs = await createLawDocuments(pool).getByLawCodes(["SGB II", null]);
+  assert(calls[0].params[0] === null && calls[0].params[1].includes("sgb 2"), "variants/version params");
+  assert(docs.length === 1 && docs[0].versionTag === "2026-02-01", "latest version only");
+  assert(docs[0].builddate === "2026-01-30T10:00:00.000Z" && docs[0].lastAmendedOn === "2025-12-01", "date mapping");
+  assert((await createLawDocuments(pool).getByLawCodes([])).length === 0 && calls.length === 1, "empty input skips query");
+});
+
+await runCase("prompt status carries date and pending warning", () => {
+  const record = buildLawDocumentRecord(METADATA, { lawCode: "BUrlG" });
+  const text = formatLawStatusForPrompt([record]);
+  assert(text.includes("по состоянию на 15.02.2024"), `missing date: ${text}`);
+  assert(text.includes("PENDING_AMENDMENT"), "missing pending marker");
+  const status = summarizeLawStatus(record);
+  assert(status.asOf === "2024-02-15" && status.pendingAmendment && status.law === "BUrlG", "summary");
+  assert(formatLawStatusForPrompt([]) === "", "empty list");
+});
+
+if (!process.exitCode) {
+  console.log("All law documents tests passed.");
+}
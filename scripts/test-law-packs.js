@@ -0,0 +1,126 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ensureLawXml, parseGiiToc, parseLawPacks, resolveLawPacks } from "../src/ingest/giiToc.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const HARVEST_DIR = path.join(process.cwd(), "kb", "laws_xml", "downloads", "2026-02-01");
+
+const TOC = `<?xml version="1.0" encoding="UTF-8" ?>
+<items>
+<item>
+<title>Bürgerliches Gesetzbuch</title>
+<link>http://www.gesetze-im-internet.de/bgb/xml.zip</link>
+</item>
+<item>
+<title>Mindesturlaubsgesetz für Arbeitnehmer</title>
+<link>http://www.gesetze-im-internet.de/burlg/xml.zip</link>
+</item>
+<item>
+<title>Verordnung über die Aufstellung von Betriebskosten</title>
+<link>http://www.gesetze-im-internet.de/betrkv/xml.zip</link>
+</item>
+<item>
+<title>Verordnung über Mietspiegel &quot;MsV&quot;</title>
+<link>http://www.gesetze-im-internet.de/msv/xml.zip</link>
+</item>
+</items>`;
+
+await runCase("gii-toc items carry slug, decoded title and link", () => {
+  const items = parseGiiToc(TOC);
+  assert(items.length === 4, `Items: ${items.length}`);
+  assert(items[0].slug === "bgb" && items[0].link.endsWith("/bgb/xml.zip"), "Slug from link");
+  assert(items[3].title === 'Verordnung über Mietspiegel "MsV"', `Entities not decoded: ${items[3].title}`);
+});
+
+await runCase("the shipped pack config is valid against the harvest toc", async () => {
+  const packs = parseLawPacks(JSON.parse(await fs.readFile(path.join(process.cwd(), "kb", "law-packs.json"), "utf8")));
+  const names = packs.map((p) => p.name);
+  for (const name of ["labor", "tenancy", "social", "traffic", "consumer", "insurance"]) {
+    assert(names.includes(name), `Pack ${name} missing`);
+  }
+  const toc = parseGiiToc(await fs.readFile(path.join(HARVEST_DIR, "gii-toc.xml"), "utf8"));
+  const { laws, missing } = resolveLawPacks(packs, ["all"], toc);
+  assert(missing.length === 0, `Unknown law codes: ${JSON.stringify(missing)}`);
+  assert(laws[0].slug === "burlg" && laws[0].packs.includes("labor"), "Labor pack should come first");
+});
+
+await runCase("packs resolve by priority, codes first, then title patterns", () => {
+  const packs = parseLawPacks({
+    tenancy: { priority: 2, laws: ["BGB", "betrkv", "nope"], titlePatterns: ["mietspiegel"] },
+    labor: { priority: 1, laws: ["burlg", "bgb"] },
+  });
+  const { laws, missing } = resolveLawPacks(packs, [], parseGiiToc(TOC));
+  assert(laws.map((l) => l.slug).join() === "burlg,bgb,betrkv,msv", `Order: ${laws.map((l) => l.slug)}`);
+  assert(laws[1].packs.join() === "labor,tenancy", "Shared law should list both packs");
+  assert(missing.length === 1 && missing[0].law === "nope", "Unknown code should be reported");
+
+  const tenancyOnly = resolveLawPacks(packs, ["tenancy"], parseGiiToc(TOC));
+  assert(!tenancyOnly.laws.some((l) => l.slug === "burlg"), "Unselected pack leaked in");
+});
+
+await runCase("invalid pack configs and unknown packs are rejected", () => {
+  const throws = (fn) => {
+    try {
+      fn();
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  assert(throws(() => parseLawPacks({ empty: { laws: [] } })), "Empty pack accepted");
+  assert(throws(() => parseLawPacks({ bad: { titlePatterns: ["("] } })), "Broken regex accepted");
+  const packs = parseLawPacks({ labor: { laws: ["burlg"] } });
+  assert(throws(() => resolveLawPacks(packs, ["tenancy"], [])), "Unknown pack accepted");
+});
+
+await runCase("law XML comes from the harvest zip, else is downloaded", async () => {
+  const targetDir = await fs.mkdtemp(path.join(os.tmpdir(), "law-packs-"));
+  try {
+    const [, burlg] = parseGiiToc(TOC);
+    const noNetwork = async () => {
+      throw new Error("network used");
+    };
+    const fromHarvest = await ensureLawXml(burlg, { targetDir, harvestDir: HARVEST_DIR, fetchImpl: noNetwork });
+    assert(fromHarvest.origin === "harvest", `Origin: ${fromHarvest.origin}`);
+    const again = await ensureLawXml(burlg, { targetDir, harvestDir: HARVEST_DIR, fetchImpl: noNetwork });
+    assert(again.origin === "present", "Unpacked law should be reused");
+    await fs.writeFile(path.join(again.dir, "stale.xml"), "<dokumente/>");
+    const refreshed = await ensureLawXml(burlg, { targetDir, harvestDir: HARVEST_DIR, refresh: true, fetchImpl: noNetwork });
+    const refreshedFiles = await fs.readdir(refreshed.dir);
+    assert(refreshed.origin === "harvest" && !refreshedFiles.includes("stale.xml"), `Refresh: ${refreshed.origin} ${refreshedFiles}`);
+
+    const zip = await fs.readFile(path.join(HARVEST_DIR, "kschg.zip"));
+    const urls = [];
+    const fakeFetch = async (url) => {
+      urls.push(url);
+      return { ok: true, arrayBuffer: async () => zip };
+    };
+    const item = { slug: "kschg", title: "Kündigungsschutzgesetz", link: "http://www.gesetze-im-internet.de/kschg/xml.zip" };
+    const downloaded = await ensureLawXml(item, { targetDir, fetchImpl: fakeFetch });
+    assert(downloaded.origin === "download" && urls[0] === "https://www.gesetze-im-internet.de/kschg/xml.zip", urls.join());
+    const files = await fs.readdir(downloaded.dir);
+    assert(files.some((f) => f.endsWith(".xml")), `No XML unpacked: ${files}`);
+  } finally {
+    await fs.rm(targetDir, { recursive: true, force: true });
+  }
+});
+
+if (!process.exitCode) {
+  console.log("All law packs tests passed.");
+}
@@ -0,0 +1,148 @@
+import {
+  createLawVersionResolver,
+  formatLawVersionForPrompt,
+  parseAsOfDate,
+  pruneLawVersions,
+  retentionPolicyFromEnv,
+  selectVersionAsOf,
+  selectVersionsToPrune,
+  versionValidFrom,
+} from "../src/laws/lawVersions.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+await runCase("as_of accepts ISO and German dates and rejects the rest", () => {
+  assert(parseAsOfDate("2025-03-31") === "2025-03-31", "ISO date");
+  assert(parseAsOfDate("1.3.2025") === "2025-03-01", "German short date");
+  assert(parseAsOfDate("") === null && parseAsOfDate(undefined) === null, "Empty as_of is no as_of");
+  assert(throws(() => parseAsOfDate("2025-02-30")), "Impossible date accepted");
+  assert(throws(() => parseAsOfDate("last year")), "Free text accepted");
+});
+
+await runCase("valid_from defaults to a date-shaped version tag", () => {
+  assert(versionValidFrom("2026-02-01") === "2026-02-01", "Date tag");
+  assert(versionValidFrom("legacy", "01.01.2024") === "2024-01-01", "Explicit valid_from");
+  assert(/^\d{4}-\d{2}-\d{2}$/.test(versionValidFrom("labor-pack")), "Fallback to today");
+});
+
+await runCase("retention keeps the active version, the newest N and recent months", () => {
+  const versions = [
+    { versionTag: "2026-03-01", validFrom: "2026-03-01", status: "active" },
+    { versionTag: "2026-02-01", validFrom: "2026-02-01", status: "archived" },
+    { versionTag: "2026-01-01", validFrom: "2026-01-01", status: "archived" },
+    { versionTag: "2025-06-01", validFrom: "2025-06-01", status: "archived" },
+    { versionTag: "2025-01-01", validFrom: "2025-01-01", status: "archived" },
+    { versionTag: "2024-12-01", validFrom: "2024-12-01", status: "pruned" },
+    { versionTag: "2026-03-15", validFrom: "2026-03-15", status: "loading" },
+  ];
+  const pruned = selectVersionsToPrune(versions, { keepCount: 2 });
+  assert(pruned.join() === "2026-01-01,2025-06-01,2025-01-01", `Count policy: ${pruned}`);
+  const byAge = selectVersionsToPrune(versions, { keepCount: 2, keepMonths: 12, now: new Date("2026-03-10T00:00:00Z") });
+  assert(byAge.join() === "2025-01-01", `Age policy: ${byAge}`);
+  const activeOld = selectVersionsToPrune(
+    [
+      { versionTag: "new", validFrom: "2026-02-01", status: "archived" },
+      { versionTag: "rolled-back", validFrom: "2025-01-01", status: "active" },
+    ],
+    { keepCount: 1 }
+  );
+  assert(activeOld.length === 0, "Active version must never be pruned");
+});
+
+await runCase("pruning skips per-version tables that do not exist", async () => {
+  const calls = [];
+  const client = {
+    async query(sql, params = []) {
+      calls.push(sql);
+      if (sql.includes("FROM law_dataset_versions")) {
+        return {
+          rows: [
+            { version_tag: "2026-02-01", valid_from: "2026-02-01", status: "active" },
+            { version_tag: "2026-01-01", valid_from: "2026-01-01", status: "archived" },
+          ],
+        };
+      }
+      if (sql.includes("to_regclass")) return { rows: params[0].filter((t) => t !== "law_documents").map((name) => ({ name })) };
+      return { rows: [] };
+    },
+  };
+  const pruned = await pruneLawVersions(client, { keepCount: 1 });
+  const deletes = calls.filter((sql) => sql.startsWith("DELETE")).map((sql) => sql.split(" ")[2]);
+  assert(pruned.join() === "2026-01-01", `Pruned: ${pruned}`);
+  assert(deletes.join() === "law_chunks,law_catalog,law_norm_references,law_definitions", deletes.join());
+  assert(calls.some((sql) => sql.includes("SET status = 'pruned'")), "Version not marked pruned");
+});
+
+await runCase("retention policy is read from env with defaults", () => {
+  const defaults = retentionPolicyFromEnv({});
+  assert(defaults.keepCount === 12 && defaults.keepMonths === 0, JSON.stringify(defaults));
+  const policy = retentionPolicyFromEnv({ LAW_RETAIN_VERSIONS: "3", LAW_RETAIN_MONTHS: "24" });
+  assert(policy.keepCount === 3 && policy.keepMonths === 24, JSON.stringify(policy));
+});
+
+await runCase("a version left by a rollback is not picked for later dates", () => {
+  const versions = [
+    { versionTag: "2026-03-01", validFrom: "2026-03-01", status: "archived" },
+    { versionTag: "2026-02-01", validFrom: "2026-02-01", status: "active" },
+    { versionTag: "2026-01-01", validFrom: "2026-01-01", status: "archived" },
+  ];
+  assert(selectVersionAsOf(versions, "2026-03-15").versionTag === "2026-02-01", "Rolled-back version picked");
+  assert(selectVersionAsOf(versions, "2026-01-20").versionTag === "2026-01-01", "Older archived version");
+  const early = selectVersionAsOf(versions, "2025-06-01");
+  assert(early.versionTag === "2026-01-01" && early.exact === false, JSON.stringify(early));
+  assert(selectVersionAsOf([], "2026-01-01") === null, "No versions");
+});
+
+await runCase("resolver returns the version in force on the date", async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return {
+        rows: [
+          { version_tag: "2026-02-01", valid_from: "2026-02-01", status: "active" },
+          { version_tag: "2025-06-01", valid_from: "2025-06-01", status: "archived" },
+          { version_tag: "2025-01-01", valid_from: "2025-01-01", status: "archived" },
+        ],
+      };
+    },
+  };
+  const resolve = createLawVersionResolver(pool);
+  const inForce = await resolve("2025-09-30");
+  assert(inForce.versionTag === "2025-06-01" && inForce.exact && !inForce.isActive, "Archived version in force");
+  assert(calls[0].sql.includes("EXISTS (SELECT 1 FROM law_chunks"), "Pruned versions must be skipped");
+  const tooOld = await resolve("2020-01-01");
+  assert(tooOld.versionTag === "2025-01-01" && tooOld.exact === false, "Oldest retained version as fallback");
+
+  const prompt = formatLawVersionForPrompt(tooOld);
+  assert(prompt.includes("01.01.2025") && prompt.includes("01.01.2020"), `Dates missing: ${prompt}`);
+  assert(prompt.includes("No archived text from that date"), "Fallback warning missing");
+  assert(formatLawVersionForPrompt(null) === "", "No version, no block");
+});
+
+if (!process.exitCode) {
+  console.log("All law versions tests passed.");
+}
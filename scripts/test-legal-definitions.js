@@ -0,0 +1,162 @@
+import path from "path";
+import { createFakeProvider } from "../ai/providers/fake.js";
+import {
+  createLegalDefinitions,
+  definitionTermKey,
+  extractDefinitions,
+  pickDefinitionSources,
+  rebuildLegalDefinitions,
+  textTermKeys,
+} from "../src/laws/legalDefinitions.js";
+import { loadLegalDomains } from "../src/retrieval/legalDomains.js";
+import { createLegalRetrieval } from "../src/retrieval/legalRetrieval.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const terms = (text, title) => extractDefinitions(text, { title }).map((d) => d.term).join();
+
+await runCase("definitional sentences are detected", () => {
+  assert(terms("(1) Arbeitnehmer im Sinne dieses Gesetzes sind Arbeiter und Angestellte. Als Arbeitnehmer gelten auch Heimarbeiter.") === "Arbeitnehmer", "im Sinne, subject first");
+  assert(terms("Im Sinne dieses Gesetzes ist Arbeitsentgelt jede Vergütung.") === "Arbeitsentgelt", "im Sinne, inverted");
+  assert(
+    terms("(1) Im Sinne dieses Gesetzes sind:\n1. „Abfälle“ alle Stoffe, derer sich ihr Besitzer entledigt,\n2. „Erzeuger“ jede Person.") === "Abfälle,Erzeuger",
+    "Quoted terms of an enumeration"
+  );
+  const marked = extractDefinitions("Die Anfechtung muss ohne schuldhaftes Zögern (unverzüglich) (Legaldefinition) erfolgen.");
+  assert(marked[0]?.term === "unverzüglich" && !marked[0].text.includes("Legaldefinition"), JSON.stringify(marked));
+});
+
+await runCase("a plain 'X ist' sentence counts only under a title naming X", () => {
+  const text = "Verbraucher ist jede natürliche Person, die ein Rechtsgeschäft zu privaten Zwecken abschließt.";
+  assert(terms(text, "Verbraucher") === "Verbraucher", "Titled definition");
+  assert(terms(text, "Unternehmer") === "", "Other title");
+  assert(terms("Der Vermieter ist verpflichtet, die Mietsache zu erhalten.", "Pflichten des Vermieters") === "", "Obligation is no definition");
+});
+
+await runCase("inflected forms share the term key", () => {
+  assert(definitionTermKey("Verbrauchers") === definitionTermKey("Verbraucher"), "Genitive");
+  assert(definitionTermKey("erwerbsfähigen Leistungsberechtigten") === definitionTermKey("Erwerbsfähige Leistungsberechtigte"), "Adjective phrase");
+  const keys = textTermKeys("Ist der Widerruf des Verbrauchers wirksam?");
+  assert(keys.has(definitionTermKey("Verbraucher")) && keys.has("wirksam"), [...keys].join("|"));
+});
+
+const defRow = (term, law, section, normIndex) => ({
+  term,
+  term_key: definitionTermKey(term),
+  law,
+  section,
+  title: term,
+  absatz: null,
+  text: `${term} ist ...`,
+  source: `${law.toLowerCase()}.xml`,
+  norm_index: normIndex,
+});
+const verbraucher = defRow("Verbraucher", "BGB", "§ 13", 13);
+
+await runCase("definitions are picked for the question and for terms the sources use", () => {
+  const sources = [
+    { id: "S1", law: "BGB", section: "§ 355", text: "Dem Verbraucher steht ein Widerrufsrecht zu.", source: "bgb.xml", normIndex: 355 },
+    { id: "S2", law: "KSchG", section: "§ 1", text: "Die Kündigung des Arbeitsverhältnisses gegenüber einem Arbeitnehmer.", source: "kschg.xml", normIndex: 1 },
+  ];
+  const rows = [
+    verbraucher,
+    defRow("Arbeitnehmer", "BetrVG", "§ 5", 5),
+    defRow("Arbeitnehmer", "ArbZG", "§ 2", 2),
+    defRow("Wohnraum", "WoFG", "§ 2", 2),
+  ];
+  const picked = pickDefinitionSources(rows, { questionKeys: textTermKeys("Wohnraum Arbeitnehmer"), sources, maxDefinitions: 3 });
+  // Wohnraum: question term defined once; Arbeitnehmer: defined in laws not among the sources
+  assert(picked.map((p) => `${p.section} ${p.law}:${p.expandedFrom}`).join() === "§ 2 WoFG:null,§ 13 BGB:S1", JSON.stringify(picked));
+  assert(picked[1].expansion === "definition" && picked[1].context === "Legaldefinition: Verbraucher", JSON.stringify(picked[1]));
+  assert(pickDefinitionSources(rows, { questionKeys: new Set(), sources, maxDefinitions: 1 }).length === 1, "maxDefinitions");
+  const present = [...sources, { id: "S3", law: "BGB", section: "§ 13", text: "", source: "bgb.xml", normIndex: 13 }];
+  assert(!pickDefinitionSources(rows, { questionKeys: new Set(), sources: present }).length, "Defining norm already a source");
+});
+
+await runCase("rebuild stores definitions per Absatz", async () => {
+  const calls = [];
+  const client = {
+    async query(sql, params = []) {
+      calls.push({ sql, params });
+      if (sql.includes("SELECT DISTINCT source")) return { rows: [{ source: "bgb.xml" }] };
+      if (sql.includes("AND source = $2")) {
+        return {
+          rows: [
+            { law: "BGB", section: "§ 13", title: "Verbraucher", absatz: null, norm_index: 13, text: "Verbraucher ist jede natürliche Person, die" },
+            { law: "BGB", section: "§ 13", title: "Verbraucher", absatz: null, norm_index: 13, text: "ein Rechtsgeschäft abschließt." },
+            { law: "BGB", section: "§ 14", title: "Unternehmer", absatz: "1", norm_index: 14, text: "(1) Unternehmer ist eine natürliche Person." },
+          ],
+        };
+      }
+      return { rows: [] };
+    },
+  };
+  const result = await rebuildLegalDefinitions(client, { versionTag: "v2" });
+  assert(result.definitions === 2 && result.files === 1, JSON.stringify(result));
+  const del = calls.findIndex((c) => c.sql.startsWith("DELETE FROM law_definitions"));
+  const insert = calls.find((c) => c.sql.includes("INSERT INTO law_definitions"));
+  assert(del >= 0 && calls[del].params[0] === "v2" && calls.indexOf(insert) > del, "Version rows must be replaced");
+  assert(insert.params[1].join() === "Verbraucher,Unternehmer" && insert.params[7][0].endsWith("ein Rechtsgeschäft abschließt."), JSON.stringify(insert.params));
+  assert(insert.params[6].join() === ",1" && insert.params[9].join() === "13,14", JSON.stringify(insert.params));
+});
+
+await runCase("definitionsFor looks up the keys of the question and the sources at once", async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push(params);
+      return { rows: [verbraucher] };
+    },
+  };
+  const out = await createLegalDefinitions(pool).definitionsFor({
+    questionText: "Widerruf",
+    sources: [{ id: "S1", law: "BGB", text: "Der Verbraucher", source: "bgb.xml", normIndex: 355 }],
+    versionTag: "v1",
+  });
+  assert(calls.length === 1 && calls[0][0] === "v1", JSON.stringify(calls));
+  assert(calls[0][1].includes("widerruf") && calls[0][1].includes("verbraucher"), calls[0][1].join("|"));
+  assert(out.length === 1 && out[0].expandedFrom === "S1", JSON.stringify(out));
+});
+
+const legalDomains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+
+await runCase("retrieval adds definitions to LEGAL_SOURCES and their norms to the allowlist", async () => {
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes("active_version_tag")) return { rows: [{ version_tag: "v1" }] };
+      if (sql.includes("FROM law_chunks") && sql.includes("ORDER BY embedding")) {
+        return {
+          rows: [
+            { id: 1, law: "BGB", section: "§ 355", title: "Widerrufsrecht", text: "Dem Verbraucher steht ein Widerrufsrecht zu.", source: "bgb.xml", norm_index: 355, chunk_index: 0, score: 0.9 },
+          ],
+        };
+      }
+      if (sql.includes("FROM law_definitions")) return { rows: [verbraucher] };
+      return { rows: [] };
+    },
+  };
+  const retrieval = createLegalRetrieval({ pool, llm: createFakeProvider({ dimensions: 8 }), legalDomains, maxDefinitions: 2 });
+  const out = await retrieval.retrieve({ question: "Могу ли я отозвать договор, заключённый онлайн?" });
+  const sources = out.legalSourcesWithIds;
+  assert(sources.map((s) => `${s.id}:${s.section}`).join() === "S1:§ 355,S2:§ 13", sources.map((s) => `${s.id}:${s.section}`).join());
+  assert(sources[1].definedTerm === "Verbraucher" && sources[1].expandedFrom === "S1", JSON.stringify(sources[1]));
+  assert(out.normAllowlist.allowedNorms.has("§ 13 BGB"), [...out.normAllowlist.allowedNorms].join());
+});
+
+if (!process.exitCode) {
+  console.log("All legal definition tests passed.");
+}
@@ -0,0 +1,107 @@
+import fs from "fs/promises";
+import path from "path";
+import { buildFallbackQuery, buildLegalBasisQuery } from "../src/retrieval/legalBasisQuery.js";
+import { classifyLegalDomain, loadLegalDomains, parseLegalDomains } from "../src/retrieval/legalDomains.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const domains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+const classify = (text) => classifyLegalDomain(text, domains).domain.id;
+
+await runCase("questions are routed to their legal domain", () => {
+  const expected = {
+    "Какими законами регулируется выплата отпуска при увольнении?": "labor",
+    "Арендодатель не возвращает залог за квартиру, какой закон?": "tenancy",
+    "Jobcenter прислал решение о сокращении Bürgergeld, какие статьи?": "social",
+    "Пришёл штраф за превышение скорости, Bußgeldbescheid, какой параграф?": "traffic",
+    "Купил телефон в интернет-магазине, он бракованный, какой закон?": "consumer",
+    "Страховая отказала в выплате по страховому случаю, какой закон?": "insurance",
+    "Welche Paragraphen gelten für die Kündigung meiner Wohnung durch den Vermieter?": "tenancy",
+  };
+  for (const [text, id] of Object.entries(expected)) {
+    assert(classify(text) === id, `${text} -> ${classify(text)}, expected ${id}`);
+  }
+});
+
+await runCase("unclassified questions fall back to the general domain", () => {
+  const result = classifyLegalDomain("Какой закон это регулирует?", domains);
+  assert(result.domain.id === "general" && result.score === 0 && !result.candidates.length, JSON.stringify(result));
+});
+
+await runCase("law codes in the question count for their domain", () => {
+  const result = classifyLegalDomain("Was sagt § 3 StVO dazu?", domains);
+  assert(result.domain.id === "traffic" && result.score === 1, JSON.stringify(result.candidates));
+});
+
+await runCase("only labor vacation questions get the BUrlG hints", () => {
+  const vacation = "Какими законами регулируется выплата отпуска при увольнении?";
+  const q = buildLegalBasisQuery(vacation, classifyLegalDomain(vacation, domains).domain);
+  assert(q.startsWith("Arbeitsrecht | Urlaub"), q);
+  assert(q.includes("§ 7 Abs. 4 BUrlG") && q.includes("Beendigung des Arbeitsverhältnisses"), q);
+  assert(q.endsWith(vacation), "The question must stay in the query");
+
+  const tenancy = "Какой закон регулирует возврат залога за квартиру?";
+  const t = buildLegalBasisQuery(tenancy, classifyLegalDomain(tenancy, domains).domain);
+  assert(!t.includes("BUrlG") && !t.includes("Arbeitsrecht"), t);
+  assert(t.startsWith("Mietrecht | Wohnraummiete") && t.includes("§ 551 BGB"), t);
+});
+
+await runCase("general questions are not enriched with domain terms", () => {
+  const general = domains.find((d) => d.id === "general");
+  assert(buildLegalBasisQuery("Какой закон?", general) === "Rechtsgrundlage | Какой закон?", "General query");
+  assert(buildLegalBasisQuery("Какой закон?") === "Какой закон?", "Query without domain");
+  assert(buildFallbackQuery(general) === "", "General has no fallback terms");
+});
+
+await runCase("fallback query comes from the domain", () => {
+  const traffic = domains.find((d) => d.id === "traffic");
+  const q = buildFallbackQuery(traffic);
+  assert(q.startsWith("Verkehrsrecht | Bußgeldbescheid") && !q.includes("Urlaub"), q);
+});
+
+await runCase("every domain has law codes, fallback terms and a document request", () => {
+  for (const d of domains) {
+    assert(d.documentRequest, `${d.id}: documentRequest`);
+    if (d.id === "general") continue;
+    assert(d.patterns.length && d.lawCodes.length && d.fallbackTerms.length, `${d.id}: incomplete`);
+  }
+});
+
+await runCase("domain packs exist in kb/law-packs.json", async () => {
+  const packs = JSON.parse(await fs.readFile(path.join(process.cwd(), "kb", "law-packs.json"), "utf8"));
+  const unknown = domains.filter((d) => d.pack && !packs[d.pack]).map((d) => d.id);
+  assert(!unknown.length, `Unknown packs: ${unknown}`);
+});
+
+await runCase("invalid tables are rejected", () => {
+  for (const [raw, pattern] of [
+    [{ labor: { patterns: ["отпуск"] } }, /general/],
+    [{ labor: { patterns: ["(unclosed"] }, general: {} }, /labor: invalid pattern/],
+    [[], /object keyed by domain id/],
+  ]) {
+    try {
+      parseLegalDomains(raw);
+      throw new Error("Accepted an invalid table");
+    } catch (error) {
+      assert(pattern.test(error.message), error.message);
+    }
+  }
+});
+
+if (!process.exitCode) {
+  console.log("All legal domains tests passed.");
+}
@@ -0,0 +1,176 @@
+import path from "path";
+import { createFakeProvider } from "../ai/providers/fake.js";
+import { createLegalAnswerer, formatContextLaws } from "../ai/legalAnswer.js";
+import { buildNormAllowlist, enforceAnswerCitations, UNCONFIRMED_NORMS_TEXT } from "../src/guards/citationGuard.js";
+import { loadLegalDomains } from "../src/retrieval/legalDomains.js";
+import { createLegalRetrieval, mergeLegalSourcesUnique, promptSources } from "../src/retrieval/legalRetrieval.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const chunk = (id, law, section, text) => ({ id, law, section, title: "", absatz: null, context_header: "", text, source: `${law}.xml` });
+
+// law_chunks search answers from `chunksFor(lawCodes)`; records every vector query.
+function createFakePool({ chunksFor = () => [], catalog = [] } = {}) {
+  const vectorQueries = [];
+  const catalogQueries = [];
+  return {
+    vectorQueries,
+    catalogQueries,
+    async query(sql, params = []) {
+      if (sql.includes("active_version_tag")) return { rows: [{ version_tag: "2026-02-01" }] };
+      if (sql.includes("FROM law_catalog")) {
+        catalogQueries.push({ sql, params });
+        return { rows: catalog.map((law_code) => ({ law_code })) };
+      }
+      if (sql.includes("FROM law_chunks") && sql.includes("ORDER BY embedding")) {
+        vectorQueries.push({ sql, versionTag: params[1], lawCodes: params[3] });
+        return { rows: chunksFor(params[3]).map((r, i) => ({ ...r, score: 1 - i / 10 })) };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+const legalDomains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+const llm = createFakeProvider({ dimensions: 8 });
+
+await runCase("retrieval serves the effective version with cosine distance", async () => {
+  const pool = createFakePool({
+    chunksFor: () => [chunk(1, "BGB", "§ 551", "Mietsicherheit ... § 551 BGB")],
+    catalog: ["BGB"],
+  });
+  const retrieval = createLegalRetrieval({ pool, llm, legalDomains });
+  const out = await retrieval.retrieve({ question: "Какой закон регулирует залог за квартиру?" });
+  assert(pool.vectorQueries.every((q) => q.versionTag === "2026-02-01"), "Version tag not resolved");
+  assert(pool.vectorQueries.every((q) => q.sql.includes("<=>") && !q.sql.includes("<->")), "Chunks not searched by cosine");
+  assert(pool.catalogQueries[0].sql.includes("<=>"), "Catalog not searched by cosine");
+  assert(out.legalBasisMode && out.legalDomain.id === "tenancy", `${out.legalBasisMode} ${out.legalDomain.id}`);
+  assert(pool.vectorQueries[0].lawCodes.includes("BetrKV"), "Domain law codes not preferred");
+  assert(out.legalSourcesWithIds[0].id === "S1" && out.normAllowlist.allowedNorms.has("§ 551 BGB"), "Allowlist");
+  assert(!out.fallbackRetrievalUsed, "No fallback expected");
+});
+
+await runCase("an empty first pass falls back to the domain's terms and laws", async () => {
+  const pool = createFakePool({
+    chunksFor: () => (pool.vectorQueries.length > 1 ? [chunk(2, "StVO", "§ 3", "Geschwindigkeit")] : []),
+  });
+  const retrieval = createLegalRetrieval({ pool, llm, legalDomains });
+  const out = await retrieval.retrieve({ question: "Штраф за превышение скорости, какой закон?", versionTag: "2025-01-01" });
+  assert(out.fallbackRetrievalUsed && out.normAllowlist.allowedNorms.has("§ 3 StVO"), [...out.normAllowlist.allowedNorms].join());
+  const fallback = pool.vectorQueries[pool.vectorQueries.length - 1];
+  assert(fallback.versionTag === "2025-01-01" && fallback.lawCodes.join() === "StVO,StVG,BKatV,OWiG,FeV,PflVG", fallback.lawCodes.join());
+});
+
+await runCase("rewritten queries are retrieved and merged without duplicates", async () => {
+  const pool = createFakePool({ chunksFor: () => [chunk(3, "BUrlG", "§ 7", "Urlaub ... § 7 BUrlG")] });
+  const rewriteQuery = async () => ({ queries: ["Urlaubsabgeltung", "Urlaub Kündigung"], rechtsgebiet: "Arbeitsrecht", lawCodes: ["BUrlG"] });
+  const out = await createLegalRetrieval({ pool, llm, legalDomains, rewriteQuery }).retrieve({ question: "отпуск при увольнении" });
+  assert(pool.vectorQueries.length === 3, `Queries: ${pool.vectorQueries.length}`);
+  assert(out.legalSourcesWithIds.length === 1, `Sources: ${out.legalSourcesWithIds.length}`);
+});
+
+await runCase("carried sources of another version are dropped", async () => {
+  const pool = createFakePool();
+  const carriedSources = [
+    { law: "BGB", section: "§ 535", text: "alt", versionTag: "2024-01-01" },
+    { law: "BGB", section: "§ 536", text: "neu", versionTag: "2026-02-01" },
+  ];
+  const out = await createLegalRetrieval({ pool, llm, legalDomains }).retrieve({
+    question: "а если квартира с плесенью?",
+    carriedSources,
+    versionTag: "2026-02-01",
+  });
+  assert(out.legalSourcesWithIds.map((s) => s.section).join() === "§ 536", out.legalSourcesWithIds.map((s) => s.section).join());
+});
+
+await runCase("without a database retrieval is empty", async () => {
+  const retrieval = createLegalRetrieval({ pool: null, llm, legalDomains });
+  const out = await retrieval.retrieve({ question: "Какой закон?" });
+  assert(!out.legalSourcesWithIds.length && (await retrieval.getEffectiveVersionTag()) === null, "Expected nothing");
+});
+
+await runCase("merge keeps the first occurrence of a source", () => {
+  const a = { law: "BGB", section: "§ 1", text: "x", score: 1 };
+  const merged = mergeLegalSourcesUnique([a], [{ ...a, score: 2 }, { law: "BGB", section: "§ 2", text: "y" }]);
+  assert(merged.length === 2 && merged[0].score === 1, JSON.stringify(merged));
+});
+
+const allowlist = buildNormAllowlist([{ id: "S1", law: "BGB", section: "§ 823", absatz: "1", text: "" }]);
+
+await runCase("enforcement removes, upgrades and requires allowed norms", () => {
+  const out = enforceAnswerCitations("Nach § 823 BGB und § 1 StVO ...", allowlist);
+  assert(out.text === "Nach § 823 BGB und соответствующая норма ...", out.text);
+  assert(out.removedNorms.join() === "§ 1 StVO" && out.hasAllowedNormInAnswer, JSON.stringify(out));
+
+  const required = enforceAnswerCitations("Никаких норм.", allowlist, { requireAllowedNorm: true, documentRequest: "Пришлите письмо." });
+  assert(required.text === `${UNCONFIRMED_NORMS_TEXT} Пришлите письмо.`, required.text);
+});
+
+await runCase("/api/legal answers go through the same retrieval and guard", async () => {
+  const prompts = [];
+  const answer = createLegalAnswerer({
+    llmCall: async ({ user }) => {
+      prompts.push(user);
+      return "Нормы: § 823 Abs. 1 BGB [S1], § 999 ZPO";
+    },
+    retrieve: async ({ question, versionTag }) => {
+      assert(question === "Кто платит за ущерб?" && versionTag === "v1", "Retrieve arguments");
+      return {
+        legalBasisMode: false,
+        legalDomain: legalDomains.find((d) => d.id === "general"),
+        legalSourcesWithIds: [{ id: "S1", law: "BGB", section: "§ 823", absatz: "1", text: "Schadensersatz" }],
+        normAllowlist: allowlist,
+      };
+    },
+  });
+  const out = await answer("Кто платит за ущерб?", { versionTag: "v1" });
+  assert(prompts[0].includes("[S1] LAW: BGB | SECTION: § 823") && prompts[0].includes("§ 823 Abs. 1 BGB"), prompts[0]);
+  assert(out.answer === "Нормы: § 823 Abs. 1 BGB [S1], соответствующая норма", out.answer);
+  assert(out.used_context && out.sources[0].id === "S1", JSON.stringify(out.sources));
+});
+
+await runCase("prompt sources keep only the quotable fields", () => {
+  const [src] = promptSources([
+    {
+      id: "S1",
+      law: "BGB",
+      section: "§ 823",
+      absatz: "1",
+      title: "Schadensersatzpflicht",
+      context: "Buch 2",
+      text: "Wer vorsätzlich ...",
+      source: "kb/laws_xml/bgb/BJNR001950896.xml",
+      score: 0.91,
+      chunkId: 42,
+      normIndex: 900,
+      chunkIndex: 0,
+      expansion: "sibling",
+    },
+  ]);
+  const keys = Object.keys(src).sort().join();
+  assert(keys === "absatz,context,id,law,section,text,title", `Keys: ${keys}`);
+  assert(src.id === "S1" && src.text === "Wer vorsätzlich ...", JSON.stringify(src));
+});
+
+await runCase("context laws are truncated per source", () => {
+  const text = formatContextLaws([{ id: "S2", law: "BGB", text: "x".repeat(50) }], { maxChunkChars: 10 });
+  assert(text === `[S2] LAW: BGB\nTEXT:\n${"x".repeat(10)}…`, text);
+});
+
+if (!process.exitCode) {
+  console.log("All legal retrieval tests passed.");
+}
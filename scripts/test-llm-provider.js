@@ -0,0 +1,103 @@
+import { createFakeProvider, createOpenAICompatibleProvider, createLlmProvider } from "../ai/providers/index.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const schema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    analysis: { type: "string" },
+    riskLevel: { type: "string", enum: ["low", "medium", "high"] },
+  },
+  required: ["analysis", "riskLevel"],
+};
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+await runCase("env selects the fake backend", () => {
+  const llm = createLlmProvider({ LLM_PROVIDER: "fake", LLM_EMBEDDING_DIMENSIONS: "64" });
+  assert(llm.name === "fake", "Fake provider not selected");
+});
+
+await runCase("fake embeddings are deterministic and normalized", async () => {
+  const llm = createFakeProvider({ dimensions: 64 });
+  const [a] = await llm.embed("Urlaubsabgeltung bei Kündigung");
+  const [b] = await llm.embed("Urlaubsabgeltung bei Kündigung");
+  const [c] = await llm.embed("Mietminderung wegen Schimmel");
+  assert(a.length === 64, "Wrong dimensions");
+  assert(a.every((v, i) => v === b[i]), "Embedding not deterministic");
+  assert(Math.abs(cosine(a, a) - 1) < 1e-9, "Embedding not normalized");
+  assert(cosine(a, b) > cosine(a, c), "Similar texts should be closer");
+});
+
+await runCase("fake strict JSON satisfies the schema", async () => {
+  const llm = createFakeProvider();
+  const out = await llm.chatJSON({ system: "s", user: "Frage", schema, schemaName: "t" });
+  assert(typeof out.analysis === "string" && out.analysis.includes("Frage"), "analysis missing");
+  assert(out.riskLevel === "low", "enum should take first value");
+});
+
+await runCase("fake JSON stream reassembles to the returned object", async () => {
+  const llm = createFakeProvider({ streamChunkSize: 5 });
+  let streamed = "";
+  const out = await llm.chatJSONStream({ user: "Frage", schema, schemaName: "t", onDelta: (d) => (streamed += d) });
+  assert(JSON.stringify(out) === streamed, "Streamed content differs from result");
+});
+
+await runCase("OpenAI-compatible backend needs no key for local endpoints", async () => {
+  let seen = null;
+  const llm = createOpenAICompatibleProvider({
+    baseUrl: "http://localhost:11434/v1/",
+    fetchImpl: async (url, init) => {
+      seen = { url, headers: init.headers, body: JSON.parse(init.body) };
+      return { ok: true, json: async () => ({ data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] }) };
+    },
+  });
+  const out = await llm.embed(["a", "b"]);
+  assert(seen.url === "http://localhost:11434/v1/embeddings", `Unexpected url ${seen.url}`);
+  assert(!("Authorization" in seen.headers), "No Authorization header expected");
+  assert(out[0][0] === 1 && out[1][0] === 2, "Embeddings must follow input order");
+});
+
+await runCase("OpenAI backend requires a key and reports Retry-After", async () => {
+  const noKey = createOpenAICompatibleProvider({ fetchImpl: async () => ({ ok: true }) });
+  let threw = false;
+  try {
+    noKey.ensureConfigured();
+  } catch {
+    threw = true;
+  }
+  assert(threw, "Missing key must throw for api.openai.com");
+
+  const limited = createOpenAICompatibleProvider({
+    apiKey: "k",
+    fetchImpl: async () => ({ ok: false, status: 429, headers: new Headers({ "retry-after": "3" }) }),
+  });
+  try {
+    await limited.embed("x");
+    throw new Error("Expected HTTP error");
+  } catch (error) {
+    assert(error.status === 429, "status missing on error");
+    assert(error.retryAfterMs === 3000, `retryAfterMs wrong: ${error.retryAfterMs}`);
+  }
+});
+
+if (!process.exitCode) {
+  console.log("All LLM provider tests passed.");
+}
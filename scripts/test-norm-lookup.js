@@ -0,0 +1,71 @@
+import { createNormLookup, parseCitedNorms, parseNormCitation } from "../src/retrieval/normLookup.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+await runCase("parses section, Absatz and law code", () => {
+  const [c] = parseCitedNorms("что говорит § 7 Abs. 4 BUrlG?");
+  assert(c, "Citation not found");
+  assert(c.section === "§ 7", `Unexpected section ${c.section}`);
+  assert(c.absatz === "4", `Unexpected Absatz ${c.absatz}`);
+  assert(c.law === "BUrlG", `Unexpected law ${c.law}`);
+});
+
+await runCase("parses several citations including Art. and numbered codes", () => {
+  const cited = parseCitedNorms("§ 622 BGB, Art. 6 Abs. 1 DSGVO und § 31 SGB II");
+  const norms = cited.map((c) => `${c.section} ${c.law}`);
+  assert(norms.includes("§ 622 BGB"), "Missing § 622 BGB");
+  assert(norms.includes("Art. 6 DSGVO"), "Missing Art. 6 DSGVO");
+  assert(norms.includes("§ 31 SGB II"), "Missing § 31 SGB II");
+});
+
+await runCase("ignores citations without law code", () => {
+  assert(parseCitedNorms("siehe § 7").length === 0, "Bare section must not be looked up");
+  assert(parseNormCitation("§ 7") === null, "Bare section must parse to null");
+});
+
+// Orders like Postgres: the Absatz key is NULL for chunks without absatz unless it is
+// wrapped in COALESCE, and NULL sorts first under DESC.
+function fakeChunkPool(rows) {
+  return {
+    async query(sql, params) {
+      const coalesced = /ORDER BY COALESCE\(absatz = \$5, false\) DESC/.test(sql);
+      const rank = (r) => {
+        const key = r.absatz === null ? (coalesced ? false : null) : r.absatz === params[4];
+        return key === null ? 0 : key ? 1 : 2;
+      };
+      const sorted = rows.slice().sort((a, b) => rank(a) - rank(b) || a.id - b.id);
+      return { rows: sorted.slice(0, params[3]) };
+    },
+  };
+}
+
+await runCase("cited Absatz ranks before chunks without absatz", async () => {
+  const rows = [
+    { id: 1, law: "BUrlG", section: "§ 7", absatz: null, text: "Zeitpunkt, Übertragbarkeit und Abgeltung des Urlaubs" },
+    { id: 2, law: "BUrlG", section: "§ 7", absatz: null, text: "Fußnote" },
+    { id: 3, law: "BUrlG", section: "§ 7", absatz: "1", text: "(1) ..." },
+    { id: 4, law: "BUrlG", section: "§ 7", absatz: "4", text: "(4) Kann der Urlaub ..." },
+  ];
+  const lookup = createNormLookup(fakeChunkPool(rows), { maxChunksPerNorm: 2 });
+  const out = await lookup("§ 7 Abs. 4 BUrlG");
+  assert(out[0]?.id === 4, `Cited Absatz must come first: ${out.map((r) => r.id).join()}`);
+  assert(out.map((r) => r.id).join() === "4,1", out.map((r) => r.id).join());
+});
+
+if (!process.exitCode) {
+  console.log("All norm lookup tests passed.");
+}
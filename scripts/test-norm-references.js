@@ -0,0 +1,188 @@
+import path from "path";
+import { createFakeProvider } from "../ai/providers/fake.js";
+import {
+  buildNormIndex,
+  createNormReferences,
+  extractReferences,
+  rebuildNormReferences,
+  resolveReferences,
+} from "../src/laws/normReferences.js";
+import { loadLegalDomains } from "../src/retrieval/legalDomains.js";
+import { createLegalRetrieval } from "../src/retrieval/legalRetrieval.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const norms = [
+  { law: "BGB", section: "§ 573", source: "bgb.xml", norm_index: 10 },
+  { law: "BGB", section: "§ 574", source: "bgb.xml", norm_index: 11 },
+  { law: "BGB", section: "§ 626", source: "bgb.xml", norm_index: 40 },
+  { law: "SGB 2", section: "§ 7", source: "sgb2.xml", norm_index: 3 },
+  { law: "GG", section: "Art. 6", source: "gg.xml", norm_index: 6 },
+];
+const index = buildNormIndex(norms);
+const from = { law: "BGB", section: "§ 573", source: "bgb.xml", normIndex: 10 };
+const targets = (edges) => edges.map((e) => `${e.toSection} ${e.toLaw}`).join();
+
+await runCase("references are read with the citation grammar", () => {
+  const refs = extractReferences("§ 626 BGB gilt entsprechend, nach Maßgabe des § 11 Absatz 2 Satz 1 und Art. 6 Abs. 1 GG.");
+  assert(refs.map((r) => `${r.section}|${r.absatz || ""}|${r.law || ""}`).join() === "§ 626||BGB,§ 11|2|,Art. 6|1|GG", JSON.stringify(refs));
+  assert(extractReferences("nach § 5 Satz 2 Nummer 3")[0].law === null, "Satz is not a law code");
+  assert(extractReferences("§ 7 des Bundesurlaubsgesetzes")[0].namedLaw, "Law named in words");
+});
+
+await runCase("citations without a law code point into the citing law", () => {
+  const edges = resolveReferences({ ...from, text: "Die §§ 574 bis 574c gelten entsprechend. § 626 gilt nicht." }, index);
+  assert(targets(edges) === "§ 574 BGB,§ 626 BGB", targets(edges));
+  assert(edges[0].fromSource === "bgb.xml" && edges[0].fromNormIndex === 10 && edges[0].toNormIndex === 11, JSON.stringify(edges[0]));
+});
+
+await runCase("other laws resolve by code, SGB II as stored", () => {
+  const edges = resolveReferences({ ...from, text: "Leistungen nach § 7 SGB II und Art. 6 Abs. 1 GG bleiben unberührt." }, index);
+  assert(targets(edges) === "§ 7 SGB 2,Art. 6 GG", targets(edges));
+  assert(edges[1].toAbsatz === "1" && edges[1].citedAs === "Art. 6 Abs. 1 GG", JSON.stringify(edges[1]));
+});
+
+await runCase("unknown laws, laws named in words, self-references and repeats are dropped", () => {
+  const edges = resolveReferences(
+    {
+      ...from,
+      text: "§ 574 KSchG, § 7 des Bundesurlaubsgesetzes, § 573 Abs. 2, § 574 und nochmals § 574 Absatz 1.",
+    },
+    index
+  );
+  assert(targets(edges) === "§ 574 BGB", targets(edges));
+});
+
+await runCase("rebuild replaces a version's edges file by file", async () => {
+  const calls = [];
+  const texts = {
+    "bgb.xml": [
+      { law: "BGB", section: "§ 573", norm_index: 10, text: "(1) Der Vermieter kann nur kündigen," },
+      { law: "BGB", section: "§ 573", norm_index: 10, text: "wenn § 626 nicht entgegensteht." },
+      { law: "BGB", section: "§ 574", norm_index: 11, text: "Kein Verweis." },
+    ],
+    "sgb2.xml": [{ law: "SGB 2", section: "§ 7", norm_index: 3, text: "§ 573 BGB bleibt unberührt." }],
+  };
+  const client = {
+    async query(sql, params = []) {
+      calls.push({ sql, params });
+      if (sql.includes("SELECT DISTINCT law, section, source, norm_index")) return { rows: norms };
+      if (sql.includes("AND source = $2")) return { rows: texts[params[1]] || [] };
+      return { rows: [] };
+    },
+  };
+  const result = await rebuildNormReferences(client, { versionTag: "v2" });
+  assert(result.references === 2 && result.norms === norms.length, JSON.stringify(result));
+  const del = calls.findIndex((c) => c.sql.startsWith("DELETE FROM law_norm_references"));
+  const inserts = calls.filter((c) => c.sql.includes("INSERT INTO law_norm_references"));
+  assert(del >= 0 && calls[del].params[0] === "v2", "Version rows must be deleted");
+  assert(inserts.length === 2 && calls.indexOf(inserts[0]) > del, "One insert per file with edges, after the delete");
+  // the split norm is read as one text
+  assert(inserts[0].params[7].join() === "bgb.xml" && inserts[0].params[8].join() === "40", JSON.stringify(inserts[0].params));
+  assert(inserts[1].params[1].join() === "SGB 2" && inserts[1].params[6].join() === "§ 573", JSON.stringify(inserts[1].params));
+});
+
+const chunkRow = (id, law, section, source, normIndex, extra = {}) => ({
+  id,
+  law,
+  section,
+  title: "",
+  absatz: "1",
+  context_header: "",
+  text: `Text ${section} ${law}`,
+  source,
+  norm_index: normIndex,
+  chunk_index: 0,
+  ...extra,
+});
+
+await runCase("referencesFrom keeps the hits' order and each target once", async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return {
+        rows: [
+          chunkRow(3, "BGB", "§ 626", "bgb.xml", 40, { from_source: "sgb2.xml", from_norm_index: 3, cited_as: "§ 626 BGB", ord: "2" }),
+          chunkRow(1, "BGB", "§ 574", "bgb.xml", 11, { from_source: "bgb.xml", from_norm_index: 10, cited_as: "§ 574", ord: "1" }),
+          chunkRow(3, "BGB", "§ 626", "bgb.xml", 40, { from_source: "bgb.xml", from_norm_index: 10, cited_as: "§ 626", ord: "1" }),
+        ],
+      };
+    },
+  };
+  const refs = await createNormReferences(pool).referencesFrom(
+    [
+      { source: "bgb.xml", normIndex: 10 },
+      { source: "sgb2.xml", normIndex: 3 },
+      { law: "BGB", section: "§ 1", text: "carried" },
+    ],
+    { versionTag: "v1", limit: 5 }
+  );
+  assert(refs.map((r) => r.section).join() === "§ 574,§ 626" && refs[1].from_source === "bgb.xml", JSON.stringify(refs));
+  assert(calls[0].params[1].join() === "bgb.xml,sgb2.xml" && calls[0].params[2].join() === "10,3", JSON.stringify(calls[0].params));
+});
+
+await runCase("referencedBy narrows to one norm when source and norm index are given", async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push(params);
+      return { rows: [{ law: "BGB", section: "§ 573", title: null }] };
+    },
+  };
+  const refs = createNormReferences(pool);
+  const out = await refs.referencedBy("BGB", "§ 574", { versionTag: "v1", source: "bgb.xml", normIndex: 11 });
+  await refs.referencedBy("BGB", "§ 574", { versionTag: "v1" });
+  assert(out[0].section === "§ 573" && out[0].title === null, JSON.stringify(out));
+  assert(calls[0][3] === "bgb.xml" && calls[0][4] === 11, JSON.stringify(calls[0]));
+  assert(calls[1][3] === null && calls[1][4] === null, JSON.stringify(calls[1]));
+});
+
+const legalDomains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+
+await runCase("retrieval adds referenced norms after the hits", async () => {
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes("active_version_tag")) return { rows: [{ version_tag: "v1" }] };
+      if (sql.includes("FROM law_chunks") && sql.includes("ORDER BY embedding")) {
+        return { rows: [{ ...chunkRow(1, "BGB", "§ 573", "bgb.xml", 10), score: 0.9 }] };
+      }
+      if (sql.includes("JOIN law_norm_references")) {
+        assert(params[0] === "v1", `Version: ${params[0]}`);
+        return {
+          rows: [chunkRow(2, "BGB", "§ 574", "bgb.xml", 11, { from_source: "bgb.xml", from_norm_index: 10, cited_as: "§ 574", ord: "1" })],
+        };
+      }
+      return { rows: [] };
+    },
+  };
+  const retrieval = createLegalRetrieval({
+    pool,
+    llm: createFakeProvider({ dimensions: 8 }),
+    legalDomains,
+    referenceNorms: 3,
+  });
+  const out = await retrieval.retrieve({ question: "Может ли арендодатель расторгнуть договор аренды?" });
+  const sources = out.legalSourcesWithIds;
+  assert(sources.map((s) => `${s.id}:${s.section}`).join() === "S1:§ 573,S2:§ 574", sources.map((s) => `${s.id}:${s.section}`).join());
+  assert(sources[1].expandedFrom === "S1" && sources[1].expansion === "reference", JSON.stringify(sources[1]));
+  assert(out.normAllowlist.allowedNorms.has("§ 574 BGB"), [...out.normAllowlist.allowedNorms].join());
+});
+
+if (!process.exitCode) {
+  console.log("All norm reference tests passed.");
+}
@@ -0,0 +1,81 @@
+import { createFakeProvider } from "../ai/providers/fake.js";
+import { normalizeLawCode } from "../src/retrieval/normLookup.js";
+import { createQueryRewriter, normalizeRewrite } from "../src/retrieval/queryRewrite.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+await runCase("law codes are normalized as stored in law_chunks", () => {
+  assert(normalizeLawCode(" SGB II ") === "SGB 2", normalizeLawCode(" SGB II "));
+  assert(normalizeLawCode("BGB") === "BGB" && normalizeLawCode("SGB 10") === "SGB 10", "Unchanged codes");
+});
+
+await runCase("model output is cleaned and capped", () => {
+  const out = normalizeRewrite(
+    {
+      queries: [" Urlaubsabgeltung  bei Kündigung ", "urlaubsabgeltung bei kündigung", "", "Kündigungsfrist Arbeitnehmer", "x".repeat(400), "Abfindung"],
+      rechtsgebiet: " Arbeitsrecht ",
+      law_codes: ["BUrlG", "SGB III", "§ 7 BUrlG", "burlg", "Bundesurlaubsgesetz über den Mindesturlaub", "KSchG"],
+    },
+    { maxQueries: 3 }
+  );
+  assert(out.queries.join("|") === "Urlaubsabgeltung bei Kündigung|Kündigungsfrist Arbeitnehmer", out.queries.join("|"));
+  assert(out.rechtsgebiet === "Arbeitsrecht", out.rechtsgebiet);
+  assert(out.lawCodes.join() === "BUrlG,SGB 3,KSchG", out.lawCodes.join());
+});
+
+await runCase("question, document and context reach the model", async () => {
+  const requests = [];
+  const rewriteQuery = createQueryRewriter(
+    {
+      async chatJSON(request) {
+        requests.push(request);
+        return { queries: ["Mietsicherheit Rückzahlung"], rechtsgebiet: "Mietrecht", law_codes: ["BGB"] };
+      },
+    },
+    { maxDocumentChars: 10 }
+  );
+  const out = await rewriteQuery({
+    question: "Арендодатель не возвращает залог",
+    documentText: "Mietvertrag vom 01.01.2020 ...",
+    context: "Ранее: съехал в марте",
+    domainLabel: "Mietrecht",
+  });
+  assert(out.queries[0] === "Mietsicherheit Rückzahlung" && out.lawCodes[0] === "BGB", JSON.stringify(out));
+  const user = requests[0].user;
+  assert(user.includes("Арендодатель не возвращает залог") && user.includes("съехал в марте"), user);
+  assert(user.includes("Mietvertra") && !user.includes("01.01.2020"), "Document text must be truncated");
+  assert(user.includes("Keyword classifier guess: Mietrecht"), user);
+  assert(requests[0].schemaName === "rechtsinfo_query_rewrite" && requests[0].temperature === 0, "Request options");
+});
+
+await runCase("a failing model call returns null", async () => {
+  const rewriteQuery = createQueryRewriter({
+    async chatJSON() {
+      throw new Error("LLM HTTP 500");
+    },
+  });
+  assert((await rewriteQuery({ question: "Какой закон?" })) === null, "Expected null");
+});
+
+await runCase("the fake provider yields no extra queries", async () => {
+  const out = await createQueryRewriter(createFakeProvider({ dimensions: 8 }))({ question: "Какой закон?" });
+  assert(out && out.queries.length === 0 && out.lawCodes.length === 0, JSON.stringify(out));
+});
+
+if (!process.exitCode) {
+  console.log("All query rewrite tests passed.");
+}
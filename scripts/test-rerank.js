@@ -0,0 +1,157 @@
+import path from "path";
+import { createFakeProvider } from "../ai/providers/fake.js";
+import { loadLegalDomains } from "../src/retrieval/legalDomains.js";
+import { createLegalRetrieval } from "../src/retrieval/legalRetrieval.js";
+import {
+  createHttpReranker,
+  createLlmReranker,
+  rerankConfigFromEnv,
+  rerankSources,
+} from "../src/retrieval/rerank.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const sources = ["§ 1", "§ 2", "§ 3", "§ 4"].map((section) => ({ law: "BGB", section, text: `Text ${section}` }));
+const fixedReranker = (scores) => ({ name: "fixed", rerank: async () => scores });
+
+await runCase("reranking reorders, drops weak candidates and caps at topK", async () => {
+  const { sources: kept, ranks } = await rerankSources(fixedReranker([0.1, 0.9, 0.5, 0.8]), "q", sources, {
+    topK: 2,
+    minScore: 0.3,
+  });
+  assert(kept.map((s) => s.section).join() === "§ 2,§ 4", kept.map((s) => s.section).join());
+  assert(kept[0].rerankScore === 0.9, "rerankScore missing");
+  assert(ranks.map((r) => `${r.before}>${r.after}`).join() === "1>null,2>1,3>null,4>2", JSON.stringify(ranks));
+});
+
+await runCase("the LLM judge scores every candidate in batches", async () => {
+  const calls = [];
+  const llm = {
+    async chatJSON(request) {
+      const { question, candidates } = JSON.parse(request.user);
+      calls.push({ question, ids: candidates.map((c) => c.id) });
+      // C2 is skipped by the "model", C3 out of range
+      return { scores: candidates.filter((c) => c.id !== "C2").map((c) => ({ id: c.id, score: c.id === "C3" ? 42 : 7 })) };
+    },
+  };
+  const scores = await createLlmReranker(llm, { batchSize: 3 }).rerank("Залог за квартиру", sources);
+  assert(calls.map((c) => c.ids.join("")).join("|") === "C1C2C3|C4", JSON.stringify(calls));
+  assert(calls[0].question === "Залог за квартиру", "Question not passed");
+  assert(scores.join() === "0.7,0,1,0.7", scores.join());
+});
+
+await runCase("the HTTP reranker reads Cohere and TEI style answers", async () => {
+  const requests = [];
+  const answers = [
+    { results: [{ index: 1, relevance_score: 0.8 }, { index: 0, relevance_score: 0.2 }] },
+    [{ index: 0, score: 0.6 }],
+  ];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body), auth: init.headers.Authorization });
+    return { ok: true, json: async () => answers.shift() };
+  };
+  const reranker = createHttpReranker({ url: "http://rerank/v1/rerank", model: "bge-reranker", apiKey: "k", fetchImpl });
+  assert((await reranker.rerank("q", sources.slice(0, 2))).join() === "0.2,0.8", "Cohere style");
+  assert((await reranker.rerank("q", sources.slice(0, 2))).join() === "0.6,0", "TEI style");
+  assert(requests[0].body.model === "bge-reranker" && requests[0].body.documents[0].startsWith("§ 1 BGB"), JSON.stringify(requests[0]));
+  assert(requests[0].auth === "Bearer k", "Authorization header");
+
+  const failing = createHttpReranker({ url: "http://rerank", fetchImpl: async () => ({ ok: false, status: 503 }) });
+  try {
+    await failing.rerank("q", sources);
+    throw new Error("HTTP error swallowed");
+  } catch (error) {
+    assert(error.status === 503, error.message);
+  }
+});
+
+await runCase("reranking is configured from env and off by default", () => {
+  assert(rerankConfigFromEnv({}) === null, "Default must be off");
+  const config = rerankConfigFromEnv({ LEGAL_RERANK: "llm", LEGAL_RERANK_CANDIDATES: "30", LEGAL_RERANK_MIN_SCORE: "0.5" }, { llm: {} });
+  assert(config.reranker.name === "llm" && config.candidates === 30 && config.minScore === 0.5, JSON.stringify(config));
+  for (const [env, pattern] of [
+    [{ LEGAL_RERANK: "http" }, /LEGAL_RERANK_URL/],
+    [{ LEGAL_RERANK: "magic" }, /Unknown LEGAL_RERANK/],
+  ]) {
+    try {
+      rerankConfigFromEnv(env);
+      throw new Error("Accepted invalid config");
+    } catch (error) {
+      assert(pattern.test(error.message), error.message);
+    }
+  }
+});
+
+const legalDomains = await loadLegalDomains(path.join(process.cwd(), "kb", "legal-domains.json"));
+const chunks = Array.from({ length: 20 }, (_, i) => ({
+  id: i + 1,
+  law: "BGB",
+  section: `§ ${500 + i}`,
+  title: "",
+  text: `Text § ${500 + i} BGB`,
+  source: "bgb.xml",
+}));
+const createPool = (limits) => ({
+  async query(sql, params = []) {
+    if (sql.includes("active_version_tag")) return { rows: [{ version_tag: "v1" }] };
+    if (sql.includes("FROM law_chunks") && sql.includes("ORDER BY embedding")) {
+      limits.push(params[2]);
+      return { rows: chunks.slice(0, params[2]).map((r, i) => ({ ...r, score: 1 - i / 100 })) };
+    }
+    return { rows: [] };
+  },
+});
+
+await runCase("retrieval over-fetches candidates and keeps the reranked topK", async () => {
+  const limits = [];
+  const judged = [];
+  const reranker = {
+    name: "fixed",
+    async rerank(query, candidates) {
+      judged.push({ query, count: candidates.length });
+      // the lowest-ranked candidates are the relevant ones
+      return candidates.map((_, i) => i / candidates.length);
+    },
+  };
+  const retrieval = createLegalRetrieval({
+    pool: createPool(limits),
+    llm: createFakeProvider({ dimensions: 8 }),
+    legalDomains,
+    rerank: { reranker, candidates: 12, minScore: 0.3 },
+  });
+  const out = await retrieval.retrieve({ question: "Можно ли удержать залог за квартиру?", sanitizedQuestion: "Можно ли удержать залог?" });
+  // hybrid search asks the vector index for 4x its limit
+  assert(limits.length && limits.every((l) => l === 12 * 4), `Fetch limits: ${limits}`);
+  assert(judged[0].count === 12 && judged[0].query === "Можно ли удержать залог?", JSON.stringify(judged));
+  assert(out.legalSourcesWithIds.length === 6, `Kept: ${out.legalSourcesWithIds.length}`);
+  assert(out.legalSourcesWithIds[0].section === "§ 511" && out.legalSourcesWithIds[0].id === "S1", out.legalSourcesWithIds[0].section);
+});
+
+await runCase("a failing reranker falls back to the plain topK", async () => {
+  const retrieval = createLegalRetrieval({
+    pool: createPool([]),
+    llm: createFakeProvider({ dimensions: 8 }),
+    legalDomains,
+    rerank: { reranker: { name: "broken", rerank: async () => Promise.reject(new Error("down")) }, candidates: 12, minScore: 0.3 },
+  });
+  const out = await retrieval.retrieve({ question: "Можно ли удержать залог за квартиру?" });
+  assert(out.legalSourcesWithIds.map((s) => s.section).join() === "§ 500,§ 501,§ 502,§ 503,§ 504,§ 505", out.legalSourcesWithIds.map((s) => s.section).join());
+});
+
+if (!process.exitCode) {
+  console.log("All rerank tests passed.");
+}
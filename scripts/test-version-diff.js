@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import {
+  createLawVersionDiff,
+  diffNormText,
+  diffSequence,
+  diffWords,
+  formatVersionDiff,
+} from "../src/laws/versionDiff.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const md5 = (s) => crypto.createHash("md5").update(s, "utf8").digest("hex");
+
+await runCase("sequence diff keeps common items in order", () => {
+  const ops = diffSequence(["a", "b", "c"], ["a", "x", "c", "d"]);
+  assert(ops.map((o) => `${o.op[0]}${o.value}`).join(" ") === "ea rb ax ec ad", `Unexpected ops ${JSON.stringify(ops)}`);
+});
+
+await runCase("word diff marks replaced words inline", () => {
+  const out = diffWords("Der Mindestlohn beträgt 12,41 Euro brutto je Zeitstunde.", "Der Mindestlohn beträgt 12,82 Euro brutto je Zeitstunde.");
+  assert(out === "Der Mindestlohn beträgt [-12,41-]{+12,82+} Euro brutto je Zeitstunde.", `Unexpected ${out}`);
+});
+
+await runCase("norm text diff reports only changed paragraphs", () => {
+  const diff = diffNormText(
+    "(1) Unverändert.\n(2) Alte Fassung des Absatzes.\n(3) Gestrichen.",
+    "(1) Unverändert.\n(2) Neue Fassung des Absatzes."
+  );
+  assert(diff.length === 2, `Expected 2 ops, got ${JSON.stringify(diff)}`);
+  assert(diff[0].op === "changed" && diff[0].words.includes("[-Alte-]{+Neue+}"), "Reworded paragraph");
+  assert(diff[1].op === "removed" && diff[1].old === "(3) Gestrichen.", "Removed paragraph");
+});
+
+function fakePool() {
+  const chunks = {
+    "2026-01-01": [
+      { law: "MiLoG", norm_key: "milog/BJNR1.xml|§ 1", text: "(2) Die Höhe des Mindestlohns beträgt 12,41 Euro." },
+      { law: "MiLoG", norm_key: "milog/BJNR1.xml|§ 24", text: "Übergangsregelung." },
+    ],
+    "2026-02-01": [
+      { law: "MiLoG", norm_key: "milog/BJNR1.xml|§ 1", text: "(2) Die Höhe des Mindestlohns beträgt 12,82 Euro." },
+      { law: "MiLoG", norm_key: "milog/BJNR1.xml|§ 1a", text: "Neu." },
+    ],
+  };
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes("active_version_tag")) return { rows: [{ value: "2026-02-01" }] };
+      if (sql.includes("FROM law_dataset_versions") && sql.includes("imported_at <")) {
+        return { rows: [{ version_tag: "2026-01-01" }] };
+      }
+      if (sql.includes("LIMIT 1") && sql.includes("FROM law_chunks")) {
+        return { rows: chunks[params[0]] ? [{ "?column?": 1 }] : [] };
+      }
+      if (sql.includes("md5(string_agg")) {
+        return { rows: (chunks[params[0]] || []).map((c) => ({ law: c.law, norm_key: c.norm_key, fingerprint: md5(c.text) })) };
+      }
+      if (sql.includes("unnest")) {
+        return { rows: (chunks[params[0]] || []).filter((c) => params[2].includes(c.norm_key)) };
+      }
+      throw new Error(`Unexpected query ${sql}`);
+    },
+  };
+}
+
+await runCase("compare defaults to the active version and its predecessor", async () => {
+  const pool = fakePool();
+  const result = await createLawVersionDiff(pool).compare({ law: "MiLoG" });
+  assert(result.from === "2026-01-01" && result.to === "2026-02-01", `Versions ${result.from} -> ${result.to}`);
+  const milog = result.laws[0];
+  assert(milog.added.join() === "§ 1a" && milog.removed.join() === "§ 24", "Added/removed sections");
+  assert(milog.changed[0].section === "§ 1" && milog.changed[0].diff[0].words.includes("[-12,41-]{+12,82+}"), "Reworded § 1");
+  assert(pool.calls.some((c) => Array.isArray(c.params?.[1]) && c.params[1].includes("milog")), "Law filter not applied");
+
+  const text = formatVersionDiff(result);
+  assert(text.includes("MiLoG (changed)") && text.includes("  + § 1a") && text.includes("  ~ § 1"), `Unexpected report ${text}`);
+});
+
+await runCase("compare returns null for pruned versions", async () => {
+  const result = await createLawVersionDiff(fakePool()).compare({ from: "2025-01-01", to: "2026-02-01" });
+  assert(result === null, "Expected null for a version without chunks");
+});
+
+if (!process.exitCode) {
+  console.log("All version diff tests passed.");
+}
@@ -0,0 +1,200 @@
+import { createLawVersionResolver } from "../src/laws/lawVersions.js";
+import {
+  checkCounts,
+  promoteLawVersion,
+  rollbackLawVersion,
+  verifyLawVersion,
+  verifyPolicyFromEnv,
+} from "../src/laws/versionLifecycle.js";
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runCase(name, fn) {
+  try {
+    await fn();
+    console.log(`PASS ${name}`);
+  } catch (error) {
+    console.error(`FAIL ${name}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+async function rejects(fn, pattern) {
+  try {
+    await fn();
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+  return false;
+}
+
+// In-memory stand-in for the version tables; chunks: tag -> [{ id, law, text }].
+function createFakeClient({ versions, meta = {}, chunks = {} }) {
+  const state = { versions: new Map(Object.entries(versions)), meta: new Map(Object.entries(meta)), catalog: [], log: [] };
+  const client = {
+    state,
+    async query(sql, params = []) {
+      state.log.push(sql.trim().split("\n")[0]);
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql.trim())) return { rows: [] };
+      if (sql.includes("v.valid_from IS NOT NULL")) {
+        // Date-shaped tags double as valid_from.
+        const retained = [...state.versions].filter(([tag, status]) => ["active", "archived"].includes(status) && chunks[tag]);
+        return { rows: retained.map(([tag, status]) => ({ version_tag: tag, valid_from: tag, status })) };
+      }
+      if (sql.includes("FROM law_dataset_versions WHERE version_tag = $1")) {
+        const status = state.versions.get(params[0]);
+        return { rows: status ? [{ version_tag: params[0], status }] : [] };
+      }
+      if (sql.includes("SELECT value FROM law_dataset_meta")) {
+        const value = state.meta.get(params[0]);
+        return { rows: value ? [{ value }] : [] };
+      }
+      if (sql.includes("INSERT INTO law_dataset_meta")) {
+        state.meta.set(params[0], params[1]);
+        return { rows: [] };
+      }
+      if (sql.includes("count(DISTINCT law)")) {
+        const rows = chunks[params[0]] || [];
+        return {
+          rows: [
+            {
+              chunks: rows.length,
+              laws: new Set(rows.map((r) => r.law)).size,
+              empty_texts: rows.filter((r) => !r.text.trim()).length,
+              documents: new Set(rows.map((r) => r.law)).size,
+            },
+          ],
+        };
+      }
+      if (sql.includes("ORDER BY md5(id::text)")) return { rows: (chunks[params[0]] || []).slice(0, params[1]) };
+      if (sql.includes("GROUP BY c.law")) {
+        const laws = [...new Set((chunks[params[0]] || []).map((r) => r.law))];
+        return { rows: laws.map((law) => ({ law_code: law, title_de: law, title_ru: "" })) };
+      }
+      if (sql.includes("INSERT INTO law_catalog")) {
+        state.catalog.push({ versionTag: params[0], law: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'archived'")) {
+        for (const [tag, status] of state.versions) {
+          if (status === "active" && tag !== params[0]) state.versions.set(tag, "archived");
+        }
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'active'")) {
+        state.versions.set(params[0], "active");
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = $2")) {
+        state.versions.set(params[0], params[1]);
+        state.verification = JSON.parse(params[2]);
+        return { rows: [] };
+      }
+      if (sql.includes("SELECT 1 FROM law_chunks")) {
+        return { rows: (chunks[params[0]] || []).length ? [{ "?column?": 1 }] : [] };
+      }
+      return { rows: [] };
+    },
+  };
+  return client;
+}
+
+const chunksOf = (laws, perLaw = 3) =>
+  laws.flatMap((law, i) =>
+    Array.from({ length: perLaw }, (_, k) => ({ id: i * 100 + k, law, section: `§ ${k + 1}`, title: "", text: `${law} ${k}` }))
+  );
+
+const embed = async () => [0.1, 0.2];
+const selfSearch = async ({ queryText, versionTag }) => [{ id: queryText, versionTag }];
+
+await runCase("row count checks block empty or shrunken versions", () => {
+  const ok = checkCounts({ chunks: 100, laws: 10, emptyTexts: 0, documents: 10 }, { chunks: 110, laws: 10 });
+  assert(ok.every((c) => c.ok), "Small shrink should pass");
+  const shrunk = checkCounts({ chunks: 50, laws: 10, emptyTexts: 0, documents: 10 }, { chunks: 110, laws: 10 });
+  assert(shrunk.find((c) => c.name === "compared_to_active").ok === false, "Halved corpus must fail");
+  const partial = checkCounts({ chunks: 50, laws: 2, emptyTexts: 0, documents: 2 }, { chunks: 110, laws: 10 }, { maxShrink: 1 });
+  assert(partial.every((c) => c.ok), "maxShrink 1 allows partial packs");
+  const empty = checkCounts({ chunks: 0, laws: 0, emptyTexts: 0, documents: 0 }, null);
+  assert(empty.find((c) => c.name === "row_counts").ok === false, "Empty version must fail");
+  const noDocs = checkCounts({ chunks: 10, laws: 2, emptyTexts: 0, documents: 0 }, null);
+  assert(noDocs.find((c) => c.name === "law_documents").blocking === false, "Missing metadata only warns");
+});
+
+await runCase("verify builds the staged catalog and marks the version verified", async () => {
+  const client = createFakeClient({
+    versions: { "2026-01-01": "active", "2026-02-01": "loading" },
+    meta: { active_version_tag: "2026-01-01" },
+    chunks: { "2026-01-01": chunksOf(["BGB", "KSchG"]), "2026-02-01": chunksOf(["BGB", "KSchG"]) },
+  });
+  const search = async ({ versionTag }) => chunksOf(["BGB", "KSchG"]).map((c) => ({ id: c.id, versionTag }));
+  const report = await verifyLawVersion(client, "2026-02-01", { embed, search });
+  assert(report.ok, `Verification failed: ${JSON.stringify(report.checks)}`);
+  assert(client.state.versions.get("2026-02-01") === "verified", "Status not set to verified");
+  assert(client.state.meta.get("active_version_tag") === "2026-01-01", "Verify must not switch the active version");
+  assert(client.state.catalog.length === 2 && client.state.catalog.every((c) => c.versionTag === "2026-02-01"), "Catalog rows");
+});
+
+await runCase("verify fails when samples are not retrievable", async () => {
+  const client = createFakeClient({
+    versions: { "2026-02-01": "loading" },
+    chunks: { "2026-02-01": chunksOf(["BGB"]) },
+  });
+  const report = await verifyLawVersion(client, "2026-02-01", { embed, search: selfSearch });
+  assert(!report.ok, "Broken retrieval passed");
+  assert(report.checks.find((c) => c.name === "sample_retrieval").ok === false, "sample_retrieval should fail");
+  assert(client.state.versions.get("2026-02-01") === "failed", "Status not set to failed");
+  assert(client.state.catalog.length === 0, "Failed version must not get a catalog");
+});
+
+await runCase("promote requires verified and switches atomically", async () => {
+  const client = createFakeClient({
+    versions: { "2026-01-01": "active", "2026-02-01": "loading" },
+    meta: { active_version_tag: "2026-01-01" },
+  });
+  assert(await rejects(() => promoteLawVersion(client, "2026-02-01"), /verify it before promoting/), "Unverified promote");
+  assert(client.state.log.includes("ROLLBACK"), "Refused promote must roll back");
+  assert(client.state.versions.get("2026-01-01") === "active", "Active version changed by refused promote");
+
+  client.state.versions.set("2026-02-01", "verified");
+  const r = await promoteLawVersion(client, "2026-02-01");
+  assert(r.active === "2026-02-01" && r.previous === "2026-01-01", `Switch result: ${JSON.stringify(r)}`);
+  assert(client.state.versions.get("2026-01-01") === "archived", "Old version not archived");
+  assert(client.state.meta.get("previous_active_version_tag") === "2026-01-01", "Previous tag not recorded");
+  assert(client.state.log.indexOf("BEGIN") < client.state.log.lastIndexOf("COMMIT"), "Switch outside a transaction");
+});
+
+await runCase("rollback returns to the previous active version", async () => {
+  const client = createFakeClient({
+    versions: { "2026-01-01": "archived", "2026-02-01": "active", "2025-01-01": "pruned" },
+    meta: { active_version_tag: "2026-02-01", previous_active_version_tag: "2026-01-01" },
+    chunks: { "2026-01-01": chunksOf(["BGB"]), "2026-02-01": chunksOf(["BGB"]) },
+  });
+  const r = await rollbackLawVersion(client);
+  assert(r.active === "2026-01-01", "Rollback target should come from meta");
+  assert(client.state.versions.get("2026-02-01") === "archived", "Rolled-back version not archived");
+  assert(await rejects(() => rollbackLawVersion(client, { to: "2025-01-01" }), /no chunks/), "Pruned version reactivated");
+});
+
+await runCase("as_of lookups after a rollback use the reactivated version", async () => {
+  const client = createFakeClient({
+    versions: { "2026-01-01": "archived", "2026-02-01": "active" },
+    meta: { active_version_tag: "2026-02-01", previous_active_version_tag: "2026-01-01" },
+    chunks: { "2026-01-01": chunksOf(["BGB"]), "2026-02-01": chunksOf(["BGB"]) },
+  });
+  await rollbackLawVersion(client);
+  const resolved = await createLawVersionResolver(client)("2026-02-10");
+  assert(resolved.versionTag === "2026-01-01" && resolved.isActive && resolved.exact, JSON.stringify(resolved));
+});
+
+await runCase("verify policy is read from the environment", () => {
+  const policy = verifyPolicyFromEnv({ LAW_VERIFY_MAX_SHRINK: "1", LAW_VERIFY_SAMPLE_SIZE: "8" });
+  assert(policy.maxShrink === 1 && policy.sampleSize === 8 && !("minHitRate" in policy), JSON.stringify(policy));
+});
+
+if (!process.exitCode) {
+  console.log("All version lifecycle tests passed.");
+}
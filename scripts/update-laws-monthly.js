@@ -6,17 +6,26 @@ import { spawn } from "child_process";
 import { Pool } from "pg";
 import * as tar from "tar";
 import unzipper from "unzipper";
+import { createLlmProvider } from "../ai/providers/index.js";
+import { createLawLabeler } from "../src/laws/catalogLabels.js";
+import { pruneLawVersions, retentionPolicyFromEnv } from "../src/laws/lawVersions.js";
+import { promoteLawVersion, verifyLawVersion, verifyPolicyFromEnv } from "../src/laws/versionLifecycle.js";
 
 const HARVEST_URL = process.env.LAW_HARVEST_URL || "https://harvest.deutsche-bundesgesetze.de/";
 const TMP_DIR = process.env.LAW_TMP_DIR || path.join(process.cwd(), "kb", "_monthly_tmp");
 const ARCHIVE_DIR = process.env.LAW_ARCHIVE_DIR || path.join(TMP_DIR, "archives");
 const LAW_STAGING_ROOT = process.env.LAW_STAGING_ROOT || path.join(process.cwd(), "kb", "laws_xml", "downloads");
 const DATABASE_URL = process.env.DATABASE_URL_WRITE || process.env.DATABASE_URL;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+// The verified version stays staged until `npm run laws:promote -- <tag>`, which also
+// prunes by LAW_RETAIN_VERSIONS / LAW_RETAIN_MONTHS. LAW_AUTO_PROMOTE=1 promotes and
+// prunes right after a passing verify.
+const LAW_AUTO_PROMOTE = process.env.LAW_AUTO_PROMOTE === "1";
+// Russian titles/keywords for law_catalog (cached per law; only new or renamed laws hit the LLM).
+const LAW_CATALOG_LABELS = process.env.LAW_CATALOG_LABELS !== "0";
 
 if (!DATABASE_URL) throw new Error("DATABASE_URL_WRITE or DATABASE_URL is required");
-if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY is required");
+const llm = createLlmProvider();
+llm.ensureConfigured();
 
 const pool = new Pool({
   connectionString: DATABASE_URL,
@@ -39,105 +48,11 @@ function uniq(arr) {
 }
 
 async function getEmbedding(input) {
-  const res = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: OPENAI_EMBEDDING_MODEL,
-      input: String(input || "").slice(0, 8000),
-    }),
-  });
-  if (!res.ok) throw new Error(`Embeddings HTTP ${res.status}`);
-  const json = await res.json();
-  const embedding = json?.data?.[0]?.embedding;
+  const [embedding] = await llm.embed(String(input || ""));
   if (!Array.isArray(embedding)) throw new Error("Embedding missing");
   return embedding;
 }
 
-async function detectLawChunkVectorDim(client) {
-  const { rows } = await client.query(`
-    SELECT COALESCE(
-      (regexp_match(format_type(a.atttypid, a.atttypmod), 'vector\\((\\d+)\\)'))[1],
-      '1536'
-    ) AS dim
-    FROM pg_attribute a
-    JOIN pg_class c ON c.oid = a.attrelid
-    WHERE c.relname = 'law_chunks'
-      AND a.attname = 'embedding'
-      AND a.attnum > 0
-      AND NOT a.attisdropped
-    LIMIT 1
-  `);
-  return Number(rows[0]?.dim || 1536);
-}
-
-async function ensureLawCatalogTable(client) {
-  const vectorDim = await detectLawChunkVectorDim(client);
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS law_catalog (
-      law_code TEXT PRIMARY KEY,
-      title_de TEXT,
-      title_ru TEXT,
-      keywords TEXT,
-      embedding VECTOR(${vectorDim}),
-      updated_at TIMESTAMPTZ DEFAULT now()
-    )
-  `);
-  await client.query(`
-    CREATE INDEX IF NOT EXISTS law_catalog_embedding_idx
-      ON law_catalog USING ivfflat (embedding vector_cosine_ops)
-  `);
-  return vectorDim;
-}
-
-async function rebuildLawCatalog({ client, activeVersionTag }) {
-  const vectorDim = await ensureLawCatalogTable(client);
-  const laws = await client.query(
-    `
-      SELECT
-        law AS law_code,
-        MAX(COALESCE(title, '')) AS title_de,
-        ''::text AS title_ru
-      FROM law_chunks
-      WHERE version_tag = $1
-        AND law IS NOT NULL
-        AND btrim(law) <> ''
-      GROUP BY law
-      ORDER BY law
-    `,
-    [activeVersionTag]
-  );
-
-  console.log(`Rebuilding law_catalog for version ${activeVersionTag}: ${laws.rows.length} laws, VECTOR(${vectorDim})`);
-
-  for (const row of laws.rows) {
-    const lawCode = String(row.law_code || "").trim();
-    if (!lawCode) continue;
-
-    const textForEmbed = [lawCode, row.title_de || "", row.title_ru || ""].join(" | ");
-    const embedding = await getEmbedding(textForEmbed);
-    const vector = `[${embedding.join(",")}]`;
-
-    await client.query(
-      `
-        INSERT INTO law_catalog (law_code, title_de, title_ru, keywords, embedding, updated_at)
-        VALUES ($1, $2, $3, $4, $5::vector, now())
-        ON CONFLICT (law_code)
-        DO UPDATE SET
-          title_de = EXCLUDED.title_de,
-          title_ru = EXCLUDED.title_ru,
-          keywords = EXCLUDED.keywords,
-          embedding = EXCLUDED.embedding,
-          updated_at = now()
-      `,
-      [lawCode, row.title_de || "", row.title_ru || "", null, vector]
-    );
-  }
-}
-
 const MONTHS = {
   // ru
   "января": "01", "февраля": "02", "марта": "03", "апреля": "04", "мая": "05", "июня": "06",
@@ -241,26 +156,19 @@ async function downloadFile(url, destPath) {
   await fs.writeFile(destPath, buf);
 }
 
-async function getCurrentActiveVersion(client) {
-  const { rows } = await client.query(
+/**
+ * Status of versionTag if it is already known: 'active' when it is the served version,
+ * else its law_dataset_versions status (null when it is new).
+ */
+async function getKnownVersionStatus(client, versionTag) {
+  const { rows: meta } = await client.query(
     "SELECT value FROM law_dataset_meta WHERE key = 'active_version_tag' LIMIT 1"
   );
-  return rows[0]?.value || null;
+  if (meta[0]?.value === versionTag) return "active";
+  const { rows } = await client.query("SELECT status FROM law_dataset_versions WHERE version_tag = $1", [versionTag]);
+  return rows[0]?.status || null;
 }
 
-async function pruneOldVersions(client, keepVersionTag) {
-  const { rows } = await client.query(
-    "SELECT version_tag FROM law_dataset_versions WHERE version_tag <> $1",
-    [keepVersionTag]
-  );
-  for (const r of rows) {
-    await client.query("DELETE FROM law_chunks WHERE version_tag = $1", [r.version_tag]);
-    await client.query(
-      "UPDATE law_dataset_versions SET status = 'archived' WHERE version_tag = $1",
-      [r.version_tag]
-    );
-  }
-}
 
 async function extractZipArchive(zipPath, destDir) {
   await fs.mkdir(destDir, { recursive: true });
@@ -320,9 +228,15 @@ async function main() {
 
   const client = await pool.connect();
   try {
-    const currentVersion = await getCurrentActiveVersion(client);
-    if (currentVersion === latest.versionTag) {
-      console.log(`Already up to date (${currentVersion})`);
+    // Only a new or failed tag is imported: a loading one is being (or was partly)
+    // ingested, a verified one awaits promote, older ones were already served.
+    const status = await getKnownVersionStatus(client, latest.versionTag);
+    if (status === "active") {
+      console.log(`Already up to date (${latest.versionTag})`);
+      return;
+    }
+    if (status && status !== "failed") {
+      console.log(`Version ${latest.versionTag} already exists (${status}), skipping`);
       return;
     }
   } finally {
@@ -348,15 +262,36 @@ async function main() {
     LAW_VERSION_TAG: latest.versionTag,
     LAW_SOURCE_URL: latest.url,
     LAW_INGEST_MODE: "replace",
+    LAW_CHANGE_REPORT_PATH:
+      process.env.LAW_CHANGE_REPORT_PATH || path.join(TMP_DIR, `changes-${latest.versionTag}.json`),
   };
   await run(process.execPath, [path.join(process.cwd(), "scripts", "ingest-laws.js")], ingestEnv);
 
   const c2 = await pool.connect();
   try {
-    await rebuildLawCatalog({ client: c2, activeVersionTag: latest.versionTag });
-    console.log("law_catalog rebuilt");
-    await pruneOldVersions(c2, latest.versionTag);
-    console.log("Old versions pruned");
+    // The ingest leaves the version staged; it only goes live once verified.
+    const report = await verifyLawVersion(c2, latest.versionTag, {
+      embed: getEmbedding,
+      ...(LAW_CATALOG_LABELS ? { labelLaws: createLawLabeler(llm), labelModel: llm.chatModel } : {}),
+      ...verifyPolicyFromEnv(),
+    });
+    console.log("LAW_VERSION_VERIFIED", { versionTag: latest.versionTag, ok: report.ok });
+    if (!report.ok) {
+      throw new Error(
+        `LAW_UPDATE_VERIFY_FAILED ${latest.versionTag}: ${report.checks
+          .filter((c) => !c.ok && c.blocking)
+          .map((c) => c.name)
+          .join(", ")}`
+      );
+    }
+    if (LAW_AUTO_PROMOTE) {
+      const switched = await promoteLawVersion(c2, latest.versionTag);
+      console.log(`Promoted ${switched.active} (previous: ${switched.previous || "none"})`);
+      const pruned = await pruneLawVersions(c2, retentionPolicyFromEnv());
+      console.log(`Old versions pruned: ${pruned.length ? pruned.join(", ") : "none"}`);
+    } else {
+      console.log(`Version ${latest.versionTag} verified and staged. Next: npm run laws:promote -- ${latest.versionTag}`);
+    }
   } finally {
     c2.release();
   }
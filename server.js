@@ -9,10 +9,27 @@ import Tesseract from "tesseract.js";
 import { Pool } from "pg";
 import path from "path";
 import { fileURLToPath } from "url";
-import { buildNormAllowlist, sanitizeAnswerCitations } from "./src/guards/citationGuard.js";
-import { buildLegalBasisQuery, isLegalBasisRequest } from "./src/retrieval/legalBasisQuery.js";
+import { enforceAnswerCitations } from "./src/guards/citationGuard.js";
+import { buildAnswerCitations } from "./src/citations/answerCitations.js";
+import { loadLegalDomains } from "./src/retrieval/legalDomains.js";
+import { createLegalRetrieval, promptSources } from "./src/retrieval/legalRetrieval.js";
+import { createQueryRewriter } from "./src/retrieval/queryRewrite.js";
+import { rerankConfigFromEnv } from "./src/retrieval/rerank.js";
+import { contextExpansionConfigFromEnv } from "./src/retrieval/contextExpansion.js";
+import { createLawBrowser } from "./src/laws/lawBrowser.js";
+import { createLawDocuments, formatLawStatusForPrompt, summarizeLawStatus } from "./src/laws/lawDocuments.js";
+import { createNormReferences } from "./src/laws/normReferences.js";
+import { createLawVersionDiff } from "./src/laws/versionDiff.js";
+import { createLawVersionResolver, formatLawVersionForPrompt, parseAsOfDate } from "./src/laws/lawVersions.js";
+import { openSseStream } from "./src/streaming/sse.js";
+import { createJsonStringFieldReader } from "./src/streaming/jsonFieldReader.js";
 import { createLegalAnswerer } from "./ai/legalAnswer.js";
-import { createLawRetrieverPg } from "./ai/retrieveLawsPg.js";
+import { createLlmProvider } from "./ai/providers/index.js";
+import {
+  createChatSessions,
+  createMemorySessionStore,
+  createPgSessionStore,
+} from "./src/sessions/chatSessions.js";
 
 dotenv.config();
 
@@ -27,11 +44,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 app.use(express.static(path.join(__dirname, "public")));
 
-// ===== OpenAI =====
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+// ===== LLM provider (OpenAI / OpenAI-compatible / fake, see ai/providers) =====
+const llm = createLlmProvider();
 const LEGAL_TOP_K = Number(process.env.LEGAL_TOP_K || 5);
+const legalDomains = await loadLegalDomains(
+  process.env.LEGAL_DOMAINS_FILE || path.join(__dirname, "kb", "legal-domains.json")
+);
+// LEGAL_QUERY_REWRITE=0 retrieves with the original question only (one model call less per turn).
+const rewriteQuery = process.env.LEGAL_QUERY_REWRITE === "0" ? null : createQueryRewriter(llm);
 const MANAGER_WEBHOOK_URL = process.env.MANAGER_WEBHOOK_URL || "";
 
 const dbPool = process.env.DATABASE_URL
@@ -40,18 +60,37 @@ const dbPool = process.env.DATABASE_URL
       ssl: process.env.DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
     })
   : null;
+const legalRetrieval = createLegalRetrieval({
+  pool: dbPool,
+  llm,
+  legalDomains,
+  rewriteQuery,
+  // LEGAL_RERANK=llm|http over-fetches candidates and reranks them (see src/retrieval/rerank.js).
+  rerank: rerankConfigFromEnv(process.env, { llm }),
+  // LEGAL_REFERENCE_NORMS adds up to that many norms the hits refer to (law_norm_references).
+  referenceNorms: Number(process.env.LEGAL_REFERENCE_NORMS || 0),
+  // LEGAL_DEFINITIONS_MAX adds up to that many Legaldefinitionen of terms in the question or the sources (law_definitions).
+  maxDefinitions: Number(process.env.LEGAL_DEFINITIONS_MAX || 0),
+  // LEGAL_CONTEXT_EXPANSION_TOKENS adds neighbouring chunks of each hit (see src/retrieval/contextExpansion.js).
+  contextExpansion: contextExpansionConfigFromEnv(process.env),
+  defaultTopK: LEGAL_TOP_K,
+});
+const getEffectiveVersionTag = () => legalRetrieval.getEffectiveVersionTag();
+const lawDocuments = dbPool ? createLawDocuments(dbPool) : null;
+const normReferences = dbPool ? createNormReferences(dbPool) : null;
+const lawVersionDiff = dbPool ? createLawVersionDiff(dbPool) : null;
+const resolveLawVersionAsOf = dbPool ? createLawVersionResolver(dbPool) : null;
+const lawBrowser = dbPool
+  ? createLawBrowser(dbPool, { getVersionTag: getEffectiveVersionTag, lawDocuments, normReferences })
+  : null;
 
-async function retrieveLawsStub(_query) {
-  // ВРЕМЕННО: возвращает пусто, пока не подключим отдельный retriever под laws/law_catalog.
-  return "";
-}
-
-let retrieveLaws = retrieveLawsStub;
-try {
-  retrieveLaws = createLawRetrieverPg();
-} catch (error) {
-  console.warn("LEGAL_RETRIEVER_DISABLED", error?.message || error);
-}
+const SESSION_TTL_MS = Number(process.env.LEGAL_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+const chatSessions = createChatSessions({
+  store: dbPool
+    ? createPgSessionStore(dbPool, { ttlMs: SESSION_TTL_MS })
+    : createMemorySessionStore({ ttlMs: SESSION_TTL_MS }),
+  llm,
+});
 
 function redactPII(text = "") {
   return text
@@ -83,105 +122,30 @@ async function extractTextFromUpload(file) {
   return "";
 }
 
-async function getTextEmbedding(inputText) {
-  const embRes = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: OPENAI_EMBEDDING_MODEL,
-      input: String(inputText || "").slice(0, 8000),
-    }),
-  });
-  if (!embRes.ok) throw new Error(`Embeddings HTTP ${embRes.status}`);
-
-  const embJson = await embRes.json();
-  return embJson?.data?.[0]?.embedding;
-}
-
-async function retrieveLegalSources(_queryText, { topK, lawCodes } = {}) {
-  if (!_queryText || !dbPool) return [];
-  const limit = Number.isFinite(topK) && topK > 0 ? topK : LEGAL_TOP_K;
-  const embedding = await getTextEmbedding(_queryText);
-  if (!Array.isArray(embedding)) return [];
-
-  const vectorLiteral = `[${embedding.join(",")}]`;
-  const lawCodeFilter = Array.isArray(lawCodes) ? [...new Set(lawCodes.filter(Boolean))] : [];
-  const { rows } = await dbPool.query(
-    `
-      WITH active_version AS (
-        SELECT value AS version_tag
-        FROM law_dataset_meta
-        WHERE key = 'active_version_tag'
-      ),
-      effective_version AS (
-        SELECT CASE
-          WHEN EXISTS (
-            SELECT 1
-            FROM law_chunks
-            WHERE version_tag = (SELECT version_tag FROM active_version)
-          ) THEN (SELECT version_tag FROM active_version)
-          ELSE (
-            SELECT MAX(version_tag)
-            FROM law_chunks
-          )
-        END AS version_tag
-      )
-      SELECT lc.law, lc.section, lc.title, lc.text, lc.source,
-             1 - (lc.embedding <=> $1::vector) AS score
-      FROM law_chunks lc
-      WHERE (
-        (SELECT version_tag FROM effective_version) IS NULL
-        OR lc.version_tag = (SELECT version_tag FROM effective_version)
-      )
-      AND (
-        COALESCE(array_length($3::text[], 1), 0) = 0
-        OR lc.law = ANY($3::text[])
-      )
-      ORDER BY lc.embedding <=> $1::vector
-      LIMIT $2
-    `,
-    [vectorLiteral, limit, lawCodeFilter]
-  );
-
-  if (!rows.length) {
-    console.warn("LAW_RETRIEVAL_EMPTY", {
-      querySample: String(_queryText).slice(0, 200),
-      topK: limit,
-      lawCodes: lawCodeFilter,
-    });
+/**
+ * Dataset version for a request: the one in force on as_of, else the active one.
+ */
+async function resolveLawVersion(asOf) {
+  if (!dbPool) return null;
+  if (asOf) {
+    const resolved = await resolveLawVersionAsOf(asOf);
+    if (resolved) return resolved;
+    console.warn("LAW_VERSION_AS_OF_UNAVAILABLE", { asOf });
   }
-
-  return rows.map((r) => ({
-    law: r.law,
-    section: r.section,
-    title: r.title,
-    text: r.text,
-    source: r.source,
-    score: typeof r.score === "number" ? Number(r.score.toFixed(4)) : r.score,
-  }));
+  const versionTag = await getEffectiveVersionTag();
+  return versionTag ? { versionTag, validFrom: null, asOf: null, isActive: true, exact: true } : null;
 }
 
-async function selectTopLawCodes(queryText, { topN = 3 } = {}) {
-  if (!dbPool) return [];
-  const embedding = await getTextEmbedding(queryText);
-  if (!Array.isArray(embedding)) return [];
-  const vectorLiteral = `[${embedding.join(",")}]`;
+// Stand / pending-amendment status of the laws behind LEGAL_SOURCES (law_documents).
+async function retrieveLawStatus(sources, { versionTag } = {}) {
+  if (!lawDocuments || !sources.length) return [];
   try {
-    const { rows } = await dbPool.query(
-      `
-        SELECT law_code
-        FROM law_catalog
-        ORDER BY embedding <-> $1::vector
-        LIMIT $2
-      `,
-      [vectorLiteral, topN]
+    return await lawDocuments.getByLawCodes(
+      sources.map((s) => s.law),
+      { versionTag: versionTag || (await getEffectiveVersionTag()) }
     );
-    return rows.map((r) => r.law_code).filter(Boolean);
   } catch (error) {
-    console.warn("LAW_CATALOG_LOOKUP_FAILED", error?.message || error);
+    console.warn("LAW_STATUS_LOOKUP_FAILED", error?.message || error);
     return [];
   }
 }
@@ -197,60 +161,6 @@ function computeFinancialRisk(text = "") {
   return "low";
 }
 
-function mergeLegalSourcesUnique(primary = [], secondary = []) {
-  const merged = [];
-  const seen = new Set();
-  for (const src of [...primary, ...secondary]) {
-    const key = [
-      src?.law || "",
-      src?.section || "",
-      src?.title || "",
-      String(src?.text || "").slice(0, 300),
-    ].join("|");
-    if (seen.has(key)) continue;
-    seen.add(key);
-    merged.push(src);
-  }
-  return merged;
-}
-
-async function openaiChatStrictJSON({ system, user, schema, schemaName }) {
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      temperature: 0.2,
-      store: false,
-      response_format: {
-        type: "json_schema",
-        json_schema: {
-          name: schemaName,
-          strict: true,
-          schema,
-        },
-      },
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user },
-      ],
-    }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`OpenAI HTTP ${response.status}`);
-  }
-
-  const json = await response.json();
-  const content = json?.choices?.[0]?.message?.content;
-  if (!content) throw new Error("OpenAI empty content");
-
-  return JSON.parse(content);
-}
-
 async function sendHighRiskToManager(summaryObj, meta = {}) {
   if (!MANAGER_WEBHOOK_URL) return false;
 
@@ -294,127 +204,151 @@ const SUMMARY_SCHEMA = {
 };
 
 const legalAnswer = createLegalAnswerer({
-  llmCall: async ({ system, user, temperature }) => {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        temperature: typeof temperature === "number" ? temperature : 0.2,
-        store: false,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: user },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI HTTP ${response.status}`);
-    }
-
-    const json = await response.json();
-    return json?.choices?.[0]?.message?.content || "";
-  },
-  retrieveLaws,
+  llmCall: ({ system, user, temperature }) =>
+    llm.chat({ system, user, temperature: typeof temperature === "number" ? temperature : 0.2 }),
+  retrieve: legalRetrieval.retrieve,
 });
 
+// Optional as_of ("2025-03-31" or "31.03.2025"); malformed dates get a 400.
+function readAsOf(req, res) {
+  try {
+    return { ok: true, asOf: parseAsOfDate(req.body?.as_of) };
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return { ok: false, asOf: null };
+  }
+}
+
 app.post("/api/legal", async (req, res) => {
   try {
     const question = String(req.body?.question || req.body?.message || "");
     if (!question.trim()) return res.status(400).json({ error: "Empty question" });
+    const { ok, asOf } = readAsOf(req, res);
+    if (!ok) return;
+
+    const lawVersion = await resolveLawVersion(asOf);
+    const result = await legalAnswer(question, {
+      versionTag: lawVersion?.versionTag || null,
+      versionNote: formatLawVersionForPrompt(lawVersion),
+      requestId: `legal_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    });
+    return res.json({ ...result, law_version: lawVersion });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ===== law browser =====
+function requireLawBrowser(res) {
+  if (lawBrowser) return true;
+  res.status(503).json({ error: "Law database is not configured" });
+  return false;
+}
 
-    const result = await legalAnswer(question);
-    return res.json(result);
+app.get("/api/laws", async (req, res) => {
+  if (!requireLawBrowser(res)) return;
+  try {
+    return res.json(
+      await lawBrowser.listLaws({ q: req.query.q, limit: req.query.limit, offset: req.query.offset })
+    );
   } catch (e) {
+    console.error("LAW_BROWSER_ERROR", e?.message || e);
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// ===== С‡Р°С‚ =====
-app.post("/chat", upload.single("file"), async (req, res) => {
-  const file = req.file;
-  const requestId = `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+app.get("/api/laws/:code/toc", async (req, res) => {
+  if (!requireLawBrowser(res)) return;
   try {
-    const message = String(req.body?.message || "");
-    const clientStatus = req.body?.client_status === "yes" ? "yes" : "no";
-    const bodyExtractedText = String(req.body?.extractedText || "");
-    const fileExtractedText = await extractTextFromUpload(file);
-    const extractedText = fileExtractedText || bodyExtractedText;
-
-    const hasDocumentText = Boolean(extractedText && extractedText.trim());
-    const sanitizedMessage = redactPII(message);
-    const sanitizedDocumentText = hasDocumentText ? redactPII(extractedText) : "";
-    const sanitizedText = hasDocumentText
-      ? `${sanitizedMessage}\n\n[DOCUMENT_TEXT]\n${sanitizedDocumentText}`
-      : sanitizedMessage;
-    const userText = req.body?.message || "";
-    const legalBasisMode = isLegalBasisRequest(userText);
-    const retrievalQuery = legalBasisMode
-      ? buildLegalBasisQuery(userText)
-      : userText;
-    const topK = legalBasisMode ? 10 : 6;
-    const lawCatalogTopLawCodes = legalBasisMode
-      ? await selectTopLawCodes(retrievalQuery, { topN: 3 })
-      : [];
-    let legalSources = await retrieveLegalSources(retrievalQuery, {
-      topK,
-      lawCodes: lawCatalogTopLawCodes,
+    const toc = await lawBrowser.getToc(req.params.code);
+    if (!toc) return res.status(404).json({ error: "Law not found" });
+    return res.json(toc);
+  } catch (e) {
+    console.error("LAW_BROWSER_ERROR", e?.message || e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/laws/:code/sections/:section", async (req, res) => {
+  if (!requireLawBrowser(res)) return;
+  try {
+    const section = await lawBrowser.getSection(req.params.code, req.params.section);
+    if (!section) return res.status(404).json({ error: "Section not found" });
+    return res.json(section);
+  } catch (e) {
+    console.error("LAW_BROWSER_ERROR", e?.message || e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/law-versions", async (_req, res) => {
+  if (!requireLawBrowser(res)) return;
+  try {
+    return res.json({ versions: await lawVersionDiff.listVersions() });
+  } catch (e) {
+    console.error("LAW_BROWSER_ERROR", e?.message || e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ?from=&to=&law= ; to defaults to the active version, from to the import before it.
+app.get("/api/law-versions/diff", async (req, res) => {
+  if (!requireLawBrowser(res)) return;
+  try {
+    const diff = await lawVersionDiff.compare({
+      from: String(req.query.from || ""),
+      to: String(req.query.to || ""),
+      law: String(req.query.law || ""),
     });
-    let legalSourcesWithIds = legalSources.map((src, index) => ({
-      ...src,
-      id: `S${index + 1}`,
-    }));
-    let normAllowlist = buildNormAllowlist(legalSourcesWithIds);
-
-    let fallbackRetrievalUsed = false;
-    if (legalBasisMode && normAllowlist.allowedNorms.size === 0) {
-      const fallbackQuery = [
-        "Arbeitsrecht",
-        "Urlaub",
-        "Urlaubsabgeltung",
-        "Urlaubsentgelt",
-        "Kündigung",
-        "Beendigung des Arbeitsverhältnisses",
-        "Bundesurlaubsgesetz BUrlG",
-        "offene Zahlung Arbeitgeber",
-      ].join(" | ");
-      const fallbackSources = await retrieveLegalSources(fallbackQuery, { topK: 14 });
-      legalSources = mergeLegalSourcesUnique(legalSources, fallbackSources);
-      legalSourcesWithIds = legalSources.map((src, index) => ({
-        ...src,
-        id: `S${index + 1}`,
-      }));
-      normAllowlist = buildNormAllowlist(legalSourcesWithIds);
-      fallbackRetrievalUsed = true;
-    }
+    if (!diff) return res.status(404).json({ error: "Version not found or pruned" });
+    return res.json(diff);
+  } catch (e) {
+    console.error("LAW_BROWSER_ERROR", e?.message || e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-    console.log("ALLOWED_NORMS size:", normAllowlist.allowedNorms.size);
-    console.log("ALLOWED_NORMS sample:", [...normAllowlist.allowedNorms].slice(0, 10));
-    console.log("CITATION_GUARD_ALLOWLIST", {
-      requestId,
-      timestamp: new Date().toISOString(),
-      legalSourcesCount: legalSourcesWithIds.length,
-      allowedNormsCount: normAllowlist.allowedNorms.size,
-      allowedNormsPreview: [...normAllowlist.allowedNorms].slice(0, 10),
-      retrievalMode: legalBasisMode ? "legal_basis_enriched" : "default",
-      retrievalTopK: topK,
-      lawCatalogTopLawCodes,
-      fallbackRetrievalUsed,
-      sourcesPreview: legalSourcesWithIds.slice(0, 5).map((s) => ({
-        id: s.id,
-        law: s.law,
-        section: s.section,
-        title: s.title,
-      })),
-      sourceIds: legalSourcesWithIds.map((s) => s.id),
+// ===== С‡Р°С‚ =====
+async function prepareChatTurn({ requestId, message, clientStatus, extractedText, sessionId, asOf }, { onProgress } = {}) {
+  const progress = typeof onProgress === "function" ? onProgress : () => {};
+  const hasDocumentText = Boolean(extractedText && extractedText.trim());
+  progress("extraction", { hasDocumentText, documentChars: hasDocumentText ? extractedText.length : 0 });
+  const sanitizedMessage = redactPII(message);
+  const sanitizedDocumentText = hasDocumentText ? redactPII(extractedText) : "";
+  const sanitizedText = hasDocumentText
+    ? `${sanitizedMessage}\n\n[DOCUMENT_TEXT]\n${sanitizedDocumentText}`
+    : sanitizedMessage;
+  const session = await chatSessions.load(sessionId);
+  const sessionContext = chatSessions.buildContext(session);
+  const lawVersion = await resolveLawVersion(asOf);
+  const versionTag = lawVersion?.versionTag || null;
+  const { legalBasisMode, legalDomain, legalSourcesWithIds, normAllowlist, fallbackRetrievalUsed } =
+    await legalRetrieval.retrieve({
+      question: message,
+      sanitizedQuestion: sanitizedMessage,
+      documentText: sanitizedDocumentText,
+      context: sessionContext.retrievalContext,
+      carriedSources: sessionContext.carriedSources,
+      versionTag,
+      logContext: { requestId, sessionFollowUp: sessionContext.isFollowUp, asOf: asOf || null },
     });
-    const financialRiskServer = computeFinancialRisk(sanitizedText);
+  progress("retrieval", {
+    lawVersion,
+    legalSourcesCount: legalSourcesWithIds.length,
+    allowedNormsCount: normAllowlist.allowedNorms.size,
+    retrievalMode: legalBasisMode ? "legal_basis_enriched" : "default",
+    legalDomain: legalDomain.id,
+    fallbackRetrievalUsed,
+  });
+  progress(
+    "sources",
+    legalSourcesWithIds.map((s) => ({ id: s.id, law: s.law, section: s.section, title: s.title }))
+  );
+  const lawStatusDocs = await retrieveLawStatus(legalSourcesWithIds, { versionTag });
+  const lawStatusText = formatLawStatusForPrompt(lawStatusDocs);
+  const financialRiskServer = computeFinancialRisk(sanitizedText);
 
-    const system = `
+  const system = `
 РўС‹ вЂ” RechtsInfo AI Agent (DE/RU), СЋСЂРёРґРёС‡РµСЃРєРёР№ РїРѕРјРѕС‰РЅРёРє РїРѕ Р“РµСЂРјР°РЅРёРё.
 Р’Р«Р’РћР”Р РўРћР›Р¬РљРћ JSON.
 
@@ -460,47 +394,76 @@ app.post("/chat", upload.single("file"), async (req, res) => {
 РќРµ РѕР±РµС‰Р°С‚СЊ РёСЃС…РѕРґ.
 РќРµ Р·Р°РїСЂР°С€РёРІР°С‚СЊ Р»РёС€РЅРёРµ РїРµСЂСЃРѕРЅР°Р»СЊРЅС‹Рµ РґР°РЅРЅС‹Рµ.
 
-LEGAL_SOURCES:\n${JSON.stringify(legalSourcesWithIds)}\n\nCRITICAL RULE - LAW CITATIONS (NO HALLUCINATIONS):\nYou may cite legal norms (e.g., В§ вЂ¦ BGB, Art. вЂ¦ DSGVO, В§ вЂ¦ SGB) ONLY if the norm string appears in ALLOWED_NORMS below.\n- You MUST copy-paste the norm EXACTLY as written in ALLOWED_NORMS (character-for-character).
-- If the user asks which law/article/paragraph regulates their issue and ALLOWED_NORMS is not empty, you MUST cite the most relevant exact norms from ALLOWED_NORMS (prefer 2-5 norms if available).\n- If a relevant norm is NOT in ALLOWED_NORMS, do NOT cite it. Instead say: "Не могу подтвердить конкретные нормы по извлечённым источникам" and ask what document/details to retrieve next.\n- Never mention "allowed norms", "allowlist", "whitelist" or internal restrictions.\n- Never invent В§, Absatz, Satz, Nummer, Buchstabe, Article, or law code.\n- If you cite a norm, append the source marker in brackets exactly like: [S#] (example: "В§ 823 Abs. 1 BGB [S2]").\n- Do not use any [S#] that is not present in the provided LEGAL_SOURCES.\n\nALLOWED_NORMS:\n${normAllowlist.allowedNormsText || "(none)"}\n\nNORM_SOURCES (use these [S#] markers):\n${normAllowlist.normSourcesText || "(none)"}\n`.trim();
-
-    const user = hasDocumentText
-      ? `Р’РѕРїСЂРѕСЃ РїРѕР»СЊР·РѕРІР°С‚РµР»СЏ:\n${sanitizedMessage}\n\nРўРµРєСЃС‚ РґРѕРєСѓРјРµРЅС‚Р°:\n${sanitizedDocumentText}`
-      : `Р’РѕРїСЂРѕСЃ РїРѕР»СЊР·РѕРІР°С‚РµР»СЏ:\n${sanitizedMessage}`;
+LEGAL_SOURCES:\n${JSON.stringify(promptSources(legalSourcesWithIds))}\n\nCRITICAL RULE - LAW CITATIONS (NO HALLUCINATIONS):\nYou may cite legal norms (e.g., В§ вЂ¦ BGB, Art. вЂ¦ DSGVO, В§ вЂ¦ SGB) ONLY if the norm string appears in ALLOWED_NORMS below.\n- You MUST copy-paste the norm EXACTLY as written in ALLOWED_NORMS (character-for-character).
+- If the user asks which law/article/paragraph regulates their issue and ALLOWED_NORMS is not empty, you MUST cite the most relevant exact norms from ALLOWED_NORMS (prefer 2-5 norms if available).\n- If a relevant norm is NOT in ALLOWED_NORMS, do NOT cite it. Instead say: "Не могу подтвердить конкретные нормы по извлечённым источникам" and ask what document/details to retrieve next.\n- Never mention "allowed norms", "allowlist", "whitelist" or internal restrictions.\n- Never invent В§, Absatz, Satz, Nummer, Buchstabe, Article, or law code.\n- If you cite a norm, append the source marker in brackets exactly like: [S#] (example: "В§ 823 Abs. 1 BGB [S2]").\n- Do not use any [S#] that is not present in the provided LEGAL_SOURCES.\n\nALLOWED_NORMS:\n${normAllowlist.allowedNormsText || "(none)"}\n\nNORM_SOURCES (use these [S#] markers):\n${normAllowlist.normSourcesText || "(none)"}\n\nLAW_STATUS (Stand of each law in LEGAL_SOURCES):\n${lawStatusText || "(none)"}\n- When you rely on a law listed in LAW_STATUS, state the date of the text once, e.g. "по состоянию на 15.02.2024".\n- If a law is marked PENDING_AMENDMENT, warn the user that an amendment is not yet fully reflected in the consolidated text and that the wording may change.\n\nLAW_VERSION:\n${formatLawVersionForPrompt(lawVersion) || "(unknown)"}\n`.trim();
+
+  const user = hasDocumentText
+    ? `Р’РѕРїСЂРѕСЃ РїРѕР»СЊР·РѕРІР°С‚РµР»СЏ:\n${sanitizedMessage}\n\nРўРµРєСЃС‚ РґРѕРєСѓРјРµРЅС‚Р°:\n${sanitizedDocumentText}`
+    : `Р’РѕРїСЂРѕСЃ РїРѕР»СЊР·РѕРІР°С‚РµР»СЏ:\n${sanitizedMessage}`;
+  const userWithHistory = sessionContext.promptContext
+    ? `${sessionContext.promptContext}\n\n${user}`
+    : user;
+
+  return {
+    requestId,
+    clientStatus,
+    session,
+    sanitizedMessage,
+    hasDocumentText,
+    sanitizedText,
+    legalBasisMode,
+    legalDomain,
+    legalSourcesWithIds,
+    normAllowlist,
+    lawStatusDocs,
+    lawVersion,
+    financialRiskServer,
+    system,
+    user: userWithHistory,
+  };
+}
 
-    const ai = await openaiChatStrictJSON({
-      system,
-      user,
-      schema: RESPONSE_SCHEMA,
-      schemaName: "rechtsinfo_response",
+async function finalizeChatTurn(ai, turn) {
+  const {
+    requestId,
+    clientStatus,
+    session,
+    sanitizedMessage,
+    hasDocumentText,
+    sanitizedText,
+    legalBasisMode,
+    legalDomain,
+    legalSourcesWithIds,
+    normAllowlist,
+    lawStatusDocs,
+    lawVersion,
+    financialRiskServer,
+  } = turn;
+  const citationEnforcement = enforceAnswerCitations(ai.analysis, normAllowlist, {
+    requireAllowedNorm: legalBasisMode,
+    documentRequest: legalDomain.documentRequest,
+  });
+  ai.analysis = citationEnforcement.text;
+  if (citationEnforcement.removedNorms.length || citationEnforcement.replacedNorms.length) {
+    console.log("CITATION_GUARD", {
+      requestId,
+      endpoint: "chat",
+      timestamp: new Date().toISOString(),
+      removedNorms: citationEnforcement.removedNorms,
+      replacedNorms: citationEnforcement.replacedNorms,
+      legalBasisMode,
+      hasAllowedNormInAnswer: citationEnforcement.hasAllowedNormInAnswer,
     });
+  }
+  ai.financialRisk = financialRiskServer;
 
-    const citationSanitization = sanitizeAnswerCitations(ai.analysis, normAllowlist.allowedNorms);
-    ai.analysis = citationSanitization.sanitizedText;
-    const hasAllowedNormInAnswer = [...normAllowlist.allowedNorms].some((norm) => ai.analysis.includes(norm));
-    if (legalBasisMode && !hasAllowedNormInAnswer) {
-      ai.analysis =
-        "Не могу подтвердить конкретные нормы по извлечённым источникам. " +
-        "Пришлите текст расчёта при увольнении, приказ/соглашение об увольнении или документ работодателя, чтобы я подтянул точные нормы и статьи.";
-    }
-    if (citationSanitization.removedNorms.length || citationSanitization.replacedNorms.length) {
-      console.log("CITATION_GUARD", {
-        requestId,
-        timestamp: new Date().toISOString(),
-        removedNorms: citationSanitization.removedNorms,
-        replacedNorms: citationSanitization.replacedNorms,
-        legalBasisMode,
-        hasAllowedNormInAnswer,
-      });
-    }
-    ai.financialRisk = financialRiskServer;
-
-    if (ai.riskLevel === "high") {
-      const sumSystem = `
+  if (ai.riskLevel === "high") {
+    const sumSystem = `
 РўС‹ вЂ” РїРѕРјРѕС‰РЅРёРє РјРµРЅРµРґР¶РµСЂР°. Р’С‹РІРµРґРё РўРћР›Р¬РљРћ JSON.
 Р—Р°РїСЂРµС‰РµРЅРѕ: С‚РµР»РµС„РѕРЅС‹, email, Р°РґСЂРµСЃР°, IBAN, РЅРѕРјРµСЂР° РґРµР», Р»СЋР±С‹Рµ РёРґРµРЅС‚РёС„РёРєР°С‚РѕСЂС‹.
 `.trim();
 
-      const sumUser = `
+    const sumUser = `
 РЎС„РѕСЂРјРёСЂСѓР№ РєСЂР°С‚РєРѕРµ СЂРµР·СЋРјРµ high-risk РєРµР№СЃР°.
 РўРµРєСЃС‚ РєР»РёРµРЅС‚Р° (СѓР¶Рµ РѕС‡РёС‰РµРЅРЅС‹Р№):
 ${sanitizedText}
@@ -509,35 +472,121 @@ ${sanitizedText}
 ${ai.analysis}
 `.trim();
 
-      const summaryObj = await openaiChatStrictJSON({
-        system: sumSystem,
-        user: sumUser,
-        schema: SUMMARY_SCHEMA,
-        schemaName: "rechtsinfo_manager_summary",
-      });
-
-      await sendHighRiskToManager(summaryObj, {
-        clientStatus,
-        riskLevel: ai.riskLevel,
-        financialRisk: ai.financialRisk,
-      });
-      ai.managerSummary = summaryObj;
-      ai.managerEscalated = true;
-    }
+    const summaryObj = await llm.chatJSON({
+      system: sumSystem,
+      user: sumUser,
+      schema: SUMMARY_SCHEMA,
+      schemaName: "rechtsinfo_manager_summary",
+    });
+
+    await sendHighRiskToManager(summaryObj, {
+      clientStatus,
+      riskLevel: ai.riskLevel,
+      financialRisk: ai.financialRisk,
+    });
+    ai.managerSummary = summaryObj;
+    ai.managerEscalated = true;
+  }
+
+  ai.citations = buildAnswerCitations(ai.analysis, {
+    sources: legalSourcesWithIds,
+    normToSourceIds: normAllowlist.normToSourceIds,
+  });
+  const citedSourceIds = new Set(ai.citations.flatMap((c) => c.sourceIds));
+  const citedLaws = new Set(ai.citations.map((c) => c.law));
+  ai.lawStatus = lawStatusDocs.filter((d) => citedLaws.has(d.lawCode)).map(summarizeLawStatus);
+  await chatSessions.recordTurn(session, {
+    userText: hasDocumentText ? `${sanitizedMessage}\n[документ приложен]` : sanitizedMessage,
+    answerText: redactPII(ai.analysis),
+    citedSources: legalSourcesWithIds
+      .filter((s) => citedSourceIds.has(s.id))
+      .map((s) => ({ ...s, versionTag: lawVersion?.versionTag || null })),
+  });
+  ai.sessionId = session.id;
+  ai.lawVersion = lawVersion;
+
+  return ai;
+}
 
-    return res.json(ai);
+function removeUpload(file) {
+  if (!file?.path) return Promise.resolve();
+  return fsPromises.unlink(file.path).catch(() => {
+    // ignore cleanup errors
+  });
+}
 
+function readChatRequest(req, fileExtractedText) {
+  return {
+    message: String(req.body?.message || ""),
+    clientStatus: req.body?.client_status === "yes" ? "yes" : "no",
+    sessionId: String(req.body?.session_id || ""),
+    extractedText: fileExtractedText || String(req.body?.extractedText || ""),
+  };
+}
+
+app.post("/chat", upload.single("file"), async (req, res) => {
+  const file = req.file;
+  const requestId = `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const { ok, asOf } = readAsOf(req, res);
+    if (!ok) return;
+    const fileExtractedText = await extractTextFromUpload(file);
+    const turn = await prepareChatTurn({ requestId, asOf, ...readChatRequest(req, fileExtractedText) });
+
+    const ai = await llm.chatJSON({
+      system: turn.system,
+      user: turn.user,
+      schema: RESPONSE_SCHEMA,
+      schemaName: "rechtsinfo_response",
+    });
+
+    return res.json(await finalizeChatTurn(ai, turn));
   } catch (error) {
     console.error("CHAT_FAILED", error?.message || error);
     return res.status(500).json({ error: "CHAT_FAILED" });
   } finally {
-    if (file?.path) {
-      try {
-        await fsPromises.unlink(file.path);
-      } catch {
-        // ignore cleanup errors
-      }
-    }
+    await removeUpload(file);
+  }
+});
+
+// Same pipeline as /chat, streamed as Server-Sent Events:
+// extraction -> retrieval -> sources -> token* -> final (guarded answer) | error
+app.post("/chat/stream", upload.single("file"), async (req, res) => {
+  const file = req.file;
+  const requestId = `chat_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const { ok, asOf } = readAsOf(req, res);
+  if (!ok) {
+    await removeUpload(file);
+    return;
+  }
+  const stream = openSseStream(res);
+  try {
+    const fileExtractedText = await extractTextFromUpload(file);
+    const turn = await prepareChatTurn(
+      { requestId, asOf, ...readChatRequest(req, fileExtractedText) },
+      { onProgress: (event, data) => stream.send(event, data) }
+    );
+
+    const analysisReader = createJsonStringFieldReader("analysis");
+    const ai = await llm.chatJSONStream({
+      system: turn.system,
+      user: turn.user,
+      schema: RESPONSE_SCHEMA,
+      schemaName: "rechtsinfo_response",
+      onDelta: (delta) => {
+        const text = analysisReader.push(delta);
+        if (text) stream.send("token", { text });
+      },
+    });
+
+    // Tokens above are unguarded drafts; `final` carries the sanitized answer.
+    stream.send("final", await finalizeChatTurn(ai, turn));
+  } catch (error) {
+    console.error("CHAT_STREAM_FAILED", error?.message || error);
+    stream.send("error", { error: "CHAT_FAILED" });
+  } finally {
+    stream.end();
+    await removeUpload(file);
   }
 });
 
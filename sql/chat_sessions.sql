@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  session_id TEXT PRIMARY KEY,
+  history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  summary TEXT NOT NULL DEFAULT '',
+  sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS chat_sessions_updated_idx ON chat_sessions (updated_at);
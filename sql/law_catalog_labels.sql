@@ -0,0 +1,10 @@
+-- Russian titles and search keywords of laws for law_catalog (src/laws/catalogLabels.js),
+-- cached across versions and regenerated when a law's German title changes.
+CREATE TABLE IF NOT EXISTS law_catalog_labels (
+  law_code TEXT PRIMARY KEY,
+  title_de TEXT NOT NULL,
+  title_ru TEXT NOT NULL,
+  keywords TEXT,
+  model TEXT,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
@@ -17,6 +17,33 @@ CREATE INDEX IF NOT EXISTS law_chunks_embedding_idx
   USING ivfflat (embedding vector_cosine_ops)
   WITH (lists = 100);
 
+-- German full-text index for the lexical half of hybrid retrieval.
+ALTER TABLE law_chunks
+  ADD COLUMN IF NOT EXISTS tsv tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('german', coalesce(law, '') || ' ' || coalesce(section, '') || ' ' || coalesce(title, '')), 'A')
+    || setweight(to_tsvector('german', coalesce(text, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS law_chunks_tsv_idx ON law_chunks USING gin (tsv);
+
+-- Document structure from the gii XML (one row per Absatz, see src/ingest/giiNorms.js).
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS jurabk TEXT;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS amtabk TEXT;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS absatz TEXT;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS gliederung_path TEXT[];
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS context_header TEXT;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS norm_index INTEGER;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS chunk_index INTEGER;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS footnotes TEXT;
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS tables JSONB;
+
+-- sha256 of the embedded text; lets a re-ingest copy embeddings of unchanged chunks.
+ALTER TABLE law_chunks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+CREATE INDEX IF NOT EXISTS law_chunks_content_hash_idx ON law_chunks (version_tag, content_hash);
+
+-- Resumed imports look up the chunks already stored per source file.
+CREATE INDEX IF NOT EXISTS law_chunks_version_source_idx ON law_chunks (version_tag, source);
+
 CREATE INDEX IF NOT EXISTS law_chunks_law_idx ON law_chunks (law);
 CREATE INDEX IF NOT EXISTS law_chunks_section_idx ON law_chunks (section);
 CREATE INDEX IF NOT EXISTS law_chunks_version_idx ON law_chunks (version_tag);
@@ -28,6 +55,22 @@ CREATE TABLE IF NOT EXISTS law_dataset_versions (
   status TEXT NOT NULL CHECK (status IN ('loading', 'active', 'failed', 'archived'))
 );
 
+-- First day a version's texts apply (its harvest date); as_of requests pick the
+-- latest retained version with valid_from <= as_of.
+ALTER TABLE law_dataset_versions ADD COLUMN IF NOT EXISTS valid_from DATE;
+UPDATE law_dataset_versions
+  SET valid_from = CASE WHEN version_tag ~ '^\d{4}-\d{2}-\d{2}$' THEN version_tag::date ELSE imported_at::date END
+  WHERE valid_from IS NULL;
+
+-- Lifecycle (src/laws/versionLifecycle.js): loading -> verified | failed -> active -> archived.
+-- 'pruned': chunks removed by the retention policy, the row stays as history.
+ALTER TABLE law_dataset_versions DROP CONSTRAINT IF EXISTS law_dataset_versions_status_check;
+ALTER TABLE law_dataset_versions ADD CONSTRAINT law_dataset_versions_status_check
+  CHECK (status IN ('loading', 'verified', 'active', 'failed', 'archived', 'pruned'));
+ALTER TABLE law_dataset_versions ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+ALTER TABLE law_dataset_versions ADD COLUMN IF NOT EXISTS verification JSONB;
+ALTER TABLE law_dataset_versions ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+
 CREATE TABLE IF NOT EXISTS law_dataset_meta (
   key TEXT PRIMARY KEY,
   value TEXT NOT NULL,
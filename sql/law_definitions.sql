@@ -0,0 +1,18 @@
+-- Legaldefinitionen of one dataset version (src/laws/legalDefinitions.js): the defined
+-- term, the defining sentence and the norm it stands in.
+CREATE TABLE IF NOT EXISTS law_definitions (
+  version_tag TEXT NOT NULL,
+  term TEXT NOT NULL,
+  -- lower-case stems of the term's words, see definitionTermKey()
+  term_key TEXT NOT NULL,
+  law TEXT NOT NULL,
+  section TEXT NOT NULL,
+  title TEXT,
+  absatz TEXT,
+  text TEXT NOT NULL,
+  source TEXT NOT NULL,
+  norm_index INTEGER NOT NULL,
+  PRIMARY KEY (version_tag, term_key, source, norm_index)
+);
+
+CREATE INDEX IF NOT EXISTS law_definitions_law_idx ON law_definitions (version_tag, lower(law));
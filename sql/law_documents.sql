@@ -0,0 +1,24 @@
+-- One row per law and dataset version: gii document metadata captured during ingest.
+CREATE TABLE IF NOT EXISTS law_documents (
+  version_tag TEXT NOT NULL,
+  law_code TEXT NOT NULL,
+  jurabk TEXT,
+  amtabk TEXT,
+  doknr TEXT,
+  title TEXT,
+  short_title TEXT,
+  ausfertigung_datum DATE,
+  builddate TIMESTAMPTZ,
+  fundstellen JSONB NOT NULL DEFAULT '[]'::jsonb,
+  standangaben JSONB NOT NULL DEFAULT '[]'::jsonb,
+  stand_text TEXT,
+  neugefasst_text TEXT,
+  hinweis_text TEXT,
+  last_amended_on DATE,
+  pending_amendment BOOLEAN NOT NULL DEFAULT false,
+  source TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (version_tag, law_code)
+);
+
+CREATE INDEX IF NOT EXISTS law_documents_law_code_idx ON law_documents (lower(law_code));
@@ -0,0 +1,22 @@
+-- Cross-references between norms of one dataset version (src/laws/normReferences.js):
+-- from_* refers to to_*, both identified by their law_chunks source file and norm_index.
+CREATE TABLE IF NOT EXISTS law_norm_references (
+  version_tag TEXT NOT NULL,
+  from_law TEXT NOT NULL,
+  from_section TEXT NOT NULL,
+  from_source TEXT NOT NULL,
+  from_norm_index INTEGER NOT NULL,
+  to_law TEXT NOT NULL,
+  to_section TEXT NOT NULL,
+  to_source TEXT NOT NULL,
+  to_norm_index INTEGER NOT NULL,
+  -- Absatz named in the citation ("§ 573 Abs. 2" -> '2'), NULL for the whole norm.
+  to_absatz TEXT,
+  cited_as TEXT NOT NULL,
+  PRIMARY KEY (version_tag, from_source, from_norm_index, to_source, to_norm_index)
+);
+
+CREATE INDEX IF NOT EXISTS law_norm_references_to_idx
+  ON law_norm_references (version_tag, to_source, to_norm_index);
+CREATE INDEX IF NOT EXISTS law_norm_references_to_law_idx
+  ON law_norm_references (version_tag, lower(to_law));
@@ -0,0 +1,101 @@
+// src/citations/answerCitations.js (ESM)
+import { compareSourceIds, normalizeNorm } from "../guards/citationGuard.js";
+import { lawSectionUrl, lawSourceRef } from "../shared/lawSources.js";
+
+const EXCERPT_MAX_CHARS = 400;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Position of a norm in the answer, or -1. "§ 7 BUrlG" must not match inside "§ 7 BUrlGx",
+ * and "§ 62 BGB" must not match inside "§ 622 BGB".
+ */
+function findNorm(text, norm) {
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(norm)}(?![\\p{L}\\p{N}])`, "u");
+  const m = re.exec(text);
+  return m ? m.index : -1;
+}
+
+// Source markers right after a citation: "§ 7 BUrlG [S3]", "[S3, S4]" or "[S3][S4]".
+const SOURCE_MARKERS_RE = /^\s*((?:\[S\d+(?:\s*,\s*S\d+)*\]\s*)+)/;
+
+function markedSourceIds(text, end) {
+  const m = SOURCE_MARKERS_RE.exec(text.slice(end));
+  return m ? m[1].match(/S\d+/g) : [];
+}
+
+/**
+ * How well a source backs a norm: 2 = same section, law and Absatz, 1 = same
+ * section and law, 0 = the norm only occurs in the source's text.
+ */
+function normMatch(src, norm) {
+  if (!src.section || !src.law) return 0;
+  if (src.absatz && norm === normalizeNorm(`${src.section} Abs. ${src.absatz} ${src.law}`)) return 2;
+  const withoutAbsatz = norm.replace(/\s+Abs\.\s*\d+[a-z]*/i, "");
+  return withoutAbsatz === normalizeNorm(`${src.section} ${src.law}`) ? 1 : 0;
+}
+
+/**
+ * The source shown for a norm: the best law/section match; among equal matches the
+ * one the answer marked after the norm, else the lowest id.
+ */
+function pickPrimarySource(ids, sourcesById, norm, marked) {
+  const rank = (id) => {
+    const markIndex = marked.indexOf(id);
+    return [normMatch(sourcesById.get(id), norm), markIndex === -1 ? -Infinity : -markIndex];
+  };
+  return ids.reduce((best, id) => {
+    const [match, mark] = rank(id);
+    const [bestMatch, bestMark] = rank(best);
+    return match > bestMatch || (match === bestMatch && mark > bestMark) ? id : best;
+  });
+}
+
+function buildExcerpt(text, maxChars = EXCERPT_MAX_CHARS) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxChars) return clean;
+  const cut = clean.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxChars * 0.6 ? cut.slice(0, lastSpace) : cut).trim()} …`;
+}
+
+/**
+ * Maps every allowlisted norm that survived the citation guard to the
+ * LEGAL_SOURCES entry backing it. Ordered by first appearance in the answer.
+ */
+export function buildAnswerCitations(answerText, { sources = [], normToSourceIds = new Map() } = {}) {
+  const text = String(answerText || "");
+  if (!text) return [];
+  const sourcesById = new Map(sources.map((s) => [s.id, s]));
+
+  const out = [];
+  for (const [norm, sourceIds] of normToSourceIds) {
+    const position = findNorm(text, norm);
+    if (position === -1) continue;
+    const ids = [...(sourceIds || [])].filter((id) => sourcesById.has(id)).sort(compareSourceIds);
+    if (!ids.length) continue;
+
+    const marked = markedSourceIds(text, position + norm.length);
+    const primary = sourcesById.get(pickPrimarySource(ids, sourcesById, norm, marked));
+    const ref = lawSourceRef(primary.source);
+    out.push({
+      norm,
+      sourceId: primary.id,
+      sourceIds: ids,
+      law: primary.law || null,
+      section: primary.section || null,
+      absatz: primary.absatz || null,
+      title: primary.title || null,
+      excerpt: buildExcerpt(primary.text),
+      sourceFile: ref.sourceFile,
+      url: ref.url || lawSectionUrl(ref.slug, primary.section),
+      position,
+    });
+  }
+
+  return out
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...citation }) => citation);
+}
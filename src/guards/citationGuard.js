@@ -1,9 +1,9 @@
 // src/guards/citationGuard.js  (ESM)
 
-const NORM_REGEX =
+export const NORM_REGEX =
   /(?:§\s*\d+[a-zA-Z]*|Art\.\s*\d+[a-zA-Z]*)\s*(?:(?:Abs\.|Absatz)\s*\d+[a-zA-Z]*\s*)?(?:(?:Satz)\s*\d+\s*)?(?:(?:Nr\.|Nummer)\s*\d+\s*)?(?:(?:lit\.?)\s*[a-z]\s*)?(?:(?:Buchst\.|Buchstabe)\s*[a-z]\s*)?(?:[A-Za-zÄÖÜäöü]{2,}(?:\s*(?:[IVX]{1,4}|[0-9]{1,3}))?)?\b/g;
 
-function normalizeNorm(s) {
+export function normalizeNorm(s) {
   return s
     .replace(/\s+/g, " ")
     .replace(/§\s*/g, "§ ")
@@ -16,7 +16,7 @@ function normalizeNorm(s) {
     .trim();
 }
 
-function extractNorms(text) {
+export function extractNorms(text) {
   if (!text) return [];
   const matches = text.match(NORM_REGEX) || [];
   const out = new Set();
@@ -32,6 +32,13 @@ function buildNormFromMetadata(section, lawCodeOrName) {
   return normalizeNorm(`${s} ${law}`);
 }
 
+/**
+ * "S2" before "S10": source ids compare by their number.
+ */
+export function compareSourceIds(a, b) {
+  return String(a).localeCompare(String(b), "en", { numeric: true });
+}
+
 /**
  * Build allowlist from retrieved sources.
  * sources format expected:
@@ -64,6 +71,11 @@ export function buildNormAllowlist(sources, { maxNorms = 80 } = {}) {
     const norms = extractNorms(text);
     const metadataNorm = buildNormFromMetadata(src?.section, lawCode || src?.law);
     if (metadataNorm && !norms.includes(metadataNorm)) norms.push(metadataNorm);
+    // Absatz-level chunks also back the precise "§ 7 Abs. 4 BUrlG" citation.
+    const absatzNorm = src?.absatz
+      ? buildNormFromMetadata(`${src.section} Abs. ${src.absatz}`, lawCode || src?.law)
+      : null;
+    if (absatzNorm && !norms.includes(absatzNorm)) norms.push(absatzNorm);
 
     for (let norm of norms) {
       // если regex нашёл "§ 7 Abs. 4" без "BUrlG", а lawCode есть — пришиваем код
@@ -85,7 +97,7 @@ export function buildNormAllowlist(sources, { maxNorms = 80 } = {}) {
   const cappedSet = new Set(capped);
   const cappedMap = new Map();
   for (const norm of capped) {
-    cappedMap.set(norm, [...(normToSourceIds.get(norm) || [])].sort());
+    cappedMap.set(norm, [...(normToSourceIds.get(norm) || [])].sort(compareSourceIds));
   }
 
   return {
@@ -163,3 +175,23 @@ export function sanitizeAnswerCitations(answerText, allowedNorms) {
     replacedNorms: replaced,
   };
 }
+
+export const UNCONFIRMED_NORMS_TEXT = "Не могу подтвердить конкретные нормы по извлечённым источникам.";
+
+/**
+ * Citation enforcement shared by /chat and /api/legal: norms outside the allowlist are
+ * removed or upgraded (sanitizeAnswerCitations). When the question asked for the legal
+ * basis and no allowed norm is left, the answer is replaced by UNCONFIRMED_NORMS_TEXT
+ * plus documentRequest (what to send so the norms can be retrieved).
+ */
+export function enforceAnswerCitations(answerText, normAllowlist, { requireAllowedNorm = false, documentRequest = "" } = {}) {
+  const { sanitizedText, removedNorms, replacedNorms } = sanitizeAnswerCitations(answerText, normAllowlist.allowedNorms);
+  const hasAllowedNormInAnswer = [...normAllowlist.allowedNorms].some((norm) => sanitizedText.includes(norm));
+  const unconfirmed = requireAllowedNorm && !hasAllowedNormInAnswer;
+  return {
+    text: unconfirmed ? [UNCONFIRMED_NORMS_TEXT, documentRequest].filter(Boolean).join(" ") : sanitizedText,
+    removedNorms,
+    replacedNorms,
+    hasAllowedNormInAnswer,
+  };
+}
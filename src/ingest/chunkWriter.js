@@ -0,0 +1,82 @@
+// src/ingest/chunkWriter.js (ESM)
+// law_chunks writes for ingest: multi-row INSERTs and the keys used to resume an
+// interrupted import without re-embedding what is already stored.
+
+// [column, SQL cast, value from (row, vector, versionTag)]
+const CHUNK_COLUMNS = [
+  ["version_tag", "", (r, v, tag) => tag],
+  ["law", "", (r) => r.law],
+  ["section", "", (r) => r.section],
+  ["title", "", (r) => r.title],
+  ["text", "", (r) => r.text],
+  ["source", "", (r) => r.source],
+  ["embedding", "::vector", (r, v) => v],
+  ["jurabk", "", (r) => r.jurabk],
+  ["amtabk", "", (r) => r.amtabk],
+  ["absatz", "", (r) => r.absatz],
+  ["gliederung_path", "", (r) => r.gliederungPath],
+  ["context_header", "", (r) => r.contextHeader],
+  ["norm_index", "", (r) => r.normIndex],
+  ["chunk_index", "", (r) => r.chunkIndex],
+  ["footnotes", "", (r) => r.footnotes],
+  ["tables", "::jsonb", (r) => (r.tables ? JSON.stringify(r.tables) : null)],
+  ["content_hash", "", (r) => r.contentHash],
+];
+
+// Postgres allows 65535 bind parameters per statement.
+export const MAX_ROWS_PER_INSERT = Math.floor(65535 / CHUNK_COLUMNS.length);
+
+/**
+ * One INSERT for many chunks. vectors: pgvector literals aligned with rows.
+ */
+export function buildChunkInsert(versionTag, rows, vectors) {
+  if (rows.length > MAX_ROWS_PER_INSERT) throw new Error(`Too many rows for one INSERT: ${rows.length}`);
+  const values = [];
+  const tuples = rows.map((row, i) => {
+    const placeholders = CHUNK_COLUMNS.map(([, cast, get]) => {
+      values.push(get(row, vectors[i], versionTag));
+      return `$${values.length}${cast}`;
+    });
+    return `(${placeholders.join(", ")})`;
+  });
+  return {
+    text: `INSERT INTO law_chunks (${CHUNK_COLUMNS.map(([name]) => name).join(", ")}) VALUES ${tuples.join(", ")}`,
+    values,
+  };
+}
+
+/**
+ * Inserts rows in statements of at most batchSize rows. Each statement is atomic,
+ * so an interrupted import leaves only whole batches behind.
+ */
+export async function insertChunks(client, versionTag, rows, vectors, { batchSize = 500 } = {}) {
+  const size = Math.min(Math.max(1, batchSize), MAX_ROWS_PER_INSERT);
+  for (let i = 0; i < rows.length; i += size) {
+    const { text, values } = buildChunkInsert(versionTag, rows.slice(i, i + size), vectors.slice(i, i + size));
+    await client.query(text, values);
+  }
+}
+
+/**
+ * Identifies a chunk within its source file, stable across runs over the same XML.
+ */
+export function chunkKey(row) {
+  return `${row.source}\u0000${row.normIndex ?? ""}\u0000${row.chunkIndex ?? ""}`;
+}
+
+/**
+ * Keys of the chunks of these source files already stored in the version.
+ */
+export async function loadStoredChunkKeys(client, versionTag, sources) {
+  if (!sources.length) return new Set();
+  const { rows } = await client.query(
+    `
+      SELECT source, norm_index, chunk_index
+      FROM law_chunks
+      WHERE version_tag = $1
+        AND source = ANY($2::text[])
+    `,
+    [versionTag, sources]
+  );
+  return new Set(rows.map((r) => chunkKey({ source: r.source, normIndex: r.norm_index, chunkIndex: r.chunk_index })));
+}
@@ -0,0 +1,104 @@
+// src/ingest/embeddingPipeline.js (ESM)
+// Bulk embedding for ingest: token-budgeted batches, a bounded number of requests
+// in flight, and retries with backoff on rate limits and transient errors.
+import { withRetry } from "../shared/retry.js";
+import { estimateTokens } from "../shared/tokens.js";
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_BATCH_ITEMS = 64;
+const DEFAULT_MAX_BATCH_TOKENS = 8000;
+
+/**
+ * Splits texts into batches of at most maxItems texts and maxTokens estimated tokens.
+ * A single text above maxTokens gets a batch of its own. Returns arrays of indexes.
+ */
+export function batchByTokens(texts, { maxItems = DEFAULT_MAX_BATCH_ITEMS, maxTokens = DEFAULT_MAX_BATCH_TOKENS } = {}) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  texts.forEach((text, index) => {
+    const t = estimateTokens(text);
+    if (current.length && (current.length >= maxItems || tokens + t > maxTokens)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(index);
+    tokens += t;
+  });
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+/**
+ * Maps items through an async worker with at most `concurrency` calls in flight.
+ * Results keep the input order; the first failure rejects (in-flight calls finish).
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = null;
+  async function run() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = failed || error;
+      }
+    }
+  }
+  const lanes = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, run));
+  if (failed) throw failed;
+  return results;
+}
+
+/**
+ * embed(texts) -> vectors in input order, using llm.embed() for each batch.
+ * retries, baseDelayMs, maxDelayMs and sleep go to withRetry (its defaults when unset).
+ * stats (optional) counts requests and retries.
+ */
+export function createBatchEmbedder(
+  llm,
+  {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxBatchItems = DEFAULT_MAX_BATCH_ITEMS,
+    maxBatchTokens = DEFAULT_MAX_BATCH_TOKENS,
+    retries,
+    baseDelayMs,
+    maxDelayMs,
+    sleep,
+    stats = { requests: 0, retries: 0 },
+  } = {}
+) {
+  async function embed(texts) {
+    const vectors = new Array(texts.length);
+    const batches = batchByTokens(texts, { maxItems: maxBatchItems, maxTokens: maxBatchTokens });
+    await mapWithConcurrency(batches, concurrency, async (indexes) => {
+      const embeddings = await withRetry(
+        () => {
+          stats.requests += 1;
+          return llm.embed(indexes.map((i) => texts[i]));
+        },
+        {
+          retries,
+          baseDelayMs,
+          maxDelayMs,
+          sleep,
+          onRetry: ({ error, attempt, delay }) => {
+            stats.retries += 1;
+            console.warn("EMBED_RETRY", { status: error.status || null, attempt, delayMs: delay, batch: indexes.length });
+          },
+        }
+      );
+      if (!Array.isArray(embeddings) || embeddings.length !== indexes.length) {
+        throw new Error(`Embeddings: expected ${indexes.length} vectors, got ${embeddings?.length ?? 0}`);
+      }
+      indexes.forEach((i, j) => (vectors[i] = embeddings[j]));
+    });
+    return vectors;
+  }
+
+  return { embed, stats };
+}
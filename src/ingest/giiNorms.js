@@ -0,0 +1,536 @@
+// src/ingest/giiNorms.js (ESM)
+// Streaming parser for gesetze-im-internet XML (gii-norm.dtd), built on sax.
+import fs from "fs";
+import path from "path";
+import sax from "sax";
+
+const DEFAULT_MAX_CHARS = 1800;
+
+// metadaten leaves whose text we keep (gii-norm.dtd names).
+const META_FIELDS = new Set([
+  "jurabk",
+  "amtabk",
+  "ausfertigung-datum",
+  "periodikum",
+  "zitstelle",
+  "standtyp",
+  "standkommentar",
+  "langue",
+  "kurzue",
+  "enbez",
+  "titel",
+  "gliederungskennzahl",
+  "gliederungsbez",
+  "gliederungstitel",
+]);
+
+// Elements inside <Content> that we know how to render; anything else is reported once per file.
+const CONTENT_ELEMENTS = new Set([
+  "content", "p", "dl", "dt", "dd", "la", "br", "fnr", "sup", "sub", "b", "i", "u", "f", "small",
+  "span", "pre", "noindex", "title", "subtitle", "toc", "revision", "img", "footnotes", "footnote",
+  "table", "tgroup", "colspec", "spanspec", "thead", "tbody", "tfoot", "row", "entry", "a", "kommentar",
+  "ul", "li", "citation", "quote", "ident", "abwform", "em", "sp",
+]);
+
+function collapse(s = "") {
+  return s.replace(/[ \t\r\f\v ]+/g, " ").trim();
+}
+
+/**
+ * Rendered text uses "\n" for structure (enumeration items, table rows, <BR/>);
+ * everything else collapses to single spaces.
+ */
+function normalizeLines(s = "") {
+  return s
+    .split("\n")
+    .map((line) => collapse(line).replace(/(?:\s*\|)+\s*$/, ""))
+    .filter(Boolean)
+    .join("\n");
+}
+
+function emptyMeta() {
+  return {
+    jurabk: [],
+    amtabk: [],
+    ausfertigungDatum: null,
+    fundstellen: [],
+    standangaben: [],
+    langue: null,
+    kurzue: null,
+    enbez: null,
+    titel: null,
+    gliederung: null,
+  };
+}
+
+/**
+ * Event-driven gii parser. Feed XML with write(), then close(); every finished
+ * <norm> goes to onNorm as { index, doknr, meta, blocks, footnotes, footnoteRefs }.
+ * blocks are rendered <P> elements (text + structured tables), in document order.
+ * onDocument receives the <dokumente> attributes (builddate, doknr).
+ */
+export function createGiiParser({ onNorm, onDocument = () => {}, onWarning = () => {} } = {}) {
+  const parser = sax.parser(true, { trim: false, normalize: false, position: true });
+  const unknownElements = new Set();
+  const stack = [];
+  let normIndex = 0;
+  let norm = null;
+  let field = null; // { name, buf } while inside a META_FIELDS element
+  let gliederung = null;
+  let area = null; // "text" | "fussnoten" while inside textdaten
+  let block = null;
+  let footnote = null;
+  let table = null;
+  let tableRow = null;
+  let cell = null;
+
+  const warn = (message) => onWarning({ norm: norm ? norm.index : null, message });
+
+  function write(s) {
+    if (cell !== null) cell += s;
+    if (footnote) footnote.buf += s;
+    else if (block) block.buf += s;
+  }
+
+  function startBlock() {
+    if (!block) block = { buf: "", tables: [] };
+  }
+
+  function endBlock() {
+    if (!block) return;
+    const text = normalizeLines(block.buf);
+    if (text || block.tables.length) norm.blocks.push({ text, tables: block.tables });
+    block = null;
+  }
+
+  parser.onopentag = (node) => {
+    const name = node.name.toLowerCase();
+    const parent = stack[stack.length - 1];
+    stack.push(name);
+
+    if (name === "dokumente") {
+      onDocument({ builddate: node.attributes.builddate || null, doknr: node.attributes.doknr || null });
+      return;
+    }
+    if (name === "norm") {
+      norm = {
+        index: normIndex++,
+        doknr: node.attributes.doknr || null,
+        meta: emptyMeta(),
+        blocks: [],
+        footnotes: [],
+        footnoteRefs: [],
+      };
+      return;
+    }
+    if (!norm) return;
+
+    if (stack.includes("metadaten")) {
+      if (name === "fundstelle") norm.meta.fundstellen.push({ periodikum: null, zitstelle: null });
+      else if (name === "standangabe") norm.meta.standangaben.push({ typ: null, kommentar: null });
+      else if (name === "gliederungseinheit") gliederung = { kennzahl: "", bez: "", titel: "" };
+      else if (META_FIELDS.has(name) && !field) field = { name, buf: "" };
+      else if (field && name === "br") field.buf += " ";
+      return;
+    }
+
+    if (name === "textdaten") return;
+    if (parent === "textdaten" && (name === "text" || name === "fussnoten")) {
+      area = name;
+      return;
+    }
+    if (!area) return;
+
+    if (!CONTENT_ELEMENTS.has(name) && !unknownElements.has(name)) {
+      unknownElements.add(name);
+      warn(`unknown element <${node.name}> rendered as plain text`);
+    }
+
+    if (area === "fussnoten") {
+      if (name === "footnote" || (name === "p" && !footnote)) {
+        footnote = { id: node.attributes.ID || node.attributes.id || null, buf: "", tag: name };
+      } else if (name === "br") {
+        write("\n");
+      }
+      return;
+    }
+
+    switch (name) {
+      case "p":
+        endBlock();
+        startBlock();
+        break;
+      case "br":
+        write("\n");
+        break;
+      case "dt":
+        startBlock();
+        write("\n");
+        break;
+      case "fnr": {
+        const id = node.attributes.ID || node.attributes.id;
+        if (id) norm.footnoteRefs.push(id);
+        break;
+      }
+      case "table":
+        startBlock();
+        table = { rows: [] };
+        break;
+      case "row":
+        tableRow = [];
+        write("\n");
+        break;
+      case "entry":
+        cell = "";
+        break;
+      default:
+        if (name !== "content") startBlock();
+    }
+  };
+
+  parser.onclosetag = (rawName) => {
+    const name = rawName.toLowerCase();
+    stack.pop();
+    if (!norm) return;
+
+    if (field && name === field.name) {
+      const value = collapse(field.buf.replace(/\s+/g, " "));
+      const meta = norm.meta;
+      if (name === "jurabk" || name === "amtabk") {
+        if (value) meta[name].push(value);
+      } else if (name === "ausfertigung-datum") meta.ausfertigungDatum = value || null;
+      else if (name === "periodikum" && meta.fundstellen.length) meta.fundstellen.at(-1).periodikum = value;
+      else if (name === "zitstelle" && meta.fundstellen.length) meta.fundstellen.at(-1).zitstelle = value;
+      else if (name === "standtyp" && meta.standangaben.length) meta.standangaben.at(-1).typ = value;
+      else if (name === "standkommentar" && meta.standangaben.length) meta.standangaben.at(-1).kommentar = value;
+      else if (name === "gliederungskennzahl" && gliederung) gliederung.kennzahl = value;
+      else if (name === "gliederungsbez" && gliederung) gliederung.bez = value;
+      else if (name === "gliederungstitel" && gliederung) gliederung.titel = value;
+      else if (name in meta) meta[name] = value || null;
+      field = null;
+      return;
+    }
+
+    if (name === "gliederungseinheit" && gliederung) {
+      norm.meta.gliederung = {
+        kennzahl: gliederung.kennzahl,
+        label: [gliederung.bez, gliederung.titel].filter(Boolean).join(" "),
+      };
+      gliederung = null;
+      return;
+    }
+
+    if (area && stack[stack.length - 1] === "textdaten" && (name === "text" || name === "fussnoten")) {
+      if (area === "text") endBlock();
+      area = null;
+      return;
+    }
+
+    if (area === "fussnoten") {
+      if (footnote && name === footnote.tag) {
+        const text = normalizeLines(footnote.buf);
+        if (text) norm.footnotes.push({ id: footnote.id, text });
+        footnote = null;
+      }
+      return;
+    }
+
+    if (area === "text") {
+      switch (name) {
+        case "p":
+          endBlock();
+          break;
+        case "dt":
+          write(" ");
+          break;
+        case "ident":
+          write(" ");
+          break;
+        case "dd":
+        case "la":
+        case "dl":
+        case "title":
+        case "subtitle":
+          write("\n");
+          break;
+        case "entry":
+          if (tableRow) tableRow.push(collapse((cell || "").replace(/\s+/g, " ")));
+          cell = null;
+          write(" | ");
+          break;
+        case "row":
+          if (table && tableRow && tableRow.some(Boolean)) table.rows.push(tableRow);
+          tableRow = null;
+          break;
+        case "table":
+          if (table && block) {
+            if (!table.rows.length) warn("table without rows");
+            else block.tables.push(table.rows);
+          }
+          table = null;
+          write("\n");
+          break;
+        default:
+          break;
+      }
+      return;
+    }
+
+    if (name === "norm") {
+      endBlock();
+      const known = new Set(norm.footnotes.map((f) => f.id).filter(Boolean));
+      for (const ref of norm.footnoteRefs) {
+        if (!known.has(ref)) warn(`footnote reference ${ref} has no footnote`);
+      }
+      onNorm(norm);
+      norm = null;
+      area = null;
+    }
+  };
+
+  parser.ontext = (text) => {
+    if (field) field.buf += text;
+    else if (area) {
+      if (area === "text" && !block && text.trim()) startBlock();
+      write(text);
+    }
+  };
+  parser.oncdata = parser.ontext;
+
+  parser.onerror = (error) => {
+    onWarning({
+      norm: norm ? norm.index : null,
+      message: `XML error at line ${parser.line + 1}: ${String(error.message).split("\n")[0]}`,
+    });
+    parser.error = null;
+    parser.resume();
+  };
+
+  return {
+    write(chunk) {
+      parser.write(chunk);
+    },
+    close() {
+      parser.close();
+      if (norm) warn("document ended inside <norm>");
+    },
+  };
+}
+
+function collectingParser() {
+  const result = { document: { builddate: null, doknr: null }, norms: [], warnings: [] };
+  const parser = createGiiParser({
+    onDocument: (d) => {
+      result.document = d;
+    },
+    onNorm: (n) => result.norms.push(n),
+    onWarning: (w) => result.warnings.push(w),
+  });
+  return { parser, result };
+}
+
+/**
+ * Parses an XML string. Returns { document, norms, warnings }.
+ */
+export function parseGiiNorms(xml) {
+  const { parser, result } = collectingParser();
+  parser.write(String(xml || ""));
+  parser.close();
+  return result;
+}
+
+/**
+ * Streams one XML file through the parser. Returns { document, norms, warnings }.
+ */
+export function readGiiFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const { parser, result } = collectingParser();
+    fs.createReadStream(filePath, { encoding: "utf8" })
+      .on("data", (chunk) => parser.write(chunk))
+      .on("end", () => {
+        parser.close();
+        resolve(result);
+      })
+      .on("error", reject);
+  });
+}
+
+/**
+ * One entry per Absatz. A block without "(n)" continues the previous numbered Absatz
+ * (e.g. the sentence after an enumeration); a norm without numbers is a single block.
+ */
+export function groupAbsaetze(blocks = []) {
+  const out = [];
+  for (const { text, tables = [] } of blocks) {
+    const m = text.match(/^\((\d+[a-z]?)\)\s*/);
+    if (m || !out.length) {
+      out.push({ absatz: m ? m[1] : null, text, tables: [...tables] });
+    } else {
+      const last = out[out.length - 1];
+      last.text = [last.text, text].filter(Boolean).join("\n");
+      last.tables.push(...tables);
+    }
+  }
+  return out.filter((a) => a.text);
+}
+
+/**
+ * Splits an over-long Absatz on sentence boundaries (line breaks first), so a chunk
+ * never starts mid-sentence unless a single sentence exceeds maxChars.
+ */
+export function splitAtSentences(text, maxChars = DEFAULT_MAX_CHARS) {
+  const value = String(text || "").trim();
+  if (value.length <= maxChars) return value ? [value] : [];
+
+  // Each unit remembers whether it starts a new line, so joins keep the line structure.
+  const units = value.split("\n").flatMap((line) =>
+    line
+      // No split after enumerators ("1.") or before numbers ("Abs. 2").
+      .split(/(?<=[^\d\s][.;:])\s+(?=[(\p{Lu}])/u)
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((text, i) => ({ text, sep: i === 0 ? "\n" : " " }))
+  );
+  const chunks = [];
+  let current = "";
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = "";
+  };
+
+  for (const { text: sentence, sep } of units) {
+    if (sentence.length > maxChars) {
+      flush();
+      let rest = sentence;
+      while (rest.length > maxChars) {
+        let idx = rest.lastIndexOf(" ", maxChars);
+        if (idx < Math.floor(maxChars * 0.6)) idx = maxChars;
+        chunks.push(rest.slice(0, idx).trim());
+        rest = rest.slice(idx).trim();
+      }
+      current = rest;
+      continue;
+    }
+    const joined = current ? `${current}${sep}${sentence}` : sentence;
+    if (joined.length > maxChars) {
+      flush();
+      current = sentence;
+    } else {
+      current = joined;
+    }
+  }
+  flush();
+  return chunks.map((c) => c.trim());
+}
+
+/**
+ * Text used for the embedding: the contextual header in front of the Absatz text.
+ */
+export function embeddingText(row) {
+  return row.contextHeader ? `${row.contextHeader}\n${row.text}` : row.text;
+}
+
+/**
+ * Document-level metadata, taken from the first norm (the gii "Rahmen" norm)
+ * and the <dokumente> attributes.
+ */
+export function documentMetadata(norms = [], document = {}) {
+  const head = norms[0]?.meta || emptyMeta();
+  return {
+    doknr: document.doknr || norms[0]?.doknr || null,
+    builddate: document.builddate || null,
+    jurabk: head.jurabk[0] || null,
+    amtabk: head.amtabk[0] || null,
+    langue: head.langue,
+    kurzue: head.kurzue,
+    ausfertigungDatum: head.ausfertigungDatum,
+    fundstellen: head.fundstellen,
+    standangaben: head.standangaben,
+  };
+}
+
+/**
+ * Parsed norms -> Absatz-level law_chunks rows.
+ * Gliederungseinheiten (Buch/Abschnitt/Titel) are tracked by gliederungskennzahl,
+ * whose 3-digit groups encode the nesting ("010" > "010020").
+ */
+export function buildLawChunks(norms, sourcePath, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const fallbackLaw = path.basename(sourcePath, ".xml");
+  const rows = [];
+  const warnings = [];
+  let docJurabk = "";
+  let docAmtabk = "";
+  let gliederungStack = [];
+
+  for (const norm of norms) {
+    const meta = norm.meta;
+    docJurabk = meta.jurabk[0] || docJurabk;
+    docAmtabk = meta.amtabk[0] || docAmtabk;
+
+    if (meta.gliederung) {
+      const { kennzahl, label } = meta.gliederung;
+      gliederungStack = gliederungStack.filter(
+        (g) => kennzahl && kennzahl.startsWith(g.kennzahl) && kennzahl !== g.kennzahl
+      );
+      if (label) gliederungStack.push({ kennzahl, label });
+    }
+
+    const absaetze = groupAbsaetze(norm.blocks);
+    if (!absaetze.length) {
+      if (meta.enbez) warnings.push({ norm: norm.index, message: `${meta.enbez}: no text, norm skipped` });
+      continue;
+    }
+
+    const jurabk = meta.jurabk[0] || docJurabk || null;
+    const amtabk = meta.amtabk[0] || docAmtabk || null;
+    if (!jurabk && !amtabk) {
+      warnings.push({ norm: norm.index, message: `no jurabk/amtabk, using "${fallbackLaw}"` });
+    }
+    const law = jurabk || amtabk || fallbackLaw || "UNKNOWN";
+    const section = meta.enbez || (meta.gliederung ? meta.gliederung.label : "") || meta.titel || null;
+    const title = meta.titel || meta.langue || null;
+    // A Gliederung norm with its own text is not its own ancestor.
+    const gliederungPath = (meta.gliederung ? gliederungStack.slice(0, -1) : gliederungStack).map((g) => g.label);
+    const normLabel = [section, title && title !== section ? title : ""].filter(Boolean).join(" ");
+    const contextHeader = [law, ...gliederungPath, normLabel].filter(Boolean).join(" > ");
+    const footnotes = norm.footnotes.map((f) => f.text).join("\n") || null;
+
+    let chunkIndex = 0;
+    for (const { absatz, text, tables } of absaetze) {
+      splitAtSentences(text, maxChars).forEach((piece, i) => {
+        rows.push({
+          law,
+          jurabk,
+          amtabk,
+          section,
+          title,
+          absatz,
+          gliederungPath,
+          contextHeader,
+          normIndex: norm.index,
+          chunkIndex: chunkIndex++,
+          text: piece,
+          footnotes,
+          // Structured tables travel with the first piece of their Absatz.
+          tables: i === 0 && tables.length ? tables : null,
+          source: sourcePath,
+        });
+      });
+    }
+  }
+
+  return { rows, warnings };
+}
+
+/**
+ * XML string -> { rows, warnings, metadata } (parser and chunking warnings combined).
+ */
+export function parseGiiDocument(xml, sourcePath, options = {}) {
+  const { document, norms, warnings } = parseGiiNorms(xml);
+  const chunks = buildLawChunks(norms, sourcePath, options);
+  return {
+    rows: chunks.rows,
+    warnings: [...warnings, ...chunks.warnings],
+    metadata: documentMetadata(norms, document),
+  };
+}
@@ -0,0 +1,136 @@
+// src/ingest/giiToc.js (ESM)
+// gii-toc.xml (the gesetze-im-internet table of contents: one <item> per law with
+// its title and xml.zip link) and the named law packs resolved against it.
+import fs from "fs/promises";
+import path from "path";
+import unzipper from "unzipper";
+
+export const GII_TOC_URL = "https://www.gesetze-im-internet.de/gii-toc.xml";
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .trim();
+}
+
+/**
+ * [{ slug, title, link }]; slug is the law's path on gesetze-im-internet.de
+ * ("bgb", "stvo_2013"), which is also the name of its zip and unzipped folder.
+ */
+export function parseGiiToc(xml) {
+  const items = [];
+  for (const [, body] of String(xml || "").matchAll(/<item>([\s\S]*?)<\/item>/g)) {
+    const title = decodeXml(body.match(/<title>([\s\S]*?)<\/title>/)?.[1]);
+    const link = decodeXml(body.match(/<link>([\s\S]*?)<\/link>/)?.[1]);
+    const slug = link.match(/\/([^/]+)\/xml\.zip$/i)?.[1];
+    if (slug) items.push({ slug, title, link });
+  }
+  return items;
+}
+
+/**
+ * Validates the law pack config ({ name: { description, priority, laws, titlePatterns } })
+ * and compiles the title patterns (case-insensitive regular expressions).
+ */
+export function parseLawPacks(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error("Law packs: expected an object");
+  return Object.entries(config).map(([name, pack]) => {
+    const laws = pack?.laws ?? [];
+    const patterns = pack?.titlePatterns ?? [];
+    if (!Array.isArray(laws) || !Array.isArray(patterns) || !(laws.length || patterns.length)) {
+      throw new Error(`Law pack "${name}": needs a "laws" or "titlePatterns" list`);
+    }
+    let titlePatterns;
+    try {
+      titlePatterns = patterns.map((p) => new RegExp(p, "i"));
+    } catch (error) {
+      throw new Error(`Law pack "${name}": ${error.message}`);
+    }
+    return {
+      name,
+      description: pack.description || "",
+      priority: Number.isFinite(pack.priority) ? pack.priority : Number.MAX_SAFE_INTEGER,
+      laws: laws.map((code) => String(code).trim().toLowerCase()).filter(Boolean),
+      titlePatterns,
+    };
+  });
+}
+
+export async function loadLawPacks(filePath) {
+  return parseLawPacks(JSON.parse(await fs.readFile(filePath, "utf8")));
+}
+
+/**
+ * Laws of the named packs (all packs for none or "all"), in ingestion order: packs
+ * by priority, then each pack's listed codes, then its title-pattern matches in toc
+ * order. A law shared by several packs appears once, at its first position.
+ * Returns { laws: [{ slug, title, link, packs }], missing: [{ pack, law }] }.
+ */
+export function resolveLawPacks(packs, names, tocItems) {
+  const byName = new Map(packs.map((p) => [p.name, p]));
+  const wanted = !names.length || names.includes("all") ? packs : names.map((name) => byName.get(name) || name);
+  const unknown = wanted.filter((p) => typeof p === "string");
+  if (unknown.length) throw new Error(`Unknown law pack: ${unknown.join(", ")} (known: ${[...byName.keys()].join(", ")})`);
+
+  const bySlug = new Map(tocItems.map((item) => [item.slug.toLowerCase(), item]));
+  const laws = new Map();
+  const missing = [];
+  const add = (item, pack) => {
+    if (!laws.has(item.slug)) laws.set(item.slug, { ...item, packs: [] });
+    const entry = laws.get(item.slug);
+    if (!entry.packs.includes(pack.name)) entry.packs.push(pack.name);
+  };
+
+  for (const pack of [...wanted].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name))) {
+    for (const code of pack.laws) {
+      const item = bySlug.get(code);
+      if (item) add(item, pack);
+      else missing.push({ pack: pack.name, law: code });
+    }
+    for (const item of tocItems) {
+      if (pack.titlePatterns.some((re) => re.test(item.title))) add(item, pack);
+    }
+  }
+  return { laws: [...laws.values()], missing };
+}
+
+/**
+ * Reads gii-toc.xml from a local path or URL.
+ */
+export async function readGiiToc(source = GII_TOC_URL, { fetchImpl = fetch } = {}) {
+  if (!/^https?:\/\//i.test(source)) return parseGiiToc(await fs.readFile(source, "utf8"));
+  const res = await fetchImpl(source);
+  if (!res.ok) throw new Error(`gii-toc HTTP ${res.status}`);
+  return parseGiiToc(await res.text());
+}
+
+/**
+ * Makes <targetDir>/<slug> hold the law's XML: kept if already there, else unpacked
+ * from <harvestDir>/<slug>.zip, else downloaded from its gii-toc link. targetDir must
+ * be specific to the harvest or version, since a kept folder is never checked for
+ * staleness; refresh drops it and unpacks or downloads again.
+ * Returns { dir, origin: "present" | "harvest" | "download" }.
+ */
+export async function ensureLawXml(item, { targetDir, harvestDir = "", refresh = false, fetchImpl = fetch }) {
+  const dir = path.join(targetDir, item.slug);
+  const hasXml = async () => (await fs.readdir(dir).catch(() => [])).some((f) => f.toLowerCase().endsWith(".xml"));
+  if (refresh) await fs.rm(dir, { recursive: true, force: true });
+  else if (await hasXml()) return { dir, origin: "present" };
+
+  let origin = "harvest";
+  let directory = harvestDir ? await unzipper.Open.file(path.join(harvestDir, `${item.slug}.zip`)).catch(() => null) : null;
+  if (!directory) {
+    origin = "download";
+    const res = await fetchImpl(item.link.replace(/^http:/i, "https:"));
+    if (!res.ok) throw new Error(`Download ${item.slug} HTTP ${res.status}`);
+    directory = await unzipper.Open.buffer(Buffer.from(await res.arrayBuffer()));
+  }
+  await fs.mkdir(dir, { recursive: true });
+  await directory.extract({ path: dir });
+  if (!(await hasXml())) throw new Error(`No XML in the archive of ${item.slug}`);
+  return { dir, origin };
+}
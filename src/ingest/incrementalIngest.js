@@ -0,0 +1,183 @@
+// src/ingest/incrementalIngest.js (ESM)
+import crypto from "crypto";
+import { lawSourceRef } from "../shared/lawSources.js";
+import { embeddingText } from "./giiNorms.js";
+
+/**
+ * Hash of exactly what gets embedded (text plus context header), so a chunk whose
+ * Gliederung moved is re-embedded even if its own text is unchanged.
+ */
+export function chunkContentHash(row) {
+  return crypto.createHash("sha256").update(embeddingText(row), "utf8").digest("hex");
+}
+
+/**
+ * Norm identity within a law: "<slug>/<file>|<label>", where label is the section, or
+ * the norm position for unlabelled norms. The file keeps norms of two XML files with
+ * the same jurabk apart; slug and file name are stable across harvests, unlike the
+ * full path. Must match NORM_KEY_SQL in loadNormFingerprints.
+ */
+function normKey(source, section, normIndex) {
+  return `${lawSourceRef(source).sourceFile || ""}|${section || `#${normIndex ?? ""}`}`;
+}
+
+/**
+ * "§ 622" of "bgb/BJNR001950896.xml|§ 622": the norm key as shown in reports.
+ */
+export function normLabel(key) {
+  return key.slice(key.indexOf("|") + 1);
+}
+
+// normKey() of a law_chunks row in SQL; lawSourceRef().sourceFile is the last two
+// path segments, else the file name.
+export const NORM_KEY_SQL = `
+  regexp_replace(COALESCE(source, ''), '^(.*[/\\\\])?([^/\\\\]+)[/\\\\]+([^/\\\\]+)$', '\\2/\\3')
+  || '|' || COALESCE(NULLIF(section, ''), '#' || COALESCE(norm_index::text, ''))
+`;
+
+/**
+ * Per-law norm fingerprints of freshly parsed rows: law -> Map(normKey -> md5 of the
+ * chunk texts joined with "\n"). md5 keeps the result comparable with Postgres md5().
+ */
+export function collectNormFingerprints(rows, into = new Map()) {
+  const texts = new Map();
+  for (const r of rows) {
+    const key = `${r.law}\u0000${normKey(r.source, r.section, r.normIndex)}`;
+    if (!texts.has(key)) texts.set(key, []);
+    texts.get(key).push(r.text);
+  }
+  for (const [key, parts] of texts) {
+    const [law, norm] = key.split("\u0000");
+    if (!into.has(law)) into.set(law, new Map());
+    into.get(law).set(norm, crypto.createHash("md5").update(parts.join("\n"), "utf8").digest("hex"));
+  }
+  return into;
+}
+
+/**
+ * Stored norm fingerprints of one version (law -> normKey -> md5), optionally
+ * limited to some law codes.
+ */
+export async function loadNormFingerprints(client, versionTag, { laws = null } = {}) {
+  const { rows } = await client.query(
+    `
+      SELECT law, norm_key, md5(string_agg(text, E'\\n' ORDER BY id)) AS fingerprint
+      FROM (
+        SELECT id, law, text, ${NORM_KEY_SQL} AS norm_key
+        FROM law_chunks
+        WHERE version_tag = $1
+          AND ($2::text[] IS NULL OR lower(law) = ANY($2::text[]))
+      ) c
+      GROUP BY law, norm_key
+    `,
+    [versionTag, laws]
+  );
+  const out = new Map();
+  for (const r of rows) {
+    if (!out.has(r.law)) out.set(r.law, new Map());
+    out.get(r.law).set(r.norm_key, r.fingerprint);
+  }
+  return out;
+}
+
+/**
+ * Norm-level diff of two fingerprint maps (law -> normKey -> fingerprint).
+ * Returns one entry per law that changed, plus totals. With partial (append
+ * ingest), laws missing from current are not reported as removed.
+ */
+export function diffNormFingerprints(previous, current, { partial = false } = {}) {
+  const laws = [];
+  const totals = { lawsAdded: 0, lawsRemoved: 0, lawsChanged: 0, normsAdded: 0, normsChanged: 0, normsRemoved: 0 };
+  const lawCodes = partial ? [...current.keys()] : [...new Set([...previous.keys(), ...current.keys()])];
+
+  for (const law of lawCodes) {
+    const before = previous.get(law) || new Map();
+    const after = current.get(law) || new Map();
+    const entry = { law, status: "changed", added: [], changed: [], removed: [] };
+    for (const [norm, fingerprint] of after) {
+      if (!before.has(norm)) entry.added.push(norm);
+      else if (before.get(norm) !== fingerprint) entry.changed.push(norm);
+    }
+    for (const norm of before.keys()) {
+      if (!after.has(norm)) entry.removed.push(norm);
+    }
+    if (!entry.added.length && !entry.changed.length && !entry.removed.length) continue;
+
+    if (!previous.has(law)) entry.status = "added";
+    else if (!current.has(law)) entry.status = "removed";
+    totals[`laws${entry.status[0].toUpperCase()}${entry.status.slice(1)}`] += 1;
+    totals.normsAdded += entry.added.length;
+    totals.normsChanged += entry.changed.length;
+    totals.normsRemoved += entry.removed.length;
+    laws.push(entry);
+  }
+
+  laws.sort((a, b) => a.law.localeCompare(b.law));
+  return { laws, totals };
+}
+
+/**
+ * Embedding reuse from an earlier dataset version. lookup(hashes) returns
+ * Map(content_hash -> pgvector literal) for the hashes that version already has.
+ */
+export function createEmbeddingReuse(client, { previousVersionTag }) {
+  async function lookup(hashes) {
+    const unique = [...new Set(hashes.filter(Boolean))];
+    if (!previousVersionTag || !unique.length) return new Map();
+    const { rows } = await client.query(
+      `
+        SELECT DISTINCT ON (content_hash) content_hash, embedding::text AS embedding
+        FROM law_chunks
+        WHERE version_tag = $1
+          AND content_hash = ANY($2::text[])
+      `,
+      [previousVersionTag, unique]
+    );
+    return new Map(rows.map((r) => [r.content_hash, r.embedding]));
+  }
+
+  async function previousFingerprints() {
+    return previousVersionTag ? loadNormFingerprints(client, previousVersionTag) : new Map();
+  }
+
+  return { previousVersionTag, lookup, previousFingerprints };
+}
+
+/**
+ * Version to reuse embeddings from: LAW_PREVIOUS_VERSION_TAG, else the active version.
+ * A re-run of the active version itself has nothing to reuse, since replace mode
+ * deletes those rows first.
+ */
+export async function resolvePreviousVersionTag(client, currentVersionTag, explicit = "") {
+  if (explicit) return explicit;
+  const { rows } = await client.query(
+    "SELECT value FROM law_dataset_meta WHERE key = 'active_version_tag' LIMIT 1"
+  );
+  const active = rows[0]?.value || null;
+  return active && active !== currentVersionTag ? active : null;
+}
+
+/**
+ * Human-readable change report, one line per changed law.
+ */
+export function formatChangeReport({ laws, totals }, { maxNormsPerLaw = 10 } = {}) {
+  const list = (keys) => {
+    const items = keys.map(normLabel);
+    return items.length > maxNormsPerLaw
+      ? `${items.slice(0, maxNormsPerLaw).join(", ")} … (+${items.length - maxNormsPerLaw})`
+      : items.join(", ");
+  };
+  const lines = laws.map((l) => {
+    const parts = [
+      l.added.length ? `+${l.added.length} [${list(l.added)}]` : null,
+      l.changed.length ? `~${l.changed.length} [${list(l.changed)}]` : null,
+      l.removed.length ? `-${l.removed.length} [${list(l.removed)}]` : null,
+    ].filter(Boolean);
+    return `${l.law} (${l.status}): ${parts.join(" ")}`;
+  });
+  lines.push(
+    `Laws: +${totals.lawsAdded} ~${totals.lawsChanged} -${totals.lawsRemoved}; ` +
+      `norms: +${totals.normsAdded} ~${totals.normsChanged} -${totals.normsRemoved}`
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,88 @@
+// src/ingest/lawDirIngest.js (ESM)
+// Ingests a list of law directories into one staged version by running
+// scripts/ingest-laws.js once per directory (first replace, then append).
+import fs from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+import { compareToActiveVersion } from "../laws/versionLifecycle.js";
+
+export function runNodeScript(scriptPath, { cwd = process.cwd(), env = process.env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [scriptPath], { cwd, env, stdio: "inherit", shell: false });
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${path.basename(scriptPath)} exited with code ${code}`));
+    });
+  });
+}
+
+async function hasXmlFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => null);
+  if (!entries) return false;
+  for (const e of entries) {
+    if (e.isFile() && e.name.toLowerCase().endsWith(".xml")) return true;
+    if (e.isDirectory() && (await hasXmlFiles(path.join(dir, e.name)))) return true;
+  }
+  return false;
+}
+
+/**
+ * Missing or XML-less directories are skipped with a LAW_DIR_SKIPPED warning; the
+ * first failing ingest stops the run. mode applies to the first ingested directory.
+ * Returns { ingested, skipped } (directory paths).
+ */
+export async function ingestLawDirs(
+  dirs,
+  { versionTag, mode = "replace", root = process.cwd(), env = process.env, run = runNodeScript }
+) {
+  if (!versionTag) throw new Error("versionTag is required");
+  const script = path.join(root, "scripts", "ingest-laws.js");
+  const ingested = [];
+  const skipped = [];
+  for (const [i, dir] of dirs.entries()) {
+    if (!(await hasXmlFiles(dir))) {
+      console.warn("LAW_DIR_SKIPPED", { dir, reason: "folder not found or without XML" });
+      skipped.push(dir);
+      continue;
+    }
+    console.log(`\n=== [${i + 1}/${dirs.length}] ${path.basename(dir)} -> ${versionTag} ===`);
+    await run(script, {
+      cwd: root,
+      env: {
+        ...env,
+        LAW_XML_DIR: dir,
+        LAW_VERSION_TAG: versionTag,
+        LAW_INGEST_MODE: ingested.length === 0 ? mode : "append",
+      },
+    });
+    ingested.push(dir);
+  }
+  return { ingested, skipped };
+}
+
+/**
+ * Closing advice after an ingest into versionTag: the verify/promote commands, or a
+ * LAW_VERSION_PARTIAL warning when the version holds far fewer laws or chunks than the
+ * active one (verify rejects it). Returns the compareToActiveVersion result.
+ */
+export async function reportStagedVersion(client, versionTag) {
+  const result = await compareToActiveVersion(client, versionTag);
+  if (result.ok) {
+    console.log(`Next: npm run laws:verify -- ${versionTag} && npm run laws:promote -- ${versionTag}`);
+    return result;
+  }
+  console.warn("LAW_VERSION_PARTIAL", {
+    versionTag,
+    laws: result.counts.laws,
+    chunks: result.counts.chunks,
+    activeVersionTag: result.activeVersionTag,
+    activeLaws: result.activeCounts.laws,
+    activeChunks: result.activeCounts.chunks,
+  });
+  console.log(
+    `${versionTag} holds only part of the corpus and must not be promoted. To add these laws, stage a full ` +
+      "harvest (npm run laws:update) and ingest them into it with LAW_VERSION_TAG=<its tag> LAW_INGEST_MODE=append."
+  );
+  return result;
+}
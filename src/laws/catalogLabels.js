@@ -0,0 +1,148 @@
+// src/laws/catalogLabels.js (ESM)
+// Russian titles, colloquial names and keywords for law_catalog, so that Russian
+// questions ("закон об отпуске") route to the right German law. Generated through
+// the provider layer and cached per law across dataset versions.
+import { withRetry } from "../shared/retry.js";
+
+const DEFAULT_BATCH_SIZE = 20;
+
+const LABELS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    laws: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          law_code: { type: "string" },
+          title_ru: { type: "string" },
+          colloquial_names: { type: "array", items: { type: "string" } },
+          keywords: { type: "array", items: { type: "string" } },
+        },
+        required: ["law_code", "title_ru", "colloquial_names", "keywords"],
+      },
+    },
+  },
+  required: ["laws"],
+};
+
+const LABELS_SYSTEM = `You label German federal laws for a Russian-speaking legal help service.
+For every law in the input return:
+- title_ru: an accurate Russian translation of the official title;
+- colloquial_names: 2-6 names people actually use for it, in Russian and German (e.g. "закон об отпуске", "Urlaubsgesetz", "Mietrecht");
+- keywords: 5-12 short Russian and German topic keywords a layperson would use when asking about it.
+Use only the law_code values from the input. Do not invent laws.`;
+
+/**
+ * One keywords string per law for law_catalog.keywords and the catalog embedding:
+ * colloquial names first, then keywords, de-duplicated case-insensitively.
+ */
+export function formatCatalogKeywords(colloquialNames = [], keywords = []) {
+  const seen = new Set();
+  const out = [];
+  for (const term of [...colloquialNames, ...keywords]) {
+    const t = String(term || "").replace(/\s+/g, " ").trim();
+    if (!t || seen.has(t.toLowerCase())) continue;
+    seen.add(t.toLowerCase());
+    out.push(t);
+  }
+  return out.join("; ");
+}
+
+/**
+ * labelLaws([{ lawCode, titleDe }]) -> Map lawCode -> { titleRu, keywords }.
+ * Laws the model skipped or answered with an empty title, and batches that failed
+ * after retries, are left out (and labelled again on the next rebuild).
+ */
+export function createLawLabeler(llm, { batchSize = DEFAULT_BATCH_SIZE, retries = 3 } = {}) {
+  return async function labelLaws(laws) {
+    const labels = new Map();
+    for (let i = 0; i < laws.length; i += batchSize) {
+      const batch = laws.slice(i, i + batchSize);
+      const wanted = new Set(batch.map((l) => l.lawCode));
+      let out;
+      try {
+        out = await withRetry(
+          () =>
+            llm.chatJSON({
+              system: LABELS_SYSTEM,
+              user: JSON.stringify(batch.map((l) => ({ law_code: l.lawCode, title_de: l.titleDe || "" }))),
+              schema: LABELS_SCHEMA,
+              schemaName: "law_catalog_labels",
+              temperature: 0,
+            }),
+          { retries }
+        );
+      } catch (error) {
+        // One bad batch should not cost the labels of the others.
+        console.warn("LAW_CATALOG_LABELS_BATCH_FAILED", { laws: batch.length, error: error?.message || String(error) });
+        continue;
+      }
+      for (const item of out?.laws || []) {
+        const titleRu = String(item.title_ru || "").trim();
+        if (!wanted.has(item.law_code) || !titleRu) continue;
+        labels.set(item.law_code, {
+          titleRu,
+          keywords: formatCatalogKeywords(item.colloquial_names, item.keywords),
+        });
+      }
+    }
+    return labels;
+  };
+}
+
+/**
+ * Labels for the given laws from law_catalog_labels (sql/law_catalog_labels.sql); laws
+ * that are new or whose German title changed are labelled through labelLaws and cached.
+ * A labelling failure is logged and leaves those laws without labels rather than
+ * failing the catalog rebuild.
+ * laws: [{ lawCode, titleDe }]. Returns Map lawCode -> { titleRu, keywords }.
+ */
+export async function resolveCatalogLabels(client, laws, { labelLaws, model = null }) {
+  const { rows } = await client.query(
+    "SELECT law_code, title_de, title_ru, keywords FROM law_catalog_labels WHERE law_code = ANY($1::text[])",
+    [laws.map((l) => l.lawCode)]
+  );
+  const cached = new Map(rows.map((r) => [r.law_code, r]));
+  const labels = new Map();
+  const stale = [];
+  for (const law of laws) {
+    const hit = cached.get(law.lawCode);
+    if (hit && hit.title_de === (law.titleDe || "")) {
+      labels.set(law.lawCode, { titleRu: hit.title_ru, keywords: hit.keywords || "" });
+    } else {
+      stale.push(law);
+    }
+  }
+  console.log("LAW_CATALOG_LABELS", { cached: labels.size, toGenerate: stale.length });
+  if (!stale.length) return labels;
+
+  let generated = new Map();
+  try {
+    generated = await labelLaws(stale);
+  } catch (error) {
+    console.warn("LAW_CATALOG_LABELS_FAILED", error?.message || error);
+  }
+  for (const law of stale) {
+    const label = generated.get(law.lawCode);
+    if (!label) continue;
+    labels.set(law.lawCode, label);
+    await client.query(
+      `
+        INSERT INTO law_catalog_labels (law_code, title_de, title_ru, keywords, model, updated_at)
+        VALUES ($1, $2, $3, $4, $5, now())
+        ON CONFLICT (law_code)
+        DO UPDATE SET
+          title_de = EXCLUDED.title_de,
+          title_ru = EXCLUDED.title_ru,
+          keywords = EXCLUDED.keywords,
+          model = EXCLUDED.model,
+          updated_at = now()
+      `,
+      [law.lawCode, law.titleDe || "", label.titleRu, label.keywords, model]
+    );
+  }
+  return labels;
+}
@@ -0,0 +1,164 @@
+// src/laws/lawBrowser.js (ESM)
+import { lawCodeVariants } from "../retrieval/normLookup.js";
+import { lawSectionUrl, lawSourceRef } from "../shared/lawSources.js";
+import { summarizeLawStatus } from "./lawDocuments.js";
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * "622" / "§622" / "§ 622" -> "§ 622", "Art 6" -> "Art. 6"; anything else is kept as is
+ * (gliederungseinheit headings are stored verbatim in law_chunks.section).
+ */
+export function normalizeSectionParam(section) {
+  const value = String(section || "").replace(/\s+/g, " ").trim();
+  const m = value.match(/^(§|Art\.?)?\s*(\d+[a-z]*)$/i);
+  if (!m) return value;
+  return /^Art/i.test(m[1] || "") ? `Art. ${m[2]}` : `§ ${m[2]}`;
+}
+
+function sectionKind(section) {
+  return /^(§|Art\.)/.test(String(section || "")) ? "norm" : "heading";
+}
+
+/**
+ * TOC rows in document order -> entries, with a heading entry wherever the
+ * Gliederung path (Buch > Abschnitt > Titel) opens a new level.
+ */
+export function buildTocEntries(rows) {
+  const entries = [];
+  let previousPath = [];
+  for (const r of rows) {
+    const gliederung = Array.isArray(r.gliederung_path) ? r.gliederung_path : [];
+    let common = 0;
+    while (common < gliederung.length && gliederung[common] === previousPath[common]) common++;
+    for (let level = common; level < gliederung.length; level++) {
+      entries.push({ section: gliederung[level], title: null, kind: "heading", level, chunks: 0 });
+    }
+    const kind = sectionKind(r.section);
+    // A Gliederung norm with its own text opens the level its followers are filed under.
+    previousPath = kind === "heading" ? [...gliederung, r.section] : gliederung;
+    entries.push({
+      section: r.section,
+      title: r.title || null,
+      kind,
+      level: gliederung.length,
+      chunks: Number(r.chunks),
+    });
+  }
+  return entries;
+}
+
+function clampLimit(limit, fallback) {
+  const n = Number(limit);
+  return Number.isFinite(n) && n > 0 ? Math.min(Math.floor(n), MAX_PAGE_SIZE) : fallback;
+}
+
+/**
+ * Read access to the law corpus for the browsing UI: law_catalog for the list,
+ * law_chunks (id order = document order) for TOC and paragraph text. A norm is
+ * (source, norm_index): two norms may share a section label (e.g. a repealed "§ 5"
+ * next to a new one), so TOC entries and section text are built per norm.
+ * getVersionTag resolves the version to read, normally the active one;
+ * normReferences (normReferences.js) adds the "referenced by" list to sections.
+ */
+export function createLawBrowser(pool, { getVersionTag, lawDocuments = null, normReferences = null }) {
+  async function listLaws({ q = "", limit, offset = 0 } = {}) {
+    const pageSize = clampLimit(limit, 50);
+    const search = String(q || "").trim();
+    const versionTag = await getVersionTag();
+    const { rows } = await pool.query(
+      `
+        SELECT law_code, title_de, title_ru, count(*) OVER () AS total
+        FROM law_catalog
+        WHERE version_tag = $4
+          AND (
+            $1 = ''
+            OR law_code ILIKE '%' || $1 || '%'
+            OR title_de ILIKE '%' || $1 || '%'
+            OR title_ru ILIKE '%' || $1 || '%'
+            OR keywords ILIKE '%' || $1 || '%'
+          )
+        ORDER BY lower(law_code)
+        LIMIT $2 OFFSET $3
+      `,
+      [search, pageSize, Math.max(0, Number(offset) || 0), versionTag]
+    );
+    return {
+      total: Number(rows[0]?.total || 0),
+      laws: rows.map((r) => ({ code: r.law_code, titleDe: r.title_de || null, titleRu: r.title_ru || null })),
+    };
+  }
+
+  async function getToc(lawCode) {
+    const versionTag = await getVersionTag();
+    const { rows } = await pool.query(
+      `
+        SELECT
+          law,
+          section,
+          MIN(title) AS title,
+          (array_agg(gliederung_path ORDER BY id))[1] AS gliederung_path,
+          MIN(id) AS first_id,
+          count(*) AS chunks
+        FROM law_chunks
+        WHERE ($1::text IS NULL OR version_tag = $1)
+          AND lower(law) = ANY($2::text[])
+          AND section IS NOT NULL
+        GROUP BY law, section, source, norm_index
+        ORDER BY first_id
+      `,
+      [versionTag, lawCodeVariants(lawCode)]
+    );
+    if (!rows.length) return null;
+    const [doc] = lawDocuments ? await lawDocuments.getByLawCodes([rows[0].law], { versionTag }) : [];
+    return {
+      law: rows[0].law,
+      versionTag,
+      status: doc ? summarizeLawStatus(doc) : null,
+      entries: buildTocEntries(rows),
+    };
+  }
+
+  async function getSection(lawCode, section) {
+    const versionTag = await getVersionTag();
+    const { rows: matches } = await pool.query(
+      `
+        SELECT law, section, title, absatz, text, source, norm_index
+        FROM law_chunks
+        WHERE ($1::text IS NULL OR version_tag = $1)
+          AND lower(law) = ANY($2::text[])
+          AND lower(regexp_replace(section, '\\s+', ' ', 'g')) = lower($3)
+        ORDER BY id
+      `,
+      [versionTag, lawCodeVariants(lawCode), normalizeSectionParam(section)]
+    );
+    if (!matches.length) return null;
+    // Several norms with this label: the first one in document order.
+    const [first] = matches;
+    const rows = matches.filter((r) => r.source === first.source && r.norm_index === first.norm_index);
+    const ref = lawSourceRef(first.source);
+    const referencedBy = normReferences
+      ? await normReferences.referencedBy(first.law, first.section, {
+          versionTag,
+          source: first.source,
+          normIndex: first.norm_index,
+        })
+      : [];
+    return {
+      law: first.law,
+      section: first.section,
+      title: rows.find((r) => r.title)?.title || null,
+      versionTag,
+      sourceFile: ref.sourceFile,
+      url: ref.url || lawSectionUrl(ref.slug, first.section),
+      chunks: rows.length,
+      // Absatz chunks start on a new line, split pieces of one Absatz are rejoined inline.
+      text: rows
+        .map((r, i) => (i && r.absatz && r.absatz !== rows[i - 1].absatz ? `\n${r.text}` : i ? ` ${r.text}` : r.text))
+        .join(""),
+      referencedBy,
+    };
+  }
+
+  return { listLaws, getToc, getSection };
+}
@@ -0,0 +1,126 @@
+// src/laws/lawCatalog.js (ESM)
+import { resolveCatalogLabels } from "./catalogLabels.js";
+
+async function detectLawChunkVectorDim(client) {
+  const { rows } = await client.query(`
+    SELECT COALESCE(
+      (regexp_match(format_type(a.atttypid, a.atttypmod), 'vector\\((\\d+)\\)'))[1],
+      '1536'
+    ) AS dim
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    WHERE c.relname = 'law_chunks'
+      AND a.attname = 'embedding'
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+    LIMIT 1
+  `);
+  return Number(rows[0]?.dim || 1536);
+}
+
+/**
+ * law_catalog holds one row per law and dataset version, so a staged version gets
+ * its catalog before it is promoted. Older tables keyed by law_code alone are
+ * migrated in place (their rows are assigned to the active version).
+ */
+export async function ensureLawCatalogTable(client) {
+  const vectorDim = await detectLawChunkVectorDim(client);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS law_catalog (
+      version_tag TEXT NOT NULL,
+      law_code TEXT NOT NULL,
+      title_de TEXT,
+      title_ru TEXT,
+      keywords TEXT,
+      embedding VECTOR(${vectorDim}),
+      updated_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (version_tag, law_code)
+    )
+  `);
+  await client.query("ALTER TABLE law_catalog ADD COLUMN IF NOT EXISTS version_tag TEXT");
+  await client.query(`
+    UPDATE law_catalog
+    SET version_tag = COALESCE(
+      (SELECT value FROM law_dataset_meta WHERE key = 'active_version_tag'),
+      'legacy'
+    )
+    WHERE version_tag IS NULL
+  `);
+  await client.query(`
+    DO $$
+    BEGIN
+      IF (SELECT array_length(conkey, 1) FROM pg_constraint WHERE conname = 'law_catalog_pkey') = 1 THEN
+        ALTER TABLE law_catalog DROP CONSTRAINT law_catalog_pkey;
+        ALTER TABLE law_catalog ALTER COLUMN version_tag SET NOT NULL;
+        ALTER TABLE law_catalog ADD PRIMARY KEY (version_tag, law_code);
+      END IF;
+    END $$
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS law_catalog_embedding_idx
+      ON law_catalog USING ivfflat (embedding vector_cosine_ops)
+  `);
+  return vectorDim;
+}
+
+/**
+ * Rebuilds the catalog rows of one version from its chunks and law_documents.
+ * embed: async (text) => number[]. labelLaws (see catalogLabels.js) adds Russian
+ * titles and keywords; without it they stay empty. Returns the number of laws.
+ */
+export async function rebuildLawCatalog(client, { versionTag, embed, labelLaws = null, labelModel = null }) {
+  const vectorDim = await ensureLawCatalogTable(client);
+  const laws = await client.query(
+    `
+      SELECT
+        c.law AS law_code,
+        COALESCE(MAX(d.title), MAX(COALESCE(c.title, ''))) AS title_de
+      FROM law_chunks c
+      LEFT JOIN law_documents d
+        ON d.version_tag = c.version_tag AND d.law_code = c.law
+      WHERE c.version_tag = $1
+        AND c.law IS NOT NULL
+        AND btrim(c.law) <> ''
+      GROUP BY c.law
+      ORDER BY c.law
+    `,
+    [versionTag]
+  );
+
+  console.log(`Rebuilding law_catalog for version ${versionTag}: ${laws.rows.length} laws, VECTOR(${vectorDim})`);
+  const labels = labelLaws
+    ? await resolveCatalogLabels(
+        client,
+        laws.rows.map((r) => ({ lawCode: String(r.law_code || "").trim(), titleDe: r.title_de || "" })),
+        { labelLaws, model: labelModel }
+      )
+    : new Map();
+
+  await client.query("DELETE FROM law_catalog WHERE version_tag = $1", [versionTag]);
+  for (const row of laws.rows) {
+    const lawCode = String(row.law_code || "").trim();
+    if (!lawCode) continue;
+
+    const label = labels.get(lawCode) || { titleRu: "", keywords: "" };
+    const textForEmbed = [lawCode, row.title_de || "", label.titleRu, label.keywords].filter(Boolean).join(" | ");
+    const embedding = await embed(textForEmbed);
+    if (!Array.isArray(embedding)) throw new Error("Embedding missing");
+    const vector = `[${embedding.join(",")}]`;
+
+    await client.query(
+      `
+        INSERT INTO law_catalog (version_tag, law_code, title_de, title_ru, keywords, embedding, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6::vector, now())
+        ON CONFLICT (version_tag, law_code)
+        DO UPDATE SET
+          title_de = EXCLUDED.title_de,
+          title_ru = EXCLUDED.title_ru,
+          keywords = EXCLUDED.keywords,
+          embedding = EXCLUDED.embedding,
+          updated_at = now()
+      `,
+      [versionTag, lawCode, row.title_de || "", label.titleRu, label.keywords || null, vector]
+    );
+  }
+  return laws.rows.length;
+}
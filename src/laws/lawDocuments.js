@@ -0,0 +1,207 @@
+// src/laws/lawDocuments.js (ESM)
+import { lawCodeVariants } from "../retrieval/normLookup.js";
+
+// gii <standtyp> values: "Stand", "Neuf" (Neugefasst), "Hinweis", "Sonst".
+const STAND_KEYS = { stand: "standText", neuf: "neugefasstText", hinweis: "hinweisText" };
+
+function isoDate(value) {
+  const s = String(value || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : null;
+}
+
+/**
+ * gii builddate "20240215213015" -> "2024-02-15T21:30:15Z".
+ */
+export function parseBuilddate(value) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/);
+  if (!m) return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4] || "00"}:${m[5] || "00"}:${m[6] || "00"}Z`;
+}
+
+/**
+ * Date of the latest amendment named in a Stand comment:
+ * "Zuletzt geändert durch Art. 1 V v. 7.2.2024 I Nr. 39" -> "2024-02-07".
+ */
+export function parseAmendmentDate(text) {
+  const matches = [...String(text || "").matchAll(/\bv\.\s*(\d{1,2})\.(\d{1,2})\.(\d{4})/g)];
+  if (!matches.length) return null;
+  const [, d, m, y] = matches[matches.length - 1];
+  return `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`;
+}
+
+/**
+ * documentMetadata() from the gii parser -> law_documents record.
+ * Any Hinweis means gii has not fully worked an amendment into the text yet.
+ */
+export function buildLawDocumentRecord(metadata, { lawCode, source = null }) {
+  const stand = { standText: [], neugefasstText: [], hinweisText: [] };
+  for (const s of metadata?.standangaben || []) {
+    const key = STAND_KEYS[String(s.typ || "").toLowerCase()];
+    if (key && s.kommentar) stand[key].push(s.kommentar);
+  }
+  const standText = stand.standText.join("; ") || null;
+  const neugefasstText = stand.neugefasstText.join("; ") || null;
+  const hinweisText = stand.hinweisText.join("; ") || null;
+
+  return {
+    lawCode,
+    jurabk: metadata?.jurabk || null,
+    amtabk: metadata?.amtabk || null,
+    doknr: metadata?.doknr || null,
+    title: metadata?.langue || null,
+    shortTitle: metadata?.kurzue || null,
+    ausfertigungDatum: isoDate(metadata?.ausfertigungDatum),
+    builddate: parseBuilddate(metadata?.builddate),
+    fundstellen: metadata?.fundstellen || [],
+    standangaben: metadata?.standangaben || [],
+    standText,
+    neugefasstText,
+    hinweisText,
+    lastAmendedOn: parseAmendmentDate(standText) || parseAmendmentDate(neugefasstText),
+    pendingAmendment: Boolean(hinweisText),
+    source,
+  };
+}
+
+function fromRow(r) {
+  // DATE columns arrive as local midnight from node-pg.
+  const pad = (n) => String(n).padStart(2, "0");
+  const dateOnly = (v) =>
+    v instanceof Date ? `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}` : v || null;
+  return {
+    versionTag: r.version_tag,
+    lawCode: r.law_code,
+    jurabk: r.jurabk,
+    amtabk: r.amtabk,
+    doknr: r.doknr,
+    title: r.title,
+    shortTitle: r.short_title,
+    ausfertigungDatum: dateOnly(r.ausfertigung_datum),
+    builddate: r.builddate instanceof Date ? r.builddate.toISOString() : r.builddate || null,
+    fundstellen: r.fundstellen || [],
+    standangaben: r.standangaben || [],
+    standText: r.stand_text,
+    neugefasstText: r.neugefasst_text,
+    hinweisText: r.hinweis_text,
+    lastAmendedOn: dateOnly(r.last_amended_on),
+    pendingAmendment: Boolean(r.pending_amendment),
+  };
+}
+
+/**
+ * law_documents access (sql/law_documents.sql). Writes take an optional
+ * client so the ingest can keep them inside its transaction.
+ */
+export function createLawDocuments(pool) {
+  async function upsert(record, { versionTag, client = pool }) {
+    await client.query(
+      `
+        INSERT INTO law_documents (
+          version_tag, law_code, jurabk, amtabk, doknr, title, short_title,
+          ausfertigung_datum, builddate, fundstellen, standangaben,
+          stand_text, neugefasst_text, hinweis_text, last_amended_on, pending_amendment, source, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11::jsonb, $12, $13, $14, $15, $16, $17, now())
+        ON CONFLICT (version_tag, law_code)
+        DO UPDATE SET
+          jurabk = EXCLUDED.jurabk,
+          amtabk = EXCLUDED.amtabk,
+          doknr = EXCLUDED.doknr,
+          title = EXCLUDED.title,
+          short_title = EXCLUDED.short_title,
+          ausfertigung_datum = EXCLUDED.ausfertigung_datum,
+          builddate = EXCLUDED.builddate,
+          fundstellen = EXCLUDED.fundstellen,
+          standangaben = EXCLUDED.standangaben,
+          stand_text = EXCLUDED.stand_text,
+          neugefasst_text = EXCLUDED.neugefasst_text,
+          hinweis_text = EXCLUDED.hinweis_text,
+          last_amended_on = EXCLUDED.last_amended_on,
+          pending_amendment = EXCLUDED.pending_amendment,
+          source = EXCLUDED.source,
+          updated_at = now()
+      `,
+      [
+        versionTag,
+        record.lawCode,
+        record.jurabk,
+        record.amtabk,
+        record.doknr,
+        record.title,
+        record.shortTitle,
+        record.ausfertigungDatum,
+        record.builddate,
+        JSON.stringify(record.fundstellen),
+        JSON.stringify(record.standangaben),
+        record.standText,
+        record.neugefasstText,
+        record.hinweisText,
+        record.lastAmendedOn,
+        record.pendingAmendment,
+        record.source,
+      ]
+    );
+  }
+
+  async function deleteVersion(versionTag, { client = pool } = {}) {
+    await client.query("DELETE FROM law_documents WHERE version_tag = $1", [versionTag]);
+  }
+
+  async function getByLawCodes(lawCodes, { versionTag = null } = {}) {
+    const codes = [...new Set((lawCodes || []).filter(Boolean))];
+    if (!codes.length) return [];
+    const { rows } = await pool.query(
+      `
+        SELECT *
+        FROM law_documents
+        WHERE ($1::text IS NULL OR version_tag = $1)
+          AND lower(law_code) = ANY($2::text[])
+        ORDER BY law_code, version_tag DESC
+      `,
+      [versionTag, codes.flatMap(lawCodeVariants)]
+    );
+    const seen = new Set();
+    return rows.filter((r) => !seen.has(r.law_code) && seen.add(r.law_code)).map(fromRow);
+  }
+
+  return { upsert, deleteVersion, getByLawCodes };
+}
+
+export function formatDateRu(iso) {
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}.${m[2]}.${m[1]}` : null;
+}
+
+/**
+ * Compact per-law status for API responses.
+ */
+export function summarizeLawStatus(doc) {
+  return {
+    law: doc.lawCode,
+    title: doc.title || null,
+    asOf: doc.builddate ? doc.builddate.slice(0, 10) : null,
+    lastAmendedOn: doc.lastAmendedOn,
+    stand: doc.standText || doc.neugefasstText || null,
+    pendingAmendment: doc.pendingAmendment,
+    hinweis: doc.hinweisText || null,
+  };
+}
+
+/**
+ * LAW_STATUS block for the prompt: one line per law used in LEGAL_SOURCES.
+ */
+export function formatLawStatusForPrompt(docs = []) {
+  return docs
+    .map((doc) => {
+      const status = summarizeLawStatus(doc);
+      return [
+        `${status.law}${status.title ? ` (${status.title})` : ""}`,
+        formatDateRu(status.asOf) ? `по состоянию на ${formatDateRu(status.asOf)}` : null,
+        status.stand ? `Stand: ${status.stand}` : null,
+        status.pendingAmendment ? `PENDING_AMENDMENT Hinweis: ${status.hinweis}` : null,
+      ]
+        .filter(Boolean)
+        .join(" | ");
+    })
+    .join("\n");
+}
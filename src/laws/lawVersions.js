@@ -0,0 +1,171 @@
+// src/laws/lawVersions.js (ESM)
+import { formatDateRu } from "./lawDocuments.js";
+
+// Per-version tables deleted along with law_chunks when a version is pruned.
+const PRUNED_VERSION_TABLES = ["law_documents", "law_catalog", "law_norm_references", "law_definitions"];
+
+/**
+ * Request date -> "YYYY-MM-DD". Accepts ISO dates and German/Russian "DD.MM.YYYY".
+ * Returns null for empty input; throws on anything else that is not a real date.
+ */
+export function parseAsOfDate(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/) || s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (!m) throw new Error(`Invalid as_of date: ${s}`);
+  const [y, mo, d] = m[1].length === 4 ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]];
+  const iso = `${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) {
+    throw new Error(`Invalid as_of date: ${s}`);
+  }
+  return iso;
+}
+
+/**
+ * valid_from for a new version: explicit value, else the tag itself when it is
+ * a date (harvest tags are), else today.
+ */
+export function versionValidFrom(versionTag, explicit = "") {
+  if (explicit) return parseAsOfDate(explicit);
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(versionTag || "")) ? versionTag : new Date().toISOString().slice(0, 10);
+}
+
+// node-pg parses DATE columns as local midnight, so local getters give the stored day.
+function isoDay(value) {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Retention policy: the active version is always kept, plus the newest keepCount
+ * versions and, with keepMonths, every version younger than that. Returns the
+ * version tags whose chunks may be deleted. versions: [{ versionTag, validFrom, status }].
+ */
+export function selectVersionsToPrune(versions, { keepCount = 12, keepMonths = 0, now = new Date() } = {}) {
+  const retained = versions
+    .filter((v) => v.status === "active" || v.status === "archived")
+    .sort((a, b) => String(isoDay(b.validFrom)).localeCompare(String(isoDay(a.validFrom))));
+  const cutoff = keepMonths > 0 ? new Date(now) : null;
+  if (cutoff) cutoff.setUTCMonth(cutoff.getUTCMonth() - keepMonths);
+  const cutoffDay = cutoff ? cutoff.toISOString().slice(0, 10) : null;
+
+  return retained
+    .filter((v, index) => {
+      if (v.status === "active" || index < keepCount) return false;
+      return !(cutoffDay && isoDay(v.validFrom) >= cutoffDay);
+    })
+    .map((v) => v.versionTag);
+}
+
+/**
+ * Retention policy from LAW_RETAIN_VERSIONS (default 12) and LAW_RETAIN_MONTHS (default 0):
+ * older versions stay available to as_of questions.
+ */
+export function retentionPolicyFromEnv(env = process.env) {
+  return {
+    keepCount: Number(env.LAW_RETAIN_VERSIONS || 12),
+    keepMonths: Number(env.LAW_RETAIN_MONTHS || 0),
+  };
+}
+
+/**
+ * Applies selectVersionsToPrune: deletes chunks, law_documents, catalog, reference and definition rows of old versions
+ * and marks them 'pruned'. Returns the pruned tags.
+ */
+export async function pruneLawVersions(client, policy = {}) {
+  const { rows } = await client.query(
+    "SELECT version_tag, valid_from, status FROM law_dataset_versions"
+  );
+  const toPrune = selectVersionsToPrune(
+    rows.map((r) => ({ versionTag: r.version_tag, validFrom: r.valid_from, status: r.status })),
+    policy
+  );
+  if (!toPrune.length) return toPrune;
+  // Per-version tables besides law_chunks may be missing on databases set up before them.
+  const { rows: present } = await client.query(
+    "SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL",
+    [PRUNED_VERSION_TABLES]
+  );
+  for (const versionTag of toPrune) {
+    await client.query("DELETE FROM law_chunks WHERE version_tag = $1", [versionTag]);
+    for (const { name } of present) {
+      await client.query(`DELETE FROM ${name} WHERE version_tag = $1`, [versionTag]);
+    }
+    await client.query("UPDATE law_dataset_versions SET status = 'pruned' WHERE version_tag = $1", [versionTag]);
+  }
+  return toPrune;
+}
+
+/**
+ * The retained version in force on asOf: the latest one with valid_from <= asOf.
+ * Archived versions count only if older than the active one: a version left by a
+ * rollback keeps its newer valid_from but must not answer again. Dates before the
+ * oldest candidate fall back to it with exact = false, since no older text is
+ * available. versions: [{ versionTag, validFrom, status }].
+ */
+export function selectVersionAsOf(versions, asOf) {
+  const active = versions.find((v) => v.status === "active");
+  const activeDay = isoDay(active?.validFrom);
+  const candidates = versions
+    .filter((v) => v.validFrom && (v.status === "active" || v.status === "archived"))
+    .filter((v) => v.status === "active" || !activeDay || isoDay(v.validFrom) < activeDay)
+    .sort((a, b) => String(isoDay(b.validFrom)).localeCompare(String(isoDay(a.validFrom))));
+  const inForce = candidates.find((v) => isoDay(v.validFrom) <= asOf);
+  const picked = inForce || candidates[candidates.length - 1];
+  return picked ? { ...picked, exact: Boolean(inForce) } : null;
+}
+
+/**
+ * Resolves as_of dates with selectVersionAsOf over the retained versions that
+ * still have chunks.
+ */
+export function createLawVersionResolver(pool) {
+  return async function resolveAsOf(asOf) {
+    const { rows } = await pool.query(
+      `
+        SELECT v.version_tag, v.valid_from, v.status
+        FROM law_dataset_versions v
+        WHERE v.status IN ('active', 'archived')
+          AND v.valid_from IS NOT NULL
+          AND EXISTS (SELECT 1 FROM law_chunks c WHERE c.version_tag = v.version_tag)
+      `
+    );
+    const picked = selectVersionAsOf(
+      rows.map((r) => ({ versionTag: r.version_tag, validFrom: r.valid_from, status: r.status })),
+      asOf
+    );
+    if (!picked) return null;
+    return {
+      versionTag: picked.versionTag,
+      validFrom: isoDay(picked.validFrom),
+      asOf,
+      isActive: picked.status === "active",
+      exact: picked.exact,
+    };
+  };
+}
+
+/**
+ * LAW_VERSION block for the prompt; tells the model which text version it is quoting.
+ */
+export function formatLawVersionForPrompt(lawVersion) {
+  if (!lawVersion?.versionTag) return "";
+  const lines = [
+    `Dataset version: ${lawVersion.versionTag}${lawVersion.validFrom ? ` (Stand ${formatDateRu(lawVersion.validFrom)})` : ""}`,
+  ];
+  if (lawVersion.asOf) {
+    lines.push(`Requested date (as_of): ${formatDateRu(lawVersion.asOf)}`);
+    lines.push(
+      `- Tell the user that the answer is based on the law texts in the version of ${formatDateRu(lawVersion.validFrom)}, selected for ${formatDateRu(lawVersion.asOf)}.`
+    );
+    if (!lawVersion.exact) {
+      lines.push(
+        "- No archived text from that date is available; warn that the cited wording is newer than the requested date and may differ from the law in force then."
+      );
+    }
+  }
+  return lines.join("\n");
+}
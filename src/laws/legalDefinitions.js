@@ -0,0 +1,283 @@
+// src/laws/legalDefinitions.js (ESM)
+// Legaldefinitionen ("Verbraucher ist jede natürliche Person...", "Arbeitnehmer im Sinne
+// dieses Gesetzes sind...") detected in the norm texts of a version and stored in
+// law_definitions, so retrieval can add the definition of a term that a question or a
+// retrieved chunk uses. Built per version after ingest, like law_norm_references.
+const MAX_TERM_WORDS = 4;
+const MAX_DEFINITION_CHARS = 1200;
+const MAX_LOOKUP_KEYS = 5000;
+const DEFAULT_MAX_DEFINITIONS = 3;
+const INSERT_BATCH_SIZE = 500;
+
+// Sentence boundaries as in giiNorms.splitAtSentences: not after enumerators ("1.").
+const SENTENCE_SPLIT_RE = /(?<=[^\d\s][.;:])\s+(?=[(\p{Lu}„])/u;
+const ABSATZ_PREFIX_RE = /^(?:\(\d+[a-z]?\)\s*)?(?:\d+[a-z]?\.\s*|[a-z]{1,2}\)\s*)?/u;
+const TERM_RE = "[\\p{Lu}][\\p{L}-]*(?:\\s+[\\p{L}-]+){0,3}?";
+const IM_SINNE = "im\\s+Sinne\\s+(?:dieses|dieser|des|der|von)\\b[^,;:]*?";
+// "Arbeitnehmer im Sinne dieses Gesetzes sind ..."
+const SUBJECT_IM_SINNE_RE = new RegExp(`^(${TERM_RE})\\s+${IM_SINNE}\\s+(?:ist|sind)\\s`, "u");
+// "Im Sinne dieses Gesetzes ist Arbeitsentgelt jede ..." / "... sind Arbeitnehmer Arbeiter und ..."
+const INVERTED_IM_SINNE_RE = new RegExp(
+  `^Im\\s+Sinne\\s+(?:dieses|dieser|des|der)\\b[^,;:]*?\\s+(?:ist|sind)\\s+(${TERM_RE})(?=\\s+(?:jede|jeder|jedes|eine|ein|einer|die|der|das|alle|Arbeiter|Personen)\\b|,)`,
+  "u"
+);
+// "Verbraucher ist jede natürliche Person ..." (only where the norm title names the term)
+const SUBJECT_IST_RE = new RegExp(`^(${TERM_RE})\\s+(?:ist|sind)\\s`, "u");
+// „Abfälle“ ... in an enumeration under "Im Sinne dieses Gesetzes sind:"
+const QUOTED_TERM_RE = /^„([^“]{2,60})“/u;
+const LEGALDEFINITION_MARKER_RE = /\(Legaldefinition\)/i;
+const PARENTHESIZED_BEFORE_MARKER_RE = /\(([^()\d]{2,60})\)\s*\(Legaldefinition\)/i;
+
+function collapse(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Crude German stem for matching inflected forms: "Verbrauchers" / "Arbeitnehmern" /
+ * "Leistungsberechtigten" -> the form without its case ending.
+ */
+function stemWord(word) {
+  const w = word.toLowerCase();
+  const m = w.length > 5 ? w.match(/^(.*?)(?:es|en|s|n|e)$/) : null;
+  return m ? m[1] : w;
+}
+
+/**
+ * Lookup key of a term or phrase: lower-case stems of its words.
+ */
+export function definitionTermKey(term) {
+  return collapse(term)
+    .split(" ")
+    .filter(Boolean)
+    .map(stemWord)
+    .join(" ");
+}
+
+// Defined terms are nouns, except where a marker names them ("(unverzüglich)").
+function validTerm(term, { anyCase = false } = {}) {
+  const t = collapse(term).replace(/[.,;:]+$/, "");
+  const words = t.split(" ");
+  if (t.length < 3 || t.length > 60 || words.length > MAX_TERM_WORDS) return null;
+  if (!anyCase && !words.some((w) => /^\p{Lu}/u.test(w))) return null;
+  return t;
+}
+
+/**
+ * Definitions in the text of one Absatz: [{ term, text }]. title: the norm title; a
+ * plain "X ist ..." sentence only counts when the title names X (§ 13 BGB "Verbraucher").
+ */
+export function extractDefinitions(text, { title = "" } = {}) {
+  const value = String(text || "");
+  const units = value
+    .split("\n")
+    .flatMap((line) => line.split(SENTENCE_SPLIT_RE))
+    .map(collapse)
+    .filter(Boolean);
+  const titleKey = definitionTermKey(title);
+  const enumerationIntro = /im\s+Sinne\s+(?:dieses|dieser)\b/i.test(value);
+  const out = [];
+  const seen = new Set();
+  const add = (term, unit, options) => {
+    const t = validTerm(term, options);
+    if (!t || seen.has(definitionTermKey(t))) return;
+    seen.add(definitionTermKey(t));
+    out.push({ term: t, text: unit.slice(0, MAX_DEFINITION_CHARS) });
+  };
+
+  units.forEach((unit, i) => {
+    const body = unit.replace(ABSATZ_PREFIX_RE, "");
+    if (LEGALDEFINITION_MARKER_RE.test(unit)) {
+      const term =
+        unit.match(PARENTHESIZED_BEFORE_MARKER_RE)?.[1] ||
+        unit.match(/„([^“]{2,60})“/u)?.[1] ||
+        body.match(SUBJECT_IST_RE)?.[1];
+      if (term) add(term, unit.replace(/\s*\(Legaldefinition\)/gi, ""), { anyCase: true });
+      return;
+    }
+    const subject = body.match(SUBJECT_IM_SINNE_RE)?.[1] || body.match(INVERTED_IM_SINNE_RE)?.[1];
+    if (subject) return add(subject, unit);
+    const quoted = enumerationIntro ? body.match(QUOTED_TERM_RE)?.[1] : null;
+    if (quoted) return add(quoted, unit);
+    const plain = i === 0 && titleKey ? body.match(SUBJECT_IST_RE)?.[1] : null;
+    if (plain && titleKey.split(" ").includes(definitionTermKey(plain))) add(plain, unit);
+  });
+  return out;
+}
+
+/**
+ * Candidate lookup keys of a text: every word, and runs of up to MAX_TERM_WORDS words
+ * that contain a noun.
+ */
+export function textTermKeys(text) {
+  const words = String(text || "").match(/\p{L}[\p{L}-]*/gu) || [];
+  const keys = new Set();
+  for (let i = 0; i < words.length; i++) {
+    for (let n = 1; n <= MAX_TERM_WORDS && i + n <= words.length; n++) {
+      const phrase = words.slice(i, i + n);
+      if (n > 1 && !phrase.some((w) => /^\p{Lu}/u.test(w))) continue;
+      keys.add(definitionTermKey(phrase.join(" ")));
+    }
+  }
+  return keys;
+}
+
+async function insertDefinitions(client, versionTag, definitions) {
+  for (let i = 0; i < definitions.length; i += INSERT_BATCH_SIZE) {
+    const batch = definitions.slice(i, i + INSERT_BATCH_SIZE);
+    const column = (name) => batch.map((d) => d[name]);
+    await client.query(
+      `
+        INSERT INTO law_definitions (version_tag, term, term_key, law, section, title, absatz, text, source, norm_index)
+        SELECT $1::text, *
+        FROM unnest(
+          $2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[], $10::int[]
+        )
+        ON CONFLICT DO NOTHING
+      `,
+      [
+        versionTag,
+        column("term"),
+        column("termKey"),
+        column("law"),
+        column("section"),
+        column("title"),
+        column("absatz"),
+        column("text"),
+        column("source"),
+        column("normIndex"),
+      ]
+    );
+  }
+}
+
+/**
+ * Rebuilds the law_definitions rows of one version from its chunks, one source file at
+ * a time (split pieces of an Absatz are rejoined first). Returns { files, definitions }.
+ */
+export async function rebuildLegalDefinitions(client, { versionTag }) {
+  const { rows: sourceRows } = await client.query(
+    "SELECT DISTINCT source FROM law_chunks WHERE version_tag = $1 AND norm_index IS NOT NULL ORDER BY source",
+    [versionTag]
+  );
+  console.log(`Rebuilding law_definitions for version ${versionTag}: ${sourceRows.length} files`);
+
+  await client.query("DELETE FROM law_definitions WHERE version_tag = $1", [versionTag]);
+  let definitions = 0;
+  for (const { source } of sourceRows) {
+    const { rows } = await client.query(
+      `
+        SELECT law, section, title, absatz, norm_index, text
+        FROM law_chunks
+        WHERE version_tag = $1
+          AND source = $2
+          AND section ~ '^(§|Art\\.)'
+          AND norm_index IS NOT NULL
+        ORDER BY norm_index, chunk_index
+      `,
+      [versionTag, source]
+    );
+    const absaetze = new Map();
+    for (const r of rows) {
+      const key = `${r.norm_index}\0${r.absatz ?? ""}`;
+      if (!absaetze.has(key)) absaetze.set(key, { ...r, texts: [] });
+      absaetze.get(key).texts.push(r.text);
+      if (!absaetze.get(key).title && r.title) absaetze.get(key).title = r.title;
+    }
+    const found = [...absaetze.values()].flatMap((a) =>
+      extractDefinitions(a.texts.join(" "), { title: a.title || "" }).map((d) => ({
+        term: d.term,
+        termKey: definitionTermKey(d.term),
+        law: a.law,
+        section: a.section,
+        title: a.title || null,
+        absatz: a.absatz ?? null,
+        text: d.text,
+        source,
+        normIndex: a.norm_index,
+      }))
+    );
+    await insertDefinitions(client, versionTag, found);
+    definitions += found.length;
+  }
+  return { files: sourceRows.length, definitions };
+}
+
+/**
+ * Definitions to add to LEGAL_SOURCES (ids S1..Sn), best first, at most maxDefinitions:
+ * terms of the question (and its rewrites) first, then terms used by a source, which
+ * only match definitions of that source's own law. A question term defined in several
+ * laws is only taken from a law already among the sources. Definitions whose norm is
+ * already a source are skipped.
+ * rows: law_definitions rows for the candidate keys.
+ */
+export function pickDefinitionSources(rows, { questionKeys, sources, maxDefinitions = DEFAULT_MAX_DEFINITIONS }) {
+  const sourceLaws = new Set(sources.map((s) => String(s.law || "").toLowerCase()));
+  const presentNorms = new Set(sources.map((s) => `${s.source}\0${s.normIndex}`));
+  const lawsByKey = new Map();
+  for (const r of rows) {
+    if (!lawsByKey.has(r.term_key)) lawsByKey.set(r.term_key, new Set());
+    lawsByKey.get(r.term_key).add(r.law.toLowerCase());
+  }
+
+  const picked = [];
+  const taken = new Set();
+  const take = (row, expandedFrom) => {
+    const key = `${row.source}\0${row.norm_index}`;
+    if (picked.length >= maxDefinitions || presentNorms.has(key) || taken.has(key)) return;
+    taken.add(key);
+    picked.push({
+      law: row.law,
+      section: row.section,
+      absatz: row.absatz,
+      title: row.title,
+      context: `Legaldefinition: ${row.term}`,
+      text: row.text,
+      source: row.source,
+      normIndex: row.norm_index,
+      expandedFrom,
+      expansion: "definition",
+      definedTerm: row.term,
+    });
+  };
+
+  for (const row of rows) {
+    if (!questionKeys.has(row.term_key)) continue;
+    if (sourceLaws.has(row.law.toLowerCase()) || lawsByKey.get(row.term_key).size === 1) take(row, null);
+  }
+  for (const src of sources) {
+    const law = String(src.law || "").toLowerCase();
+    const keys = textTermKeys(src.text);
+    for (const row of rows) {
+      if (row.law.toLowerCase() === law && keys.has(row.term_key)) take(row, src.id);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Read access to law_definitions.
+ * definitionsFor({ questionText, sources, versionTag, maxDefinitions }) -> definition
+ *   sources for the terms used in the question text or the sources (pickDefinitionSources).
+ */
+export function createLegalDefinitions(pool) {
+  async function definitionsFor({ questionText = "", sources = [], versionTag, maxDefinitions = DEFAULT_MAX_DEFINITIONS }) {
+    const questionKeys = textTermKeys(questionText);
+    const keys = new Set(questionKeys);
+    for (const src of sources) for (const key of textTermKeys(src.text)) keys.add(key);
+    if (!keys.size || maxDefinitions <= 0) return [];
+    const { rows } = await pool.query(
+      `
+        SELECT term, term_key, law, section, title, absatz, text, source, norm_index
+        FROM law_definitions
+        WHERE version_tag = $1
+          AND term_key = ANY($2::text[])
+        ORDER BY length(term) DESC, law, norm_index
+        LIMIT 200
+      `,
+      [versionTag, [...keys].slice(0, MAX_LOOKUP_KEYS)]
+    );
+    return pickDefinitionSources(rows, { questionKeys, sources, maxDefinitions });
+  }
+
+  return { definitionsFor };
+}
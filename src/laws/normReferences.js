@@ -0,0 +1,256 @@
+// src/laws/normReferences.js (ESM)
+// Cross-references between norms ("§ 626 BGB gilt entsprechend", "nach Maßgabe des § 11"):
+// extracted from the norm texts of a version with the citation guard's NORM_REGEX,
+// resolved to law_chunks norms (source + norm_index) and stored in law_norm_references.
+// Built per version after ingest, like law_catalog, since a reference may point into a
+// law that is ingested later.
+import { extractNorms } from "../guards/citationGuard.js";
+import { lawCodeVariants, normalizeLawCode } from "../retrieval/normLookup.js";
+
+const REFERENCE_PARTS_RE = /^(§|Art\.)\s*(\d+[a-zA-Z]*)(?:\s+(?:Abs\.|Absatz)\s*(\d+[a-zA-Z]*))?/;
+// NORM_REGEX takes any word after the citation as a possible law code ("§ 626 gilt").
+const TRAILING_WORD_RE = /\s([A-ZÄÖÜ][A-Za-zÄÖÜäöü]+(?:\s(?:[IVX]{1,4}|\d{1,3}))?)$/;
+const NOT_A_LAW_CODE = new Set(["satz", "absatz", "nummer"]);
+// "§ 7 des Bundesurlaubsgesetzes": the law is named in words and cannot be resolved.
+const NAMED_LAW_WORD_RE = /\s(?:des|der)$/;
+// Two capitals ("BGB", "KSchG", "SGB 2"): a law code, not a word that starts a sentence.
+const LAW_CODE_SHAPE_RE = /^[A-ZÄÖÜ][a-zäöüß]*[A-ZÄÖÜ]/;
+
+const INSERT_BATCH_SIZE = 500;
+
+const sectionKey = (section) => String(section || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+/**
+ * References in a norm text: [{ citedAs, section, absatz, law, namedLaw }]. law is the
+ * capitalized word after the citation, or null for the citing law itself; it may still
+ * be an ordinary noun, which resolveReferences() tells apart by the known law codes.
+ * namedLaw: the law follows in words ("des Bundesurlaubsgesetzes").
+ */
+export function extractReferences(text) {
+  const out = [];
+  for (const citedAs of extractNorms(String(text || ""))) {
+    const parts = citedAs.match(REFERENCE_PARTS_RE);
+    if (!parts) continue;
+    const word = citedAs.match(TRAILING_WORD_RE)?.[1] || null;
+    const law = word && !NOT_A_LAW_CODE.has(word.split(" ")[0].toLowerCase()) ? word : null;
+    out.push({
+      citedAs,
+      section: `${parts[1]} ${parts[2]}`,
+      absatz: parts[3] || null,
+      law,
+      namedLaw: NAMED_LAW_WORD_RE.test(citedAs),
+    });
+  }
+  return out;
+}
+
+/**
+ * Norm index of a version: lower-case law code -> lower-case section -> target norm.
+ * rows: distinct { law, section, source, norm_index } of law_chunks.
+ */
+export function buildNormIndex(rows) {
+  const index = new Map();
+  for (const r of rows) {
+    if (!r.law || !r.section || !Number.isInteger(r.norm_index)) continue;
+    const lawKey = r.law.toLowerCase();
+    if (!index.has(lawKey)) index.set(lawKey, new Map());
+    const sections = index.get(lawKey);
+    // Same section in two files of one law: the first one wins.
+    if (!sections.has(sectionKey(r.section))) {
+      sections.set(sectionKey(r.section), { law: r.law, section: r.section, source: r.source, normIndex: r.norm_index });
+    }
+  }
+  return index;
+}
+
+function lookupLaw(index, law) {
+  for (const variant of lawCodeVariants(normalizeLawCode(law))) {
+    if (index.has(variant)) return index.get(variant);
+  }
+  return null;
+}
+
+/**
+ * Edges of one norm ({ law, section, source, normIndex, text }) to the norms of the
+ * index it refers to. Citations without a law code point into the citing law;
+ * self-references, laws missing from the version and repeats of a target are dropped.
+ */
+export function resolveReferences(norm, index) {
+  const edges = [];
+  const seen = new Set([`${norm.source}\0${norm.normIndex}`]);
+  for (const ref of extractReferences(norm.text)) {
+    if (ref.namedLaw) continue;
+    const citedLaw = ref.law ? lookupLaw(index, ref.law) : null;
+    // A law code that is not in this version must not fall back to the citing law.
+    if (!citedLaw && ref.law && LAW_CODE_SHAPE_RE.test(ref.law)) continue;
+    const sections = citedLaw || lookupLaw(index, norm.law);
+    const target = sections?.get(sectionKey(ref.section));
+    if (!target) continue;
+    const key = `${target.source}\0${target.normIndex}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    edges.push({
+      fromLaw: norm.law,
+      fromSection: norm.section,
+      fromSource: norm.source,
+      fromNormIndex: norm.normIndex,
+      toLaw: target.law,
+      toSection: target.section,
+      toSource: target.source,
+      toNormIndex: target.normIndex,
+      toAbsatz: ref.absatz,
+      citedAs: ref.citedAs,
+    });
+  }
+  return edges;
+}
+
+async function insertEdges(client, versionTag, edges) {
+  for (let i = 0; i < edges.length; i += INSERT_BATCH_SIZE) {
+    const batch = edges.slice(i, i + INSERT_BATCH_SIZE);
+    const column = (name) => batch.map((e) => e[name]);
+    await client.query(
+      `
+        INSERT INTO law_norm_references (
+          version_tag, from_law, from_section, from_source, from_norm_index,
+          to_law, to_section, to_source, to_norm_index, to_absatz, cited_as
+        )
+        SELECT $1::text, *
+        FROM unnest(
+          $2::text[], $3::text[], $4::text[], $5::int[],
+          $6::text[], $7::text[], $8::text[], $9::int[], $10::text[], $11::text[]
+        )
+        ON CONFLICT DO NOTHING
+      `,
+      [
+        versionTag,
+        column("fromLaw"),
+        column("fromSection"),
+        column("fromSource"),
+        column("fromNormIndex"),
+        column("toLaw"),
+        column("toSection"),
+        column("toSource"),
+        column("toNormIndex"),
+        column("toAbsatz"),
+        column("citedAs"),
+      ]
+    );
+  }
+}
+
+/**
+ * Rebuilds the law_norm_references rows of one version from its chunks, one source
+ * file at a time. Returns { norms, references }.
+ */
+export async function rebuildNormReferences(client, { versionTag }) {
+  const { rows: normRows } = await client.query(
+    `
+      SELECT DISTINCT law, section, source, norm_index
+      FROM law_chunks
+      WHERE version_tag = $1
+        AND section ~ '^(§|Art\\.)'
+        AND norm_index IS NOT NULL
+    `,
+    [versionTag]
+  );
+  const index = buildNormIndex(normRows);
+  const sources = [...new Set(normRows.map((r) => r.source))].sort();
+  console.log(`Rebuilding law_norm_references for version ${versionTag}: ${normRows.length} norms in ${sources.length} files`);
+
+  await client.query("DELETE FROM law_norm_references WHERE version_tag = $1", [versionTag]);
+  let references = 0;
+  for (const source of sources) {
+    const { rows } = await client.query(
+      `
+        SELECT law, section, norm_index, text
+        FROM law_chunks
+        WHERE version_tag = $1
+          AND source = $2
+          AND section ~ '^(§|Art\\.)'
+          AND norm_index IS NOT NULL
+        ORDER BY norm_index, chunk_index
+      `,
+      [versionTag, source]
+    );
+    const norms = new Map();
+    for (const r of rows) {
+      if (!norms.has(r.norm_index)) {
+        norms.set(r.norm_index, { law: r.law, section: r.section, source, normIndex: r.norm_index, texts: [] });
+      }
+      norms.get(r.norm_index).texts.push(r.text);
+    }
+    const edges = [...norms.values()].flatMap((n) => resolveReferences({ ...n, text: n.texts.join("\n") }, index));
+    await insertEdges(client, versionTag, edges);
+    references += edges.length;
+  }
+  return { norms: normRows.length, references };
+}
+
+/**
+ * Read access to law_norm_references.
+ * referencesFrom(norms, { versionTag, limit }): norms referenced by the given
+ *   { source, normIndex } norms, in their order, with the chunk of the cited Absatz
+ *   (else the norm's first chunk) as a law_chunks row plus from_source/from_norm_index.
+ * referencedBy(lawCode, section, { versionTag, source, normIndex }): [{ law, section, title }]
+ *   of the norms that refer to a section; source + normIndex narrow it to one of several
+ *   norms with that label.
+ */
+export function createNormReferences(pool) {
+  async function referencesFrom(norms, { versionTag, limit = 10 } = {}) {
+    const keyed = norms.filter((n) => n.source && Number.isInteger(n.normIndex));
+    if (!keyed.length || limit <= 0) return [];
+    const { rows } = await pool.query(
+      `
+        SELECT DISTINCT ON (k.ord, r.to_source, r.to_norm_index)
+          c.id, c.law, c.section, c.title, c.absatz, c.context_header, c.text, c.source, c.norm_index, c.chunk_index,
+          r.from_source, r.from_norm_index, r.cited_as, k.ord
+        FROM unnest($2::text[], $3::int[]) WITH ORDINALITY AS k(source, norm_index, ord)
+        JOIN law_norm_references r
+          ON r.version_tag = $1 AND r.from_source = k.source AND r.from_norm_index = k.norm_index
+        JOIN law_chunks c
+          ON c.version_tag = r.version_tag AND c.source = r.to_source AND c.norm_index = r.to_norm_index
+        ORDER BY k.ord, r.to_source, r.to_norm_index, (c.absatz IS NOT DISTINCT FROM r.to_absatz) DESC, c.chunk_index
+      `,
+      [versionTag, keyed.map((n) => n.source), keyed.map((n) => n.normIndex)]
+    );
+    const seen = new Set();
+    return rows
+      .sort((a, b) => Number(a.ord) - Number(b.ord))
+      .filter((r) => {
+        const key = `${r.source}\0${r.norm_index}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  async function referencedBy(lawCode, section, { versionTag, source = null, normIndex = null } = {}) {
+    const { rows } = await pool.query(
+      `
+        SELECT r.from_law AS law, r.from_section AS section, t.title
+        FROM law_norm_references r
+        LEFT JOIN LATERAL (
+          SELECT c.title
+          FROM law_chunks c
+          WHERE c.version_tag = r.version_tag
+            AND c.source = r.from_source
+            AND c.norm_index = r.from_norm_index
+            AND c.title IS NOT NULL
+          LIMIT 1
+        ) t ON true
+        WHERE ($1::text IS NULL OR r.version_tag = $1)
+          AND lower(r.to_law) = ANY($2::text[])
+          AND lower(regexp_replace(r.to_section, '\\s+', ' ', 'g')) = lower($3)
+          AND ($4::text IS NULL OR (r.to_source = $4 AND r.to_norm_index = $5))
+        ORDER BY lower(r.from_law), r.from_source, r.from_norm_index
+        LIMIT 200
+      `,
+      [versionTag || null, lawCodeVariants(lawCode), section, Number.isInteger(normIndex) ? source : null, normIndex]
+    );
+    return rows.map((r) => ({ law: r.law, section: r.section, title: r.title || null }));
+  }
+
+  return { referencesFrom, referencedBy };
+}
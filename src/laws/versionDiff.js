@@ -0,0 +1,242 @@
+// src/laws/versionDiff.js (ESM)
+import { NORM_KEY_SQL, diffNormFingerprints, loadNormFingerprints, normLabel } from "../ingest/incrementalIngest.js";
+import { lawCodeVariants } from "../retrieval/normLookup.js";
+
+// LCS tables above this size are not worth it; the text is shown as replaced.
+const MAX_LCS_CELLS = 250000;
+const DEFAULT_MAX_TEXT_DIFFS = 200;
+
+/**
+ * Longest-common-subsequence diff of two arrays.
+ * Returns [{ op: "equal" | "removed" | "added", value }] in order.
+ */
+export function diffSequence(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [...a.map((value) => ({ op: "removed", value })), ...b.map((value) => ({ op: "added", value }))];
+  }
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: "equal", value: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ op: "removed", value: a[i++] });
+    } else {
+      ops.push({ op: "added", value: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ op: "removed", value: a[i++] });
+  while (j < b.length) ops.push({ op: "added", value: b[j++] });
+  return ops;
+}
+
+/**
+ * Word diff rendered inline: "Der Urlaub [-ist-]{+muss+} ... gewährt".
+ */
+export function diffWords(oldText, newText) {
+  const tokens = (s) => String(s || "").split(/(\s+)/).filter(Boolean);
+  let out = "";
+  let pending = { removed: "", added: "" };
+  const flush = () => {
+    if (pending.removed) out += `[-${pending.removed.trim()}-]`;
+    if (pending.added) out += `{+${pending.added.trim()}+}`;
+    if (pending.removed || pending.added) out += " ";
+    pending = { removed: "", added: "" };
+  };
+  for (const { op, value } of diffSequence(tokens(oldText), tokens(newText))) {
+    if (op === "equal") {
+      flush();
+      out += value;
+    } else {
+      pending[op] += value;
+    }
+  }
+  flush();
+  return out.replace(/ +/g, " ").trim();
+}
+
+/**
+ * Paragraph-level diff of two norm texts (paragraphs are "\n"-separated Absätze).
+ * Unchanged paragraphs are omitted; a removed paragraph followed by an added one
+ * is reported as "changed" with an inline word diff.
+ */
+export function diffNormText(oldText, newText) {
+  const paragraphs = (s) => String(s || "").split("\n").map((p) => p.trim()).filter(Boolean);
+  const ops = diffSequence(paragraphs(oldText), paragraphs(newText));
+  const out = [];
+  for (let k = 0; k < ops.length; ) {
+    if (ops[k].op === "equal") {
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== "equal") {
+      (ops[k].op === "removed" ? removed : added).push(ops[k].value);
+      k++;
+    }
+    const pairs = Math.min(removed.length, added.length);
+    for (let p = 0; p < pairs; p++) {
+      out.push({ op: "changed", old: removed[p], new: added[p], words: diffWords(removed[p], added[p]) });
+    }
+    removed.slice(pairs).forEach((text) => out.push({ op: "removed", old: text }));
+    added.slice(pairs).forEach((text) => out.push({ op: "added", new: text }));
+  }
+  return out;
+}
+
+/**
+ * Compares two law_chunks versions: per law the §§ added, removed and reworded,
+ * with a paragraph diff for reworded ones.
+ */
+export function createLawVersionDiff(pool, { maxTextDiffs = DEFAULT_MAX_TEXT_DIFFS } = {}) {
+  async function listVersions() {
+    const { rows } = await pool.query(
+      `
+        SELECT version_tag, source_url, status, imported_at, valid_from::text AS valid_from
+        FROM law_dataset_versions
+        ORDER BY imported_at DESC
+      `
+    );
+    return rows.map((r) => ({
+      versionTag: r.version_tag,
+      sourceUrl: r.source_url || null,
+      status: r.status,
+      validFrom: r.valid_from || null,
+      importedAt: r.imported_at,
+    }));
+  }
+
+  async function hasChunks(versionTag) {
+    const { rows } = await pool.query("SELECT 1 FROM law_chunks WHERE version_tag = $1 LIMIT 1", [versionTag]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Defaults: to = active version, from = the version imported right before it.
+   */
+  async function resolveVersions({ from = "", to = "" } = {}) {
+    let toTag = String(to || "").trim();
+    if (!toTag) {
+      const { rows } = await pool.query(
+        "SELECT value FROM law_dataset_meta WHERE key = 'active_version_tag' LIMIT 1"
+      );
+      toTag = rows[0]?.value || "";
+    }
+    let fromTag = String(from || "").trim();
+    if (!fromTag && toTag) {
+      const { rows } = await pool.query(
+        `
+          SELECT version_tag
+          FROM law_dataset_versions
+          WHERE version_tag <> $1
+            AND status IN ('active', 'archived')
+            AND imported_at < (SELECT imported_at FROM law_dataset_versions WHERE version_tag = $1)
+          ORDER BY imported_at DESC
+          LIMIT 1
+        `,
+        [toTag]
+      );
+      fromTag = rows[0]?.version_tag || "";
+    }
+    return { from: fromTag || null, to: toTag || null };
+  }
+
+  async function loadNormTexts(versionTag, pairs) {
+    if (!pairs.length) return new Map();
+    const { rows } = await pool.query(
+      `
+        SELECT law, norm_key, string_agg(text, E'\\n' ORDER BY id) AS text
+        FROM (
+          SELECT id, law, text, ${NORM_KEY_SQL} AS norm_key
+          FROM law_chunks
+          WHERE version_tag = $1
+        ) c
+        WHERE (law, norm_key) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+        GROUP BY law, norm_key
+      `,
+      [versionTag, pairs.map((p) => p.law), pairs.map((p) => p.norm)]
+    );
+    return new Map(rows.map((r) => [`${r.law}\u0000${r.norm_key}`, r.text]));
+  }
+
+  /**
+   * Returns null when either version is unknown or its chunks were pruned.
+   */
+  async function compare({ from, to, law = "" } = {}) {
+    const versions = await resolveVersions({ from, to });
+    if (!versions.from || !versions.to) return null;
+    if (!(await hasChunks(versions.from)) || !(await hasChunks(versions.to))) return null;
+
+    const laws = law ? lawCodeVariants(law) : null;
+    const { laws: changes, totals } = diffNormFingerprints(
+      await loadNormFingerprints(pool, versions.from, { laws }),
+      await loadNormFingerprints(pool, versions.to, { laws })
+    );
+
+    const reworded = changes.flatMap((c) => c.changed.map((norm) => ({ law: c.law, norm })));
+    const withText = reworded.slice(0, maxTextDiffs);
+    const [oldTexts, newTexts] = [
+      await loadNormTexts(versions.from, withText),
+      await loadNormTexts(versions.to, withText),
+    ];
+    const diffs = new Map(
+      withText.map(({ law: code, norm }) => {
+        const key = `${code}\u0000${norm}`;
+        return [key, diffNormText(oldTexts.get(key), newTexts.get(key))];
+      })
+    );
+
+    return {
+      ...versions,
+      law: law || null,
+      totals,
+      textDiffsTruncated: reworded.length > withText.length,
+      laws: changes.map((c) => ({
+        law: c.law,
+        status: c.status,
+        added: c.added.map(normLabel),
+        removed: c.removed.map(normLabel),
+        changed: c.changed.map((norm) => ({ section: normLabel(norm), diff: diffs.get(`${c.law}\u0000${norm}`) || null })),
+      })),
+    };
+  }
+
+  return { listVersions, resolveVersions, compare };
+}
+
+/**
+ * Plain-text rendering of compare() for the CLI.
+ */
+export function formatVersionDiff(result) {
+  const lines = [`Law changes ${result.from} -> ${result.to}${result.law ? ` (${result.law})` : ""}`];
+  for (const l of result.laws) {
+    lines.push("", `${l.law} (${l.status})`);
+    l.added.forEach((s) => lines.push(`  + ${s}`));
+    l.removed.forEach((s) => lines.push(`  - ${s}`));
+    for (const c of l.changed) {
+      lines.push(`  ~ ${c.section}`);
+      for (const d of c.diff || []) {
+        if (d.op === "changed") lines.push(`      ${d.words}`);
+        else if (d.op === "removed") lines.push(`    - ${d.old}`);
+        else lines.push(`    + ${d.new}`);
+      }
+    }
+  }
+  const t = result.totals;
+  lines.push(
+    "",
+    `Laws: +${t.lawsAdded} ~${t.lawsChanged} -${t.lawsRemoved}; norms: +${t.normsAdded} ~${t.normsChanged} -${t.normsRemoved}`
+  );
+  if (result.textDiffsTruncated) lines.push("(text diffs truncated)");
+  return lines.join("\n");
+}
@@ -0,0 +1,262 @@
+// src/laws/versionLifecycle.js (ESM)
+// Staged imports: a version loads as 'loading', verify() checks it and builds its
+// catalog, norm cross-references and definitions ('verified' or 'failed'), promote() makes it live in one transaction,
+// rollback() switches back to the previously active version.
+import { createHybridLawSearch } from "../retrieval/hybridSearch.js";
+import { rebuildLawCatalog } from "./lawCatalog.js";
+import { rebuildLegalDefinitions } from "./legalDefinitions.js";
+import { rebuildNormReferences } from "./normReferences.js";
+
+const DEFAULT_SAMPLE_SIZE = 5;
+const DEFAULT_MIN_SAMPLE_HIT_RATE = 0.6;
+const DEFAULT_MAX_SHRINK = 0.2;
+
+/**
+ * verifyLawVersion thresholds from LAW_VERIFY_SAMPLE_SIZE, LAW_VERIFY_MIN_HIT_RATE
+ * and LAW_VERIFY_MAX_SHRINK; unset variables keep the defaults.
+ */
+export function verifyPolicyFromEnv(env = process.env) {
+  const policy = {};
+  if (env.LAW_VERIFY_SAMPLE_SIZE) policy.sampleSize = Number(env.LAW_VERIFY_SAMPLE_SIZE);
+  if (env.LAW_VERIFY_MIN_HIT_RATE) policy.minHitRate = Number(env.LAW_VERIFY_MIN_HIT_RATE);
+  if (env.LAW_VERIFY_MAX_SHRINK) policy.maxShrink = Number(env.LAW_VERIFY_MAX_SHRINK);
+  return policy;
+}
+
+async function getVersion(client, versionTag, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT version_tag, status FROM law_dataset_versions WHERE version_tag = $1${forUpdate ? " FOR UPDATE" : ""}`,
+    [versionTag]
+  );
+  return rows[0] || null;
+}
+
+async function getMeta(client, key) {
+  const { rows } = await client.query("SELECT value FROM law_dataset_meta WHERE key = $1", [key]);
+  return rows[0]?.value || null;
+}
+
+async function setMeta(client, key, value) {
+  await client.query(
+    `
+      INSERT INTO law_dataset_meta (key, value)
+      VALUES ($1, $2)
+      ON CONFLICT (key)
+      DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `,
+    [key, value]
+  );
+}
+
+async function countVersion(client, versionTag) {
+  const { rows } = await client.query(
+    `
+      SELECT
+        count(*)::int AS chunks,
+        count(DISTINCT law)::int AS laws,
+        count(*) FILTER (WHERE btrim(text) = '')::int AS empty_texts,
+        (SELECT count(*)::int FROM law_documents WHERE version_tag = $1) AS documents
+      FROM law_chunks
+      WHERE version_tag = $1
+    `,
+    [versionTag]
+  );
+  const r = rows[0] || {};
+  return { chunks: r.chunks || 0, laws: r.laws || 0, emptyTexts: r.empty_texts || 0, documents: r.documents || 0 };
+}
+
+/**
+ * Counts of a version and of the active one (null if there is none or it is the same).
+ */
+async function countWithActive(client, versionTag) {
+  const counts = await countVersion(client, versionTag);
+  const activeTag = await getMeta(client, "active_version_tag");
+  const activeCounts = activeTag && activeTag !== versionTag ? await countVersion(client, activeTag) : null;
+  return { counts, activeTag, activeCounts: activeCounts?.chunks ? activeCounts : null };
+}
+
+/**
+ * Row counts of the staged version against the active one. maxShrink is the
+ * tolerated relative drop; a version holding only some laws (e.g. law packs)
+ * fails it, since promoting it would drop every other law from chat and browser.
+ */
+export function checkCounts(counts, activeCounts, { maxShrink = DEFAULT_MAX_SHRINK } = {}) {
+  const checks = [
+    {
+      name: "row_counts",
+      ok: counts.chunks > 0 && counts.emptyTexts === 0,
+      blocking: true,
+      detail: counts,
+    },
+    {
+      name: "law_documents",
+      ok: counts.documents >= counts.laws,
+      blocking: false,
+      detail: { laws: counts.laws, documents: counts.documents },
+    },
+  ];
+  if (activeCounts) {
+    const floor = (n) => Math.floor(n * (1 - maxShrink));
+    checks.push({
+      name: "compared_to_active",
+      ok: counts.chunks >= floor(activeCounts.chunks) && counts.laws >= floor(activeCounts.laws),
+      blocking: true,
+      detail: { active: activeCounts, maxShrink },
+    });
+  }
+  return checks;
+}
+
+/**
+ * The compared_to_active check of verifyLawVersion on its own, for ingest scripts to
+ * flag a partial version before anyone verifies it. Returns { ok, versionTag, counts,
+ * activeVersionTag, activeCounts }; ok is true when there is no active version.
+ */
+export async function compareToActiveVersion(client, versionTag, { maxShrink = DEFAULT_MAX_SHRINK } = {}) {
+  const { counts, activeTag, activeCounts } = await countWithActive(client, versionTag);
+  const check = checkCounts(counts, activeCounts, { maxShrink }).find((c) => c.name === "compared_to_active");
+  return { ok: check ? check.ok : true, versionTag, counts, activeVersionTag: activeCounts ? activeTag : null, activeCounts };
+}
+
+/**
+ * Self-retrieval on a deterministic sample of chunks: each sample's own text must
+ * bring it back in the top 10 of the version's hybrid search.
+ */
+async function checkSampleRetrieval(client, versionTag, { embed, search, sampleSize, minHitRate }) {
+  const { rows } = await client.query(
+    `
+      SELECT id, law, section, title, text
+      FROM law_chunks
+      WHERE version_tag = $1
+      ORDER BY md5(id::text)
+      LIMIT $2
+    `,
+    [versionTag, sampleSize]
+  );
+  const misses = [];
+  for (const sample of rows) {
+    const queryText = [sample.title, String(sample.text || "").slice(0, 300)].filter(Boolean).join(" ");
+    const hits = await search({ queryText, embedding: await embed(queryText), versionTag, limit: 10 });
+    if (!hits.some((h) => String(h.id) === String(sample.id))) {
+      misses.push(`${sample.section || "?"} ${sample.law}`);
+    }
+  }
+  const hitRate = rows.length ? (rows.length - misses.length) / rows.length : 0;
+  return {
+    name: "sample_retrieval",
+    ok: rows.length > 0 && hitRate >= minHitRate,
+    blocking: true,
+    detail: { samples: rows.length, hitRate, misses },
+  };
+}
+
+/**
+ * Verifies a staged version and rebuilds its law_catalog, law_norm_references and
+ * law_definitions rows. Stores the report
+ * on law_dataset_versions and sets status 'verified' or 'failed'.
+ * embed: async (text) => number[]; labelLaws/labelModel: Russian catalog labels (catalogLabels.js).
+ */
+export async function verifyLawVersion(
+  client,
+  versionTag,
+  {
+    embed,
+    labelLaws = null,
+    labelModel = null,
+    search = createHybridLawSearch(client),
+    sampleSize = DEFAULT_SAMPLE_SIZE,
+    minHitRate = DEFAULT_MIN_SAMPLE_HIT_RATE,
+    maxShrink = DEFAULT_MAX_SHRINK,
+  }
+) {
+  const version = await getVersion(client, versionTag);
+  if (!version) throw new Error(`Unknown law version: ${versionTag}`);
+  if (version.status === "active") throw new Error(`Law version ${versionTag} is already active`);
+  if (version.status === "pruned") throw new Error(`Law version ${versionTag} was pruned`);
+
+  const { counts, activeCounts } = await countWithActive(client, versionTag);
+  const checks = checkCounts(counts, activeCounts, { maxShrink });
+
+  if (checks.every((c) => c.ok || !c.blocking)) {
+    checks.push(await checkSampleRetrieval(client, versionTag, { embed, search, sampleSize, minHitRate }));
+  }
+  if (checks.every((c) => c.ok || !c.blocking)) {
+    const catalogLaws = await rebuildLawCatalog(client, { versionTag, embed, labelLaws, labelModel });
+    checks.push({ name: "catalog", ok: catalogLaws === counts.laws, blocking: true, detail: { laws: catalogLaws } });
+  }
+  if (checks.every((c) => c.ok || !c.blocking)) {
+    // A version without any cross-reference is suspicious, but retrieval works without them.
+    const references = await rebuildNormReferences(client, { versionTag });
+    checks.push({ name: "norm_references", ok: references.references > 0, blocking: false, detail: references });
+    const definitions = await rebuildLegalDefinitions(client, { versionTag });
+    checks.push({ name: "legal_definitions", ok: definitions.definitions > 0, blocking: false, detail: definitions });
+  }
+
+  const ok = checks.every((c) => c.ok || !c.blocking);
+  const report = { versionTag, ok, checkedAt: new Date().toISOString(), checks };
+  await client.query(
+    `
+      UPDATE law_dataset_versions
+      SET status = $2, verified_at = CASE WHEN $2 = 'verified' THEN NOW() ELSE verified_at END, verification = $3::jsonb
+      WHERE version_tag = $1
+    `,
+    [versionTag, ok ? "verified" : "failed", JSON.stringify(report)]
+  );
+  return report;
+}
+
+async function switchActiveVersion(client, versionTag, check) {
+  await client.query("BEGIN");
+  try {
+    const version = await getVersion(client, versionTag, { forUpdate: true });
+    check(version);
+    const previous = await getMeta(client, "active_version_tag");
+    await client.query(
+      "UPDATE law_dataset_versions SET status = 'archived' WHERE status = 'active' AND version_tag <> $1",
+      [versionTag]
+    );
+    await client.query(
+      "UPDATE law_dataset_versions SET status = 'active', promoted_at = NOW() WHERE version_tag = $1",
+      [versionTag]
+    );
+    await setMeta(client, "active_version_tag", versionTag);
+    if (previous && previous !== versionTag) await setMeta(client, "previous_active_version_tag", previous);
+    await client.query("COMMIT");
+    return { previous, active: versionTag };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Makes a verified version live. force skips the 'verified' requirement.
+ */
+export async function promoteLawVersion(client, versionTag, { force = false } = {}) {
+  return switchActiveVersion(client, versionTag, (version) => {
+    if (!version) throw new Error(`Unknown law version: ${versionTag}`);
+    if (version.status === "active") throw new Error(`Law version ${versionTag} is already active`);
+    if (version.status !== "verified" && !force) {
+      throw new Error(`Law version ${versionTag} is '${version.status}'; verify it before promoting`);
+    }
+  });
+}
+
+/**
+ * Switches back to the version that was active before the last promote (or to
+ * an explicit archived version). Its chunks must still be retained.
+ */
+export async function rollbackLawVersion(client, { to = "" } = {}) {
+  const target = to || (await getMeta(client, "previous_active_version_tag"));
+  if (!target) throw new Error("No previous law version to roll back to");
+  const { rows } = await client.query("SELECT 1 FROM law_chunks WHERE version_tag = $1 LIMIT 1", [target]);
+  if (!rows.length) throw new Error(`Law version ${target} has no chunks (pruned?)`);
+
+  return switchActiveVersion(client, target, (version) => {
+    if (!version) throw new Error(`Unknown law version: ${target}`);
+    if (version.status === "active") throw new Error(`Law version ${target} is already active`);
+    if (version.status !== "archived" && version.status !== "verified") {
+      throw new Error(`Law version ${target} is '${version.status}' and cannot be reactivated`);
+    }
+  });
+}
@@ -0,0 +1,135 @@
+// src/retrieval/contextExpansion.js (ESM)
+// Optional context around retrieved chunks: the other pieces of the same norm (Abs. 1
+// next to a hit on Abs. 3, the start of a sentence cut by the chunker) and the
+// preceding/following §, within a token budget. Expansion chunks are appended after
+// the hits as sources of their own, so the hits keep their [S#] ids.
+//
+// LEGAL_CONTEXT_EXPANSION_TOKENS   token budget for added chunks (default 0 = off)
+// LEGAL_CONTEXT_NEIGHBOUR_NORMS    norms before/after a hit to draw from (default 1, 0 = same norm only)
+import { estimateTokens } from "../shared/tokens.js";
+
+const DEFAULT_NEIGHBOUR_NORMS = 1;
+
+/**
+ * Expansion candidates of one hit, closest first: pieces of its own norm by distance
+ * in chunk order, then the neighbouring norms (the end of the previous §, the start
+ * of the next one).
+ */
+function candidatesForHit(hit, chunksByNorm, neighbourNorms) {
+  const own = (chunksByNorm.get(`${hit.source}\0${hit.normIndex}`) || [])
+    .filter((c) => c.chunk_index !== hit.chunkIndex)
+    .sort(
+      (a, b) =>
+        Math.abs(a.chunk_index - hit.chunkIndex) - Math.abs(b.chunk_index - hit.chunkIndex) ||
+        a.chunk_index - b.chunk_index
+    )
+    .map((chunk) => ({ chunk, expansion: "sibling" }));
+  const neighbours = [];
+  for (let d = 1; d <= neighbourNorms; d++) {
+    const before = [...(chunksByNorm.get(`${hit.source}\0${hit.normIndex - d}`) || [])].reverse();
+    const after = chunksByNorm.get(`${hit.source}\0${hit.normIndex + d}`) || [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i < before.length) neighbours.push({ chunk: before[i], expansion: "previous_norm" });
+      if (i < after.length) neighbours.push({ chunk: after[i], expansion: "next_norm" });
+    }
+  }
+  return [...own, ...neighbours];
+}
+
+/**
+ * Picks expansion chunks for the hits (sources with id, source, normIndex,
+ * chunkIndex, chunkId) from the fetched chunks (law_chunks rows). Hits take turns,
+ * best hit first, so one long norm cannot use up the whole budget. Chunks that are
+ * already hits or already picked are skipped; a chunk that does not fit the
+ * remaining budget ends that hit's expansion.
+ * Returns [{ ...source fields, expandedFrom, expansion }] in pick order.
+ */
+export function planContextExpansion(hits, chunks, { tokenBudget, neighbourNorms = DEFAULT_NEIGHBOUR_NORMS }) {
+  const chunksByNorm = new Map();
+  for (const c of chunks) {
+    const key = `${c.source}\0${c.norm_index}`;
+    if (!chunksByNorm.has(key)) chunksByNorm.set(key, []);
+    chunksByNorm.get(key).push(c);
+  }
+  for (const list of chunksByNorm.values()) list.sort((a, b) => a.chunk_index - b.chunk_index);
+
+  const expandable = hits.filter((h) => h.source && Number.isInteger(h.normIndex) && Number.isInteger(h.chunkIndex));
+  const queues = expandable.map((hit) => ({ hit, queue: candidatesForHit(hit, chunksByNorm, neighbourNorms) }));
+  const taken = new Set(hits.map((h) => String(h.chunkId)));
+  const picked = [];
+  let remaining = tokenBudget;
+
+  while (queues.some((q) => q.queue.length)) {
+    for (const q of queues) {
+      while (q.queue.length && taken.has(String(q.queue[0].chunk.id))) q.queue.shift();
+      const next = q.queue.shift();
+      if (!next) continue;
+      const cost = estimateTokens(next.chunk.text);
+      if (cost > remaining) {
+        q.queue = [];
+        continue;
+      }
+      remaining -= cost;
+      taken.add(String(next.chunk.id));
+      const c = next.chunk;
+      picked.push({
+        law: c.law,
+        section: c.section,
+        absatz: c.absatz,
+        title: c.title,
+        context: c.context_header,
+        text: c.text,
+        source: c.source,
+        chunkId: c.id,
+        normIndex: c.norm_index,
+        chunkIndex: c.chunk_index,
+        expandedFrom: q.hit.id,
+        expansion: next.expansion,
+      });
+    }
+  }
+  return picked;
+}
+
+/**
+ * Expansion settings from env; null when LEGAL_CONTEXT_EXPANSION_TOKENS is unset or 0.
+ * Returns { tokenBudget, neighbourNorms }.
+ */
+export function contextExpansionConfigFromEnv(env = process.env) {
+  const tokenBudget = Number(env.LEGAL_CONTEXT_EXPANSION_TOKENS || 0);
+  if (!Number.isFinite(tokenBudget) || tokenBudget <= 0) return null;
+  const neighbourNorms = Number(env.LEGAL_CONTEXT_NEIGHBOUR_NORMS ?? DEFAULT_NEIGHBOUR_NORMS);
+  if (!Number.isInteger(neighbourNorms) || neighbourNorms < 0) {
+    throw new Error(`Invalid LEGAL_CONTEXT_NEIGHBOUR_NORMS: ${env.LEGAL_CONTEXT_NEIGHBOUR_NORMS}`);
+  }
+  return { tokenBudget, neighbourNorms };
+}
+
+/**
+ * expand(hits, { versionTag }) -> expansion sources (see planContextExpansion), all
+ * from one query over the hits' norms and their neighbours.
+ */
+export function createContextExpander(pool, { tokenBudget, neighbourNorms = DEFAULT_NEIGHBOUR_NORMS }) {
+  return async function expand(hits, { versionTag }) {
+    const keys = new Map();
+    for (const hit of hits) {
+      if (!hit.source || !Number.isInteger(hit.normIndex)) continue;
+      for (let d = -neighbourNorms; d <= neighbourNorms; d++) {
+        keys.set(`${hit.source}\0${hit.normIndex + d}`, [hit.source, hit.normIndex + d]);
+      }
+    }
+    if (!keys.size || tokenBudget <= 0) return [];
+    const pairs = [...keys.values()];
+    const { rows } = await pool.query(
+      `
+        SELECT c.id, c.law, c.section, c.title, c.absatz, c.context_header, c.text, c.source, c.norm_index, c.chunk_index
+        FROM law_chunks c
+        JOIN unnest($2::text[], $3::int[]) AS k(source, norm_index)
+          ON c.source = k.source AND c.norm_index = k.norm_index
+        WHERE c.version_tag = $1
+      `,
+      [versionTag, pairs.map((p) => p[0]), pairs.map((p) => p[1])]
+    );
+    return planContextExpansion(hits, rows, { tokenBudget, neighbourNorms });
+  };
+}
@@ -0,0 +1,150 @@
+// src/retrieval/hybridSearch.js (ESM)
+
+const DEFAULT_RRF_K = 60;
+const MAX_LEXICAL_TERMS = 32;
+
+/**
+ * Builds an OR-combined to_tsquery() expression from free text.
+ * Only letters/digits survive, so user input can never break tsquery syntax.
+ * "§ 622 BGB" -> "622 | bgb"
+ */
+export function buildLexicalQuery(text = "") {
+  const terms = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!terms) return "";
+  return [...new Set(terms)].slice(0, MAX_LEXICAL_TERMS).join(" | ");
+}
+
+/**
+ * Reciprocal rank fusion over several ranked lists of law_chunks rows.
+ * lists: [{ name: "vector", weight: 1, rows: [{ id, score, ... }] }, ...]
+ * Every fused row keeps `${name}Score` / `${name}Rank` (null if the list missed it),
+ * `score` is the fused RRF value. A list with weight 0 is switched off and ignored.
+ */
+export function fuseRankedLists(lists, { k = DEFAULT_RRF_K, limit } = {}) {
+  const byId = new Map();
+
+  for (const list of lists || []) {
+    const weight = Number.isFinite(list?.weight) ? list.weight : 1;
+    if (weight <= 0) continue;
+    (list?.rows || []).forEach((row, index) => {
+      const key = String(row.id);
+      if (!byId.has(key)) {
+        const base = { ...row, score: 0 };
+        for (const l of lists) {
+          base[`${l.name}Score`] = null;
+          base[`${l.name}Rank`] = null;
+        }
+        byId.set(key, base);
+      }
+      const fused = byId.get(key);
+      const rank = index + 1;
+      fused[`${list.name}Score`] = row.score;
+      fused[`${list.name}Rank`] = rank;
+      fused.score += weight / (k + rank);
+    });
+  }
+
+  const out = [...byId.values()].sort((a, b) => b.score - a.score);
+  return Number.isFinite(limit) && limit > 0 ? out.slice(0, limit) : out;
+}
+
+function roundScore(value, digits = 4) {
+  return typeof value === "number" ? Number(value.toFixed(digits)) : value;
+}
+
+/**
+ * Hybrid (pgvector cosine + German full-text) search over law_chunks. Cosine matches
+ * the vector_cosine_ops indexes on law_chunks and law_catalog.
+ */
+export function createHybridLawSearch(
+  pool,
+  {
+    rrfK = Number(process.env.LEGAL_HYBRID_RRF_K || DEFAULT_RRF_K),
+    vectorWeight = Number(process.env.LEGAL_HYBRID_VECTOR_WEIGHT ?? 1),
+    lexicalWeight = Number(process.env.LEGAL_HYBRID_LEXICAL_WEIGHT ?? 1),
+    candidateMultiplier = Number(process.env.LEGAL_HYBRID_CANDIDATE_MULTIPLIER || 4),
+  } = {}
+) {
+  // 0 switches a list off; anything else that is not a non-negative number is a config error.
+  for (const [name, weight] of [
+    ["LEGAL_HYBRID_VECTOR_WEIGHT", vectorWeight],
+    ["LEGAL_HYBRID_LEXICAL_WEIGHT", lexicalWeight],
+  ]) {
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Invalid ${name}: ${weight}`);
+  }
+  if (vectorWeight === 0 && lexicalWeight === 0) {
+    throw new Error("LEGAL_HYBRID_VECTOR_WEIGHT and LEGAL_HYBRID_LEXICAL_WEIGHT cannot both be 0");
+  }
+
+  async function vectorSearch({ vectorLiteral, versionTag, lawCodes, limit }) {
+    const { rows } = await pool.query(
+      `
+        SELECT id, law, section, title, absatz, context_header, text, source, norm_index, chunk_index,
+          1 - (embedding <=> $1::vector) AS score
+        FROM law_chunks
+        WHERE ($2::text IS NULL OR version_tag = $2)
+          AND (
+            COALESCE(array_length($4::text[], 1), 0) = 0
+            OR law = ANY($4::text[])
+          )
+        ORDER BY embedding <=> $1::vector
+        LIMIT $3
+      `,
+      [vectorLiteral, versionTag, limit, lawCodes]
+    );
+    return rows;
+  }
+
+  async function lexicalSearch({ tsQuery, versionTag, lawCodes, limit }) {
+    if (!tsQuery) return [];
+    const { rows } = await pool.query(
+      `
+        SELECT id, law, section, title, absatz, context_header, text, source, norm_index, chunk_index,
+          ts_rank_cd(tsv, q) AS score
+        FROM law_chunks, to_tsquery('german', $1) q
+        WHERE tsv @@ q
+          AND ($2::text IS NULL OR version_tag = $2)
+          AND (
+            COALESCE(array_length($4::text[], 1), 0) = 0
+            OR law = ANY($4::text[])
+          )
+        ORDER BY score DESC
+        LIMIT $3
+      `,
+      [tsQuery, versionTag, limit, lawCodes]
+    );
+    return rows;
+  }
+
+  return async function hybridSearch({ queryText, embedding, versionTag = null, lawCodes = [], limit = 5 }) {
+    const candidates = Math.max(limit * candidateMultiplier, limit);
+    const lawCodeFilter = Array.isArray(lawCodes) ? [...new Set(lawCodes.filter(Boolean))] : [];
+    const tsQuery = lexicalWeight > 0 ? buildLexicalQuery(queryText) : "";
+
+    const [vectorRows, lexicalRows] = await Promise.all([
+      vectorWeight > 0
+        ? vectorSearch({ vectorLiteral: `[${embedding.join(",")}]`, versionTag, lawCodes: lawCodeFilter, limit: candidates })
+        : [],
+      lexicalSearch({ tsQuery, versionTag, lawCodes: lawCodeFilter, limit: candidates }).catch((error) => {
+        // Missing tsv column (schema not migrated yet) must not take vector retrieval down.
+        console.warn("LAW_LEXICAL_SEARCH_FAILED", error?.message || error);
+        return [];
+      }),
+    ]);
+
+    return fuseRankedLists(
+      [
+        { name: "vector", weight: vectorWeight, rows: vectorRows },
+        { name: "lexical", weight: lexicalWeight, rows: lexicalRows },
+      ],
+      { k: rrfK, limit }
+    ).map((r) => ({
+      ...r,
+      score: roundScore(r.score, 6),
+      vectorScore: roundScore(r.vectorScore),
+      lexicalScore: roundScore(r.lexicalScore),
+    }));
+  };
+}
@@ -0,0 +1,94 @@
+// src/retrieval/legalDomains.js (ESM)
+// Topic classification for retrieval: kb/legal-domains.json lists the legal domains
+// (labor, tenancy, Jobcenter, traffic fines, ...) with RU/DE trigger patterns, German
+// hint terms and the law codes retrieval should prefer for them.
+import fs from "fs/promises";
+
+export const GENERAL_DOMAIN_ID = "general";
+
+function compilePattern(domainId, source) {
+  try {
+    return new RegExp(source, "iu");
+  } catch (error) {
+    throw new Error(`Legal domain ${domainId}: invalid pattern ${JSON.stringify(source)} (${error.message})`);
+  }
+}
+
+function stringList(value) {
+  return (Array.isArray(value) ? value : []).map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes the domains file ({ id: { label, patterns, hints, ... } }) into a list in
+ * file order, which also breaks classification ties. Patterns are compiled once here.
+ */
+export function parseLegalDomains(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Legal domains must be an object keyed by domain id");
+  }
+  const domains = Object.entries(raw).map(([id, d]) => ({
+    id,
+    label: d.label || id,
+    pack: d.pack || null,
+    patterns: stringList(d.patterns).map((p) => compilePattern(id, p)),
+    hints: (Array.isArray(d.hints) ? d.hints : []).map((h) => ({
+      pattern: compilePattern(id, h.pattern),
+      terms: stringList(h.terms),
+    })),
+    baseTerms: stringList(d.baseTerms),
+    lawCodes: stringList(d.lawCodes),
+    fallbackTerms: stringList(d.fallbackTerms),
+    documentRequest: String(d.documentRequest || "").trim(),
+  }));
+  if (!domains.some((d) => d.id === GENERAL_DOMAIN_ID)) {
+    throw new Error(`Legal domains need a "${GENERAL_DOMAIN_ID}" entry for unclassified questions`);
+  }
+  return domains;
+}
+
+export async function loadLegalDomains(filePath) {
+  return parseLegalDomains(JSON.parse(await fs.readFile(filePath, "utf8")));
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Scores every domain by the number of its patterns (and law codes, e.g. "BUrlG")
+ * found in the text and returns the best one; ties go to the earlier domain.
+ * Without any hit the "general" domain is returned with score 0.
+ * Returns { domain, score, candidates: [{ id, score }] } (candidates with score > 0).
+ */
+export function classifyLegalDomain(text, domains) {
+  const t = String(text || "");
+  const candidates = [];
+  for (const domain of domains) {
+    if (domain.id === GENERAL_DOMAIN_ID) continue;
+    let score = domain.patterns.filter((re) => re.test(t)).length;
+    score += domain.lawCodes.filter((code) => new RegExp(`\\b${escapeRegExp(code)}\\b`).test(t)).length;
+    if (score > 0) candidates.push({ domain, score });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0];
+  return {
+    domain: best ? best.domain : domains.find((d) => d.id === GENERAL_DOMAIN_ID),
+    score: best ? best.score : 0,
+    candidates: candidates.map((c) => ({ id: c.domain.id, score: c.score })),
+  };
+}
+
+/**
+ * German hint terms of the domain's hints that match the text, without duplicates.
+ */
+export function matchDomainHints(text, domain) {
+  const t = String(text || "");
+  const terms = [];
+  for (const hint of domain?.hints || []) {
+    if (!hint.pattern.test(t)) continue;
+    for (const term of hint.terms) {
+      if (!terms.includes(term)) terms.push(term);
+    }
+  }
+  return terms;
+}
@@ -0,0 +1,474 @@
+// src/retrieval/legalRetrieval.js (ESM)
+// The one retrieval service behind /chat and /api/legal: served dataset version,
+// cited-norm lookup, law catalog routing, domain enrichment, query rewriting and the
+// cosine hybrid search, ending in LEGAL_SOURCES with [S#] ids and their norm allowlist.
+// Both endpoints go through retrieve(), so they cannot disagree on version, metric or
+// which norms may be cited. With a reranker (rerank.js) every query over-fetches
+// candidates and only the reranked best topK are kept. The hits can be followed by the
+// norms they refer to (law_norm_references, one hop), the definitions of terms they or
+// the question use (law_definitions) and neighbouring chunks of their norms
+// (contextExpansion.js).
+import { buildNormAllowlist } from "../guards/citationGuard.js";
+import { createLegalDefinitions } from "../laws/legalDefinitions.js";
+import { createNormReferences } from "../laws/normReferences.js";
+import { createContextExpander } from "./contextExpansion.js";
+import { createHybridLawSearch } from "./hybridSearch.js";
+import { buildFallbackQuery, buildLegalBasisQuery, isLegalBasisRequest } from "./legalBasisQuery.js";
+import { classifyLegalDomain, GENERAL_DOMAIN_ID } from "./legalDomains.js";
+import { createNormLookup } from "./normLookup.js";
+import { rerankSources } from "./rerank.js";
+
+const DEFAULT_TOP_K = 5;
+const LEGAL_BASIS_TOP_K = 10;
+const CONTEXT_TOP_K = 6;
+const FALLBACK_TOP_K = 14;
+
+/**
+ * Concatenates two source lists, dropping repeats of the same law/section/text.
+ */
+export function mergeLegalSourcesUnique(primary = [], secondary = []) {
+  const merged = [];
+  const seen = new Set();
+  for (const src of [...primary, ...secondary]) {
+    const key = [
+      src?.law || "",
+      src?.section || "",
+      src?.title || "",
+      String(src?.text || "").slice(0, 300),
+    ].join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(src);
+  }
+  return merged;
+}
+
+function toLegalSource(row) {
+  return {
+    law: row.law,
+    section: row.section,
+    absatz: row.absatz,
+    title: row.title,
+    context: row.context_header,
+    text: row.text,
+    source: row.source,
+    score: row.score,
+    chunkId: row.id,
+    normIndex: row.norm_index,
+    chunkIndex: row.chunk_index,
+  };
+}
+
+/**
+ * Round-robin over several ranked lists (first of each, then second of each, ...),
+ * so a cap on the merged list does not cut off whole queries.
+ */
+function interleave(lists) {
+  const out = [];
+  const longest = Math.max(0, ...lists.map((l) => l.length));
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) {
+      if (i < list.length) out.push(list[i]);
+    }
+  }
+  return out;
+}
+
+function withSourceIds(sources) {
+  return sources.map((src, index) => ({ ...src, id: `S${index + 1}` }));
+}
+
+/**
+ * LEGAL_SOURCES as the model sees them: only the fields it may quote, without scores,
+ * chunk ids, file names or expansion markers.
+ */
+export function promptSources(sources) {
+  return sources.map(({ id, law, section, absatz, title, context, text }) => ({
+    id,
+    law,
+    section,
+    absatz,
+    title,
+    context,
+    text,
+  }));
+}
+
+/**
+ * pool: pg Pool (null without a database: every lookup then returns nothing).
+ * llm: provider for embeddings; legalDomains: parsed kb/legal-domains.json;
+ * rewriteQuery: optional queryRewrite.js rewriter; rerank: optional
+ * { reranker, candidates, minScore } from rerank.js (rerankConfigFromEnv);
+ * referenceNorms: how many norms referenced by the hits to add (0 = none);
+ * maxDefinitions: how many Legaldefinitionen to add (0 = none);
+ * contextExpansion: optional { tokenBudget, neighbourNorms } (contextExpansionConfigFromEnv).
+ */
+export function createLegalRetrieval({
+  pool,
+  llm,
+  legalDomains,
+  rewriteQuery = null,
+  rerank = null,
+  referenceNorms = 0,
+  maxDefinitions = 0,
+  contextExpansion = null,
+  defaultTopK = DEFAULT_TOP_K,
+}) {
+  const hybridSearch = pool ? createHybridLawSearch(pool) : null;
+  const lookupCitedNorms = pool ? createNormLookup(pool) : null;
+  const normReferences = pool && referenceNorms > 0 ? createNormReferences(pool) : null;
+  const legalDefinitions = pool && maxDefinitions > 0 ? createLegalDefinitions(pool) : null;
+  const expandContext = pool && contextExpansion ? createContextExpander(pool, contextExpansion) : null;
+
+  async function embedText(text) {
+    const [embedding] = await llm.embed(String(text || ""));
+    return Array.isArray(embedding) ? embedding : null;
+  }
+
+  // Staged versions ('loading', 'verified', 'failed') are never served: without a usable
+  // active version the newest promoted one is used, and only chunks of untracked
+  // (pre-lifecycle) versions count as a last resort.
+  async function getEffectiveVersionTag() {
+    if (!pool) return null;
+    const { rows } = await pool.query(`
+      WITH active_version AS (
+        SELECT value AS version_tag
+        FROM law_dataset_meta
+        WHERE key = 'active_version_tag'
+      )
+      SELECT COALESCE(
+        (
+          SELECT version_tag
+          FROM active_version
+          WHERE EXISTS (SELECT 1 FROM law_chunks c WHERE c.version_tag = active_version.version_tag)
+        ),
+        (
+          SELECT v.version_tag
+          FROM law_dataset_versions v
+          WHERE v.status IN ('active', 'archived')
+            AND EXISTS (SELECT 1 FROM law_chunks c WHERE c.version_tag = v.version_tag)
+          ORDER BY (v.status = 'active') DESC, v.promoted_at DESC NULLS LAST, v.imported_at DESC
+          LIMIT 1
+        ),
+        (
+          SELECT MAX(c.version_tag)
+          FROM law_chunks c
+          WHERE NOT EXISTS (SELECT 1 FROM law_dataset_versions v WHERE v.version_tag = c.version_tag)
+        )
+      ) AS version_tag
+    `);
+    return rows[0]?.version_tag || null;
+  }
+
+  async function retrieveLegalSources(queryText, { topK, lawCodes, versionTag } = {}) {
+    if (!queryText || !hybridSearch) return [];
+    const limit = Number.isFinite(topK) && topK > 0 ? topK : defaultTopK;
+    const embedding = await embedText(queryText);
+    if (!embedding) return [];
+
+    const lawCodeFilter = Array.isArray(lawCodes) ? [...new Set(lawCodes.filter(Boolean))] : [];
+    const rows = await hybridSearch({
+      queryText,
+      embedding,
+      versionTag: versionTag || (await getEffectiveVersionTag()),
+      lawCodes: lawCodeFilter,
+      limit,
+    });
+
+    if (!rows.length) {
+      console.warn("LAW_RETRIEVAL_EMPTY", {
+        querySample: String(queryText).slice(0, 200),
+        topK: limit,
+        lawCodes: lawCodeFilter,
+      });
+    }
+    return rows.map((r) => ({ ...toLegalSource(r), vectorScore: r.vectorScore, lexicalScore: r.lexicalScore }));
+  }
+
+  /**
+   * law_chunks rows for norms cited explicitly in the question ("§ 7 Abs. 4 BUrlG").
+   * They go into LEGAL_SOURCES ahead of any semantic results.
+   */
+  async function retrieveCitedNormSources(questionText, { versionTag } = {}) {
+    if (!questionText || !lookupCitedNorms) return [];
+    try {
+      const rows = await lookupCitedNorms(questionText, { versionTag: versionTag || (await getEffectiveVersionTag()) });
+      return rows.map((r) => ({ ...toLegalSource(r), matchType: r.matchType }));
+    } catch (error) {
+      console.warn("LAW_DIRECT_LOOKUP_FAILED", error?.message || error);
+      return [];
+    }
+  }
+
+  async function selectTopLawCodes(queryText, { topN = 3, versionTag = null } = {}) {
+    if (!pool) return [];
+    const catalogVersionTag = versionTag || (await getEffectiveVersionTag());
+    if (!catalogVersionTag) return [];
+    const embedding = await embedText(queryText);
+    if (!embedding) return [];
+    try {
+      const { rows } = await pool.query(
+        `
+          SELECT law_code
+          FROM law_catalog
+          WHERE version_tag = $3
+          ORDER BY embedding <=> $1::vector
+          LIMIT $2
+        `,
+        [`[${embedding.join(",")}]`, topN, catalogVersionTag]
+      );
+      return rows.map((r) => r.law_code).filter(Boolean);
+    } catch (error) {
+      console.warn("LAW_CATALOG_LOOKUP_FAILED", error?.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Reranks the candidates of all query runs down to topK. A failing reranker is
+   * logged and the runs are cut to their usual sizes instead.
+   */
+  async function rerankRuns(runs, runTopK, { query, topK, logContext }) {
+    const candidates = mergeLegalSourcesUnique([], interleave(runs)).slice(0, rerank.candidates);
+    if (!candidates.length) return [];
+    try {
+      const { sources, ranks } = await rerankSources(rerank.reranker, query, candidates, {
+        topK,
+        minScore: rerank.minScore,
+      });
+      console.log("LAW_RERANK", {
+        ...logContext,
+        reranker: rerank.reranker.name,
+        candidates: candidates.length,
+        kept: sources.length,
+        minScore: rerank.minScore,
+        ranks,
+      });
+      return sources;
+    } catch (error) {
+      console.warn("LAW_RERANK_FAILED", error?.message || error);
+      return runs.reduce((merged, run, index) => mergeLegalSourcesUnique(merged, run.slice(0, runTopK(index))), []);
+    }
+  }
+
+  /**
+   * Norms the hits refer to ("§ 626 gilt entsprechend"), appended after them with the
+   * id of the citing source. A failing lookup is logged and the hits are used as they are.
+   */
+  async function addReferencedNorms(sourcesWithIds, { versionTag }) {
+    try {
+      const rows = await normReferences.referencesFrom(sourcesWithIds, {
+        versionTag: versionTag || (await getEffectiveVersionTag()),
+        limit: referenceNorms,
+      });
+      const referenced = rows.map((r) => ({
+        ...toLegalSource(r),
+        expandedFrom: sourcesWithIds.find((s) => s.source === r.from_source && s.normIndex === r.from_norm_index)?.id,
+        expansion: "reference",
+        citedAs: r.cited_as,
+      }));
+      return withSourceIds(mergeLegalSourcesUnique(sourcesWithIds, referenced));
+    } catch (error) {
+      console.warn("LAW_REFERENCE_LOOKUP_FAILED", error?.message || error);
+      return sourcesWithIds;
+    }
+  }
+
+  /**
+   * Definitions of terms used in the question or the sources, appended after them.
+   * A failing lookup is logged and the sources are used as they are.
+   */
+  async function addDefinitions(sourcesWithIds, { questionText, versionTag }) {
+    try {
+      const definitions = await legalDefinitions.definitionsFor({
+        questionText,
+        sources: sourcesWithIds,
+        versionTag: versionTag || (await getEffectiveVersionTag()),
+        maxDefinitions,
+      });
+      return withSourceIds(mergeLegalSourcesUnique(sourcesWithIds, definitions));
+    } catch (error) {
+      console.warn("LAW_DEFINITIONS_LOOKUP_FAILED", error?.message || error);
+      return sourcesWithIds;
+    }
+  }
+
+  /**
+   * Neighbouring chunks of the hits, appended after them so the hits keep their ids.
+   * A failing lookup is logged and the hits are used as they are.
+   */
+  async function expandSources(sourcesWithIds, { versionTag }) {
+    try {
+      const expansion = await expandContext(sourcesWithIds, {
+        versionTag: versionTag || (await getEffectiveVersionTag()),
+      });
+      return withSourceIds(mergeLegalSourcesUnique(sourcesWithIds, expansion));
+    } catch (error) {
+      console.warn("LAW_CONTEXT_EXPANSION_FAILED", error?.message || error);
+      return sourcesWithIds;
+    }
+  }
+
+  /**
+   * LEGAL_SOURCES for one question.
+   * question: the user's text as typed (norm lookup, legal-basis detection);
+   * sanitizedQuestion / documentText: PII-redacted input for the query rewriter;
+   * context: earlier facts of the dialogue; carriedSources: sources cited in earlier answers.
+   * logContext is merged into the CITATION_GUARD_ALLOWLIST log line.
+   */
+  async function retrieve({
+    question,
+    sanitizedQuestion = question,
+    documentText = "",
+    context = "",
+    carriedSources = [],
+    versionTag = null,
+    logContext = {},
+  }) {
+    // Follow-ups ("а если договор был срочный?") are retrieved together with the earlier facts.
+    const contextualText = context ? `${context}\n${question}` : question;
+    const legalBasisMode = isLegalBasisRequest(question);
+    const { domain: legalDomain, candidates: legalDomainCandidates } = classifyLegalDomain(
+      contextualText,
+      legalDomains
+    );
+    const retrievalQuery = legalBasisMode ? buildLegalBasisQuery(contextualText, legalDomain) : contextualText;
+    const topK = legalBasisMode ? LEGAL_BASIS_TOP_K : CONTEXT_TOP_K;
+    const queryRewrite = rewriteQuery
+      ? await rewriteQuery({
+          question: sanitizedQuestion,
+          documentText,
+          context,
+          domainLabel: legalDomain.id === GENERAL_DOMAIN_ID ? "" : legalDomain.label,
+        })
+      : null;
+    const rewrittenQueries = queryRewrite?.queries || [];
+    const lawCatalogTopLawCodes = legalBasisMode
+      ? await selectTopLawCodes([retrievalQuery, ...rewrittenQueries].join(" | "), { topN: 3, versionTag })
+      : [];
+    // The catalog's picks plus the preferred laws of the detected domain and of the rewrite;
+    // empty searches all laws.
+    const retrievalLawCodes = legalBasisMode
+      ? [...new Set([...lawCatalogTopLawCodes, ...legalDomain.lawCodes, ...(queryRewrite?.lawCodes || [])])]
+      : [];
+    const citedNormSources = await retrieveCitedNormSources(question, { versionTag });
+    // One retrieval per query: the (enriched) question first, then each German rewrite.
+    const runTopK = (index) => (index === 0 ? topK : Math.ceil(topK / 2));
+    const retrievalRuns = await Promise.all(
+      [retrievalQuery, ...rewrittenQueries].map((queryText, index) =>
+        retrieveLegalSources(queryText, {
+          topK: rerank ? Math.max(rerank.candidates, runTopK(index)) : runTopK(index),
+          lawCodes: retrievalLawCodes,
+          versionTag,
+        })
+      )
+    );
+    const retrieved = rerank
+      ? await rerankRuns(retrievalRuns, runTopK, {
+          query: [context, sanitizedQuestion].filter(Boolean).join("\n"),
+          topK,
+          logContext,
+        })
+      : retrievalRuns.reduce((merged, sources) => mergeLegalSourcesUnique(merged, sources), []);
+    let legalSources = mergeLegalSourcesUnique(citedNormSources, retrieved);
+    // Sources cited in earlier answers stay in LEGAL_SOURCES, so follow-up citations remain valid.
+    // Only those from the same dataset version: an as_of switch must not mix texts of two versions.
+    const carried = carriedSources.filter((s) => !s.versionTag || !versionTag || s.versionTag === versionTag);
+    legalSources = mergeLegalSourcesUnique(legalSources, carried);
+    let legalSourcesWithIds = withSourceIds(legalSources);
+    let normAllowlist = buildNormAllowlist(legalSourcesWithIds);
+
+    let fallbackRetrievalUsed = false;
+    if (legalBasisMode && normAllowlist.allowedNorms.size === 0) {
+      // Second pass on the domain's core terms; unclassified questions retry unfiltered.
+      const fallbackQuery = buildFallbackQuery(legalDomain) || contextualText;
+      const fallbackSources = await retrieveLegalSources(fallbackQuery, {
+        topK: FALLBACK_TOP_K,
+        lawCodes: legalDomain.lawCodes,
+        versionTag,
+      });
+      legalSources = mergeLegalSourcesUnique(legalSources, fallbackSources);
+      legalSourcesWithIds = withSourceIds(legalSources);
+      normAllowlist = buildNormAllowlist(legalSourcesWithIds);
+      fallbackRetrievalUsed = true;
+    }
+
+    let referencedSourcesCount = 0;
+    if (normReferences && legalSourcesWithIds.length) {
+      const hitsCount = legalSourcesWithIds.length;
+      legalSourcesWithIds = await addReferencedNorms(legalSourcesWithIds, { versionTag });
+      referencedSourcesCount = legalSourcesWithIds.length - hitsCount;
+      normAllowlist = buildNormAllowlist(legalSourcesWithIds);
+    }
+
+    let definitionSourcesCount = 0;
+    if (legalDefinitions) {
+      const sourcesCount = legalSourcesWithIds.length;
+      legalSourcesWithIds = await addDefinitions(legalSourcesWithIds, {
+        questionText: [contextualText, ...rewrittenQueries].join("\n"),
+        versionTag,
+      });
+      definitionSourcesCount = legalSourcesWithIds.length - sourcesCount;
+      normAllowlist = buildNormAllowlist(legalSourcesWithIds);
+    }
+
+    let expandedSourcesCount = 0;
+    if (expandContext && legalSourcesWithIds.length) {
+      const hitsCount = legalSourcesWithIds.length;
+      legalSourcesWithIds = await expandSources(legalSourcesWithIds, { versionTag });
+      expandedSourcesCount = legalSourcesWithIds.length - hitsCount;
+      normAllowlist = buildNormAllowlist(legalSourcesWithIds);
+    }
+
+    console.log("CITATION_GUARD_ALLOWLIST", {
+      ...logContext,
+      timestamp: new Date().toISOString(),
+      legalSourcesCount: legalSourcesWithIds.length,
+      allowedNormsCount: normAllowlist.allowedNorms.size,
+      allowedNormsPreview: [...normAllowlist.allowedNorms].slice(0, 10),
+      retrievalMode: legalBasisMode ? "legal_basis_enriched" : "default",
+      retrievalTopK: topK,
+      reranked: Boolean(rerank),
+      legalDomain: legalDomain.id,
+      legalDomainCandidates,
+      queryRewrite,
+      lawCatalogTopLawCodes,
+      retrievalLawCodes,
+      citedNormSourcesCount: citedNormSources.length,
+      carriedSourcesCount: carried.length,
+      lawVersionTag: versionTag,
+      fallbackRetrievalUsed,
+      referencedSourcesCount,
+      definitionSourcesCount,
+      expandedSourcesCount,
+      sourcesPreview: legalSourcesWithIds.slice(0, 5).map((s) => ({
+        id: s.id,
+        law: s.law,
+        section: s.section,
+        title: s.title,
+        score: s.score,
+        vectorScore: s.vectorScore,
+        lexicalScore: s.lexicalScore,
+        rerankScore: s.rerankScore,
+      })),
+      sourceIds: legalSourcesWithIds.map((s) => s.id),
+    });
+
+    return {
+      legalBasisMode,
+      legalDomain,
+      queryRewrite,
+      legalSourcesWithIds,
+      normAllowlist,
+      fallbackRetrievalUsed,
+    };
+  }
+
+  return {
+    getEffectiveVersionTag,
+    retrieveLegalSources,
+    retrieveCitedNormSources,
+    selectTopLawCodes,
+    retrieve,
+  };
+}
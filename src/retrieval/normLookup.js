@@ -0,0 +1,97 @@
+// src/retrieval/normLookup.js (ESM)
+import { extractNorms } from "../guards/citationGuard.js";
+
+const NORM_PARTS_RE =
+  /^(§|Art\.)\s*(\d+[a-zA-Z]*)(?:\s+(?:Abs\.|Absatz)\s*(\d+[a-zA-Z]*))?.*?(?:\s+([A-ZÄÖÜ][A-Za-zÄÖÜäöü]+(?:\s+(?:[IVX]{1,4}|\d{1,3}))?))?$/;
+
+const ROMAN = { I: 1, V: 5, X: 10 };
+
+function romanToArabic(roman) {
+  let total = 0;
+  for (let i = 0; i < roman.length; i++) {
+    const cur = ROMAN[roman[i]];
+    const next = ROMAN[roman[i + 1]] || 0;
+    total += cur < next ? -cur : cur;
+  }
+  return total;
+}
+
+/**
+ * Law code spellings as they may appear in law_chunks.law (jurabk).
+ * "SGB II" is stored as "SGB 2" by gesetze-im-internet.
+ */
+export function lawCodeVariants(law) {
+  const base = String(law || "").trim();
+  return [...new Set([base.toLowerCase(), normalizeLawCode(base).toLowerCase()])];
+}
+
+/**
+ * Law code as stored in law_chunks.law: "SGB II" -> "SGB 2", other codes unchanged.
+ */
+export function normalizeLawCode(law) {
+  const base = String(law || "").trim();
+  const roman = base.match(/^(.*\S)\s+([IVX]{1,4})$/);
+  return roman ? `${roman[1]} ${romanToArabic(roman[2])}` : base;
+}
+
+/**
+ * Splits a normalized norm ("§ 7 Abs. 4 BUrlG") into its parts.
+ * Returns null when the citation carries no law code, since "§ 7" alone is ambiguous.
+ */
+export function parseNormCitation(norm) {
+  const m = String(norm || "").trim().match(NORM_PARTS_RE);
+  if (!m || !m[4]) return null;
+  return {
+    norm,
+    section: `${m[1]} ${m[2]}`,
+    absatz: m[3] || null,
+    law: m[4],
+  };
+}
+
+/**
+ * Explicit citations in free text, parsed with the citation guard's NORM_REGEX.
+ */
+export function parseCitedNorms(text = "") {
+  return extractNorms(String(text || ""))
+    .map(parseNormCitation)
+    .filter(Boolean);
+}
+
+/**
+ * Fetches law_chunks rows for norms the user cited explicitly (law + section match),
+ * so they reach LEGAL_SOURCES regardless of embedding similarity.
+ */
+export function createNormLookup(pool, { maxNorms = 5, maxChunksPerNorm = 6 } = {}) {
+  return async function lookupCitedNorms(text, { versionTag = null } = {}) {
+    const citations = parseCitedNorms(text).slice(0, maxNorms);
+    if (!citations.length) return [];
+
+    const out = [];
+    for (const citation of citations) {
+      const { rows } = await pool.query(
+        `
+          SELECT id, law, section, title, absatz, context_header, text, source, norm_index, chunk_index
+          FROM law_chunks
+          WHERE ($1::text IS NULL OR version_tag = $1)
+            AND lower(law) = ANY($2::text[])
+            AND lower(regexp_replace(section, '\\s+', ' ', 'g')) = lower($3)
+          ORDER BY COALESCE(absatz = $5, false) DESC, id
+          LIMIT $4
+        `,
+        [versionTag, lawCodeVariants(citation.law), citation.section, maxChunksPerNorm, citation.absatz]
+      );
+      for (const r of rows) {
+        out.push({ ...r, score: 1, matchType: "direct", citedAs: citation.norm });
+      }
+    }
+
+    if (out.length) {
+      console.log("LAW_DIRECT_LOOKUP", {
+        citations: citations.map((c) => c.norm),
+        rows: out.length,
+      });
+    }
+    return out;
+  };
+}
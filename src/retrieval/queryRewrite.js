@@ -0,0 +1,100 @@
+// src/retrieval/queryRewrite.js (ESM)
+// Query rewriting before retrieval: users ask in Russian, law_chunks is German. The
+// chat model turns the question (plus document text and dialogue context) into
+// German legal search queries, the likely Rechtsgebiet and candidate law codes.
+import { normalizeLawCode } from "./normLookup.js";
+
+const DEFAULT_MAX_QUERIES = 3;
+const DEFAULT_MAX_LAW_CODES = 5;
+const DEFAULT_MAX_DOCUMENT_CHARS = 2000;
+const MAX_QUERY_CHARS = 300;
+const LAW_CODE_RE = /^[A-ZÄÖÜ][A-Za-zÄÖÜäöüß-]{1,20}(?: (?:\d{1,3}|[IVX]{1,4}))?$/;
+
+const REWRITE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    queries: { type: "array", items: { type: "string" } },
+    rechtsgebiet: { type: "string" },
+    law_codes: { type: "array", items: { type: "string" } },
+  },
+  required: ["queries", "rechtsgebiet", "law_codes"],
+};
+
+const REWRITE_SYSTEM = `You prepare search queries for a database of German federal law texts (gesetze-im-internet.de).
+The user writes in Russian (sometimes German) about a legal problem in Germany.
+Return ONLY JSON:
+- queries: 1-3 short German search queries in the language of the statutes (legal terms, not a translation of the story), most important first;
+- rechtsgebiet: the German area of law, e.g. "Arbeitsrecht", "Mietrecht", "Sozialrecht (SGB II)", "Verkehrsrecht";
+- law_codes: up to 5 official abbreviations of the laws most likely to apply (e.g. "BGB", "KSchG", "SGB II", "StVO").
+Do not cite paragraphs you are not sure exist. Do not include names, addresses or other personal data.`;
+
+/**
+ * Trims, drops empty and duplicate entries (case-insensitively) and caps the list.
+ */
+function cleanList(values, limit, map = (v) => v) {
+  const seen = new Set();
+  const out = [];
+  for (const value of Array.isArray(values) ? values : []) {
+    const v = map(String(value || "").replace(/\s+/g, " ").trim());
+    if (!v || seen.has(v.toLowerCase())) continue;
+    seen.add(v.toLowerCase());
+    out.push(v);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Validates the model output: at most maxQueries queries of reasonable length, law
+ * codes that look like official abbreviations, normalized as stored ("SGB II" -> "SGB 2").
+ */
+export function normalizeRewrite(raw, { maxQueries = DEFAULT_MAX_QUERIES, maxLawCodes = DEFAULT_MAX_LAW_CODES } = {}) {
+  return {
+    queries: cleanList(raw?.queries, maxQueries).filter((q) => q.length <= MAX_QUERY_CHARS),
+    rechtsgebiet: String(raw?.rechtsgebiet || "").trim().slice(0, 120),
+    lawCodes: cleanList(
+      (Array.isArray(raw?.law_codes) ? raw.law_codes : []).filter((c) => LAW_CODE_RE.test(String(c || "").trim())),
+      maxLawCodes,
+      normalizeLawCode
+    ),
+  };
+}
+
+/**
+ * rewriteQuery({ question, documentText, context, domainLabel }) ->
+ * { queries, rechtsgebiet, lawCodes }, or null when the model call fails (retrieval
+ * then runs on the original question alone).
+ */
+export function createQueryRewriter(
+  llm,
+  {
+    maxQueries = DEFAULT_MAX_QUERIES,
+    maxLawCodes = DEFAULT_MAX_LAW_CODES,
+    maxDocumentChars = DEFAULT_MAX_DOCUMENT_CHARS,
+  } = {}
+) {
+  return async function rewriteQuery({ question, documentText = "", context = "", domainLabel = "" }) {
+    const user = [
+      context ? `Earlier in the dialogue:\n${context}` : "",
+      `Question:\n${String(question || "").trim()}`,
+      documentText ? `Document text (excerpt):\n${String(documentText).slice(0, maxDocumentChars)}` : "",
+      domainLabel ? `Keyword classifier guess: ${domainLabel}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+    try {
+      const raw = await llm.chatJSON({
+        system: REWRITE_SYSTEM,
+        user,
+        schema: REWRITE_SCHEMA,
+        schemaName: "rechtsinfo_query_rewrite",
+        temperature: 0,
+      });
+      return normalizeRewrite(raw, { maxQueries, maxLawCodes });
+    } catch (error) {
+      console.warn("QUERY_REWRITE_FAILED", error?.message || error);
+      return null;
+    }
+  };
+}
@@ -0,0 +1,178 @@
+// src/retrieval/rerank.js (ESM)
+// Optional second stage after hybrid search: over-fetched candidates are scored for
+// relevance to the question, weak ones dropped and only the best topK go to the prompt.
+// Two backends: an LLM judge through the provider layer, or a cross-encoder behind a
+// /rerank HTTP endpoint (Cohere/Jina/TEI style).
+//
+// LEGAL_RERANK              off (default) | llm | http
+// LEGAL_RERANK_CANDIDATES   candidates fetched per query before reranking (default 50)
+// LEGAL_RERANK_MIN_SCORE    relevance floor in [0, 1] (default 0.3)
+// LEGAL_RERANK_URL / LEGAL_RERANK_MODEL / LEGAL_RERANK_API_KEY   http backend
+import { withRetry } from "../shared/retry.js";
+
+const DEFAULT_CANDIDATES = 50;
+const DEFAULT_MIN_SCORE = 0.3;
+const DEFAULT_JUDGE_BATCH_SIZE = 25;
+const DEFAULT_MAX_TEXT_CHARS = 600;
+
+const JUDGE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    scores: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          id: { type: "string" },
+          score: { type: "integer" },
+        },
+        required: ["id", "score"],
+      },
+    },
+  },
+  required: ["scores"],
+};
+
+const JUDGE_SYSTEM = `You rate excerpts of German statutes for a legal question (asked in Russian or German).
+For every candidate return a score from 0 to 10:
+10 = the norm directly governs the question; 5 = related background; 0 = unrelated.
+Judge the legal content, not shared words. Return a score for every candidate id. Output ONLY JSON.`;
+
+function clip(text, max) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+/**
+ * LLM judge: rerank(query, sources) -> scores in [0, 1], one per source (0 for any
+ * candidate the model skipped). Candidates are judged in batches of batchSize.
+ */
+export function createLlmReranker(
+  llm,
+  { batchSize = DEFAULT_JUDGE_BATCH_SIZE, maxTextChars = DEFAULT_MAX_TEXT_CHARS, retries = 2 } = {}
+) {
+  async function judge(query, batch, offset) {
+    const candidates = batch.map((s, i) => ({
+      id: `C${offset + i + 1}`,
+      norm: [s.section, s.law].filter(Boolean).join(" "),
+      title: s.title || "",
+      text: clip(s.text, maxTextChars),
+    }));
+    const out = await withRetry(
+      () =>
+        llm.chatJSON({
+          system: JUDGE_SYSTEM,
+          user: JSON.stringify({ question: query, candidates }),
+          schema: JUDGE_SCHEMA,
+          schemaName: "rechtsinfo_rerank",
+          temperature: 0,
+        }),
+      { retries }
+    );
+    const byId = new Map((out?.scores || []).map((s) => [s.id, Number(s.score)]));
+    return candidates.map((c) => {
+      const score = byId.get(c.id);
+      return Number.isFinite(score) ? Math.min(Math.max(score, 0), 10) / 10 : 0;
+    });
+  }
+
+  return {
+    name: "llm",
+    async rerank(query, sources) {
+      const batches = [];
+      for (let i = 0; i < sources.length; i += batchSize) {
+        batches.push(judge(query, sources.slice(i, i + batchSize), i));
+      }
+      return (await Promise.all(batches)).flat();
+    },
+  };
+}
+
+/**
+ * Cross-encoder behind an HTTP rerank endpoint: POST { model, query, documents } and
+ * read [{ index, relevance_score | score }] from `results` (Cohere, Jina) or the bare
+ * array (text-embeddings-inference). Scores are expected in [0, 1].
+ */
+export function createHttpReranker({ url, model = "", apiKey = "", maxTextChars = 2000, fetchImpl = fetch }) {
+  if (!url) throw new Error("LEGAL_RERANK_URL is required for LEGAL_RERANK=http");
+  return {
+    name: "http",
+    async rerank(query, sources) {
+      const documents = sources.map((s) => clip([s.section, s.law, s.title, s.text].filter(Boolean).join(" "), maxTextChars));
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ ...(model ? { model } : {}), query, documents, top_n: documents.length }),
+      });
+      if (!response.ok) {
+        const error = new Error(`Rerank HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      const json = await response.json();
+      const results = Array.isArray(json) ? json : json?.results || [];
+      const scores = new Array(sources.length).fill(0);
+      for (const r of results) {
+        const score = Number(r.relevance_score ?? r.score);
+        if (Number.isInteger(r.index) && r.index < scores.length && Number.isFinite(score)) scores[r.index] = score;
+      }
+      return scores;
+    },
+  };
+}
+
+/**
+ * Reranker and its settings from env; null when LEGAL_RERANK is off.
+ * Returns { reranker, candidates, minScore }.
+ */
+export function rerankConfigFromEnv(env = process.env, { llm } = {}) {
+  const kind = String(env.LEGAL_RERANK || "off").toLowerCase();
+  if (kind === "off" || kind === "0" || kind === "") return null;
+  let reranker;
+  if (kind === "llm") {
+    reranker = createLlmReranker(llm);
+  } else if (kind === "http") {
+    reranker = createHttpReranker({
+      url: env.LEGAL_RERANK_URL,
+      model: env.LEGAL_RERANK_MODEL || "",
+      apiKey: env.LEGAL_RERANK_API_KEY || "",
+    });
+  } else {
+    throw new Error(`Unknown LEGAL_RERANK: ${kind} (off | llm | http)`);
+  }
+  return {
+    reranker,
+    candidates: Number(env.LEGAL_RERANK_CANDIDATES || DEFAULT_CANDIDATES),
+    minScore: Number(env.LEGAL_RERANK_MIN_SCORE ?? DEFAULT_MIN_SCORE),
+  };
+}
+
+/**
+ * Scores the candidates and keeps the topK with score >= minScore, best first.
+ * ranks lists every candidate with its position before and after (null if dropped),
+ * so the gain of the reranker can be measured from the logs.
+ * Returns { sources, ranks }; each kept source carries rerankScore.
+ */
+export async function rerankSources(reranker, query, candidates, { topK, minScore = DEFAULT_MIN_SCORE }) {
+  const scores = await reranker.rerank(query, candidates);
+  const order = candidates
+    .map((source, index) => ({ source, before: index + 1, score: Number(scores[index]) || 0 }))
+    .sort((a, b) => b.score - a.score || a.before - b.before);
+  const kept = order.filter((c) => c.score >= minScore).slice(0, topK);
+  const after = new Map(kept.map((c, i) => [c.before, i + 1]));
+  return {
+    sources: kept.map((c) => ({ ...c.source, rerankScore: Number(c.score.toFixed(4)) })),
+    ranks: candidates.map((s, index) => ({
+      law: s.law,
+      section: s.section,
+      before: index + 1,
+      after: after.get(index + 1) ?? null,
+      score: Number((Number(scores[index]) || 0).toFixed(4)),
+    })),
+  };
+}
@@ -0,0 +1,231 @@
+// src/sessions/chatSessions.js (ESM)
+import crypto from "crypto";
+
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+const SESSION_SUMMARY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    summary: { type: "string" },
+  },
+  required: ["summary"],
+};
+
+function emptySession(id) {
+  return { id, history: [], summary: "", sources: [], updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Process-local store, used when there is no DATABASE_URL. The Map is kept in save
+ * order, so each save drops the expired sessions from its front.
+ */
+export function createMemorySessionStore({ ttlMs }) {
+  const sessions = new Map();
+  const isExpired = (s) => Date.now() - Date.parse(s.updatedAt) > ttlMs;
+  return {
+    async get(id) {
+      const s = sessions.get(id);
+      if (!s) return null;
+      if (isExpired(s)) {
+        sessions.delete(id);
+        return null;
+      }
+      return structuredClone(s);
+    },
+    async save(session) {
+      sessions.delete(session.id);
+      sessions.set(session.id, structuredClone(session));
+      for (const [id, s] of sessions) {
+        if (!isExpired(s)) break;
+        sessions.delete(id);
+      }
+    },
+    get size() {
+      return sessions.size;
+    },
+  };
+}
+
+/**
+ * chat_sessions table (sql/chat_sessions.sql). Each save also deletes the rows
+ * older than ttlMs.
+ */
+export function createPgSessionStore(pool, { ttlMs }) {
+  return {
+    async get(id) {
+      const { rows } = await pool.query(
+        `
+          SELECT session_id, history, summary, sources, updated_at
+          FROM chat_sessions
+          WHERE session_id = $1
+            AND updated_at > now() - ($2::int * interval '1 millisecond')
+        `,
+        [id, ttlMs]
+      );
+      const r = rows[0];
+      if (!r) return null;
+      return {
+        id: r.session_id,
+        history: r.history || [],
+        summary: r.summary || "",
+        sources: r.sources || [],
+        updatedAt: new Date(r.updated_at).toISOString(),
+      };
+    },
+    async save(session) {
+      await pool.query(
+        `
+          INSERT INTO chat_sessions (session_id, history, summary, sources, updated_at)
+          VALUES ($1, $2::jsonb, $3, $4::jsonb, now())
+          ON CONFLICT (session_id)
+          DO UPDATE SET
+            history = EXCLUDED.history,
+            summary = EXCLUDED.summary,
+            sources = EXCLUDED.sources,
+            updated_at = now()
+        `,
+        [session.id, JSON.stringify(session.history), session.summary, JSON.stringify(session.sources)]
+      );
+      try {
+        await pool.query(
+          "DELETE FROM chat_sessions WHERE updated_at <= now() - ($1::int * interval '1 millisecond')",
+          [ttlMs]
+        );
+      } catch (error) {
+        console.warn("CHAT_SESSION_SWEEP_FAILED", error?.message || error);
+      }
+    },
+  };
+}
+
+function formatHistory(history) {
+  return history
+    .map((m) => `${m.role === "assistant" ? "Ассистент" : "Пользователь"}: ${m.content}`)
+    .join("\n");
+}
+
+function sourceKey(src) {
+  return [src?.law || "", src?.section || "", String(src?.text || "").slice(0, 300)].join("|");
+}
+
+/**
+ * Multi-turn /chat sessions. Everything stored here must already be PII-redacted:
+ * history holds redacted user messages and guarded answers, sources holds the
+ * LEGAL_SOURCES entries that earlier answers actually cited.
+ */
+export function createChatSessions({
+  store,
+  llm,
+  maxTurns = Number(process.env.LEGAL_SESSION_MAX_TURNS || 6),
+  keepRecentTurns = Number(process.env.LEGAL_SESSION_KEEP_RECENT_TURNS || 2),
+  maxCarriedSources = Number(process.env.LEGAL_SESSION_MAX_SOURCES || 8),
+  maxMessageChars = 2000,
+}) {
+  async function load(sessionId) {
+    if (sessionId && SESSION_ID_RE.test(sessionId)) {
+      try {
+        const existing = await store.get(sessionId);
+        if (existing) return existing;
+      } catch (error) {
+        console.warn("CHAT_SESSION_LOAD_FAILED", error?.message || error);
+      }
+      return emptySession(sessionId);
+    }
+    return emptySession(crypto.randomUUID());
+  }
+
+  /**
+   * Context for retrieval (recent user questions + summary) and for the prompt.
+   */
+  function buildContext(session) {
+    const recent = session.history.slice(-keepRecentTurns * 2);
+    const recentUserText = recent
+      .filter((m) => m.role === "user")
+      .map((m) => m.content)
+      .join("\n");
+    const retrievalContext = [session.summary.slice(0, 600), recentUserText].filter(Boolean).join("\n");
+
+    const promptParts = [];
+    if (session.summary) promptParts.push(`Краткое содержание предыдущего диалога:\n${session.summary}`);
+    if (recent.length) promptParts.push(`Последние сообщения:\n${formatHistory(recent)}`);
+
+    return {
+      isFollowUp: session.history.length > 0,
+      retrievalContext,
+      promptContext: promptParts.join("\n\n"),
+      carriedSources: session.sources,
+    };
+  }
+
+  async function summarize(previousSummary, messages) {
+    const result = await llm.chatJSON({
+      system:
+        "Ты сжимаешь историю юридической консультации. Выведи ТОЛЬКО JSON. " +
+        "Сохрани факты дела, даты, суммы, сроки и упомянутые нормы. " +
+        "Запрещено: имена, телефоны, email, адреса, IBAN, номера дел.",
+      user: [
+        previousSummary ? `Прежнее резюме:\n${previousSummary}` : "",
+        `Новые сообщения:\n${formatHistory(messages)}`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+      schema: SESSION_SUMMARY_SCHEMA,
+      schemaName: "rechtsinfo_session_summary",
+    });
+    return String(result?.summary || "").trim();
+  }
+
+  async function recordTurn(session, { userText, answerText, citedSources = [] }) {
+    session.history.push(
+      { role: "user", content: String(userText || "").slice(0, maxMessageChars), at: new Date().toISOString() },
+      { role: "assistant", content: String(answerText || "").slice(0, maxMessageChars), at: new Date().toISOString() }
+    );
+
+    // Rolling summary: fold everything except the most recent turns into `summary`.
+    if (session.history.length > maxTurns * 2) {
+      const cut = session.history.length - keepRecentTurns * 2;
+      try {
+        session.summary = await summarize(session.summary, session.history.slice(0, cut));
+        session.history = session.history.slice(cut);
+      } catch (error) {
+        console.warn("CHAT_SESSION_SUMMARY_FAILED", error?.message || error);
+      }
+    }
+
+    // Newest cited sources first, so the cap drops the oldest ones.
+    const seen = new Set();
+    session.sources = [...citedSources, ...session.sources]
+      .filter((src) => {
+        const key = sourceKey(src);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, maxCarriedSources)
+      // Absatz and norm position: the Absatz citation stays allowed and carried sources
+      // can still be expanded and followed to the norms they reference.
+      .map(({ law, section, absatz, title, text, source, chunkId, normIndex, chunkIndex, versionTag }) => ({
+        law,
+        section,
+        absatz,
+        title,
+        text,
+        source,
+        chunkId,
+        normIndex,
+        chunkIndex,
+        versionTag,
+      }));
+
+    session.updatedAt = new Date().toISOString();
+    try {
+      await store.save(session);
+    } catch (error) {
+      console.warn("CHAT_SESSION_SAVE_FAILED", error?.message || error);
+    }
+    return session;
+  }
+
+  return { load, buildContext, recordTurn };
+}
@@ -0,0 +1,36 @@
+// src/shared/lawSources.js (ESM)
+// Where a law_chunks row came from, shared by ingest (change reports), citations and
+// the law browser.
+
+const GII_BASE_URL = "https://www.gesetze-im-internet.de";
+
+/**
+ * law_chunks.source is the path of the ingested XML, e.g.
+ * ".../unzipped/burlg/BJNR000020963.xml". The parent directory is the
+ * gesetze-im-internet slug, which also addresses the HTML page of each norm.
+ */
+export function lawSourceRef(source) {
+  const value = String(source || "").trim();
+  if (!value) return { sourceFile: null, slug: null, url: null };
+  if (/^https?:\/\//i.test(value)) return { sourceFile: null, slug: null, url: value };
+
+  const parts = value.split(/[\\/]+/).filter(Boolean);
+  const fileName = parts[parts.length - 1] || "";
+  const slug = parts.length > 1 ? parts[parts.length - 2] : "";
+  return {
+    sourceFile: slug ? `${slug}/${fileName}` : fileName,
+    slug: /^[a-z0-9_]+$/i.test(slug) ? slug.toLowerCase() : null,
+    url: null,
+  };
+}
+
+/**
+ * "§ 7" -> "__7.html", "Art. 6" -> "art_6.html" (gesetze-im-internet page naming).
+ */
+export function lawSectionUrl(slug, section) {
+  if (!slug) return null;
+  const m = String(section || "").match(/^\s*(§|Art\.)\s*(\d+[a-z]*)/i);
+  if (!m) return `${GII_BASE_URL}/${slug}/`;
+  const page = m[1] === "§" ? `__${m[2].toLowerCase()}` : `art_${m[2].toLowerCase()}`;
+  return `${GII_BASE_URL}/${slug}/${page}.html`;
+}
@@ -0,0 +1,51 @@
+// src/shared/retry.js (ESM)
+// Retries with backoff on rate limits and transient errors, for every outbound call
+// that may be throttled: ingest embeddings, reranking, catalog labels.
+
+const DEFAULT_RETRIES = 6;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+/**
+ * 429, 408, 5xx and network failures (no HTTP status) are worth retrying;
+ * other 4xx (bad key, bad input) are not.
+ */
+export function isRetryableError(error) {
+  const status = Number(error?.status);
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): the server's Retry-After when
+ * given, else exponential backoff with full jitter, capped at maxDelayMs.
+ */
+export function retryDelayMs(
+  error,
+  attempt,
+  { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, random = Math.random } = {}
+) {
+  if (Number.isFinite(error?.retryAfterMs) && error.retryAfterMs > 0) {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs fn until it succeeds, retrying retryable errors up to `retries` times.
+ */
+export async function withRetry(fn, { retries = DEFAULT_RETRIES, sleep = wait, onRetry, ...delayOptions } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      const delay = retryDelayMs(error, attempt, delayOptions);
+      onRetry?.({ error, attempt: attempt + 1, delay });
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,9 @@
+// src/shared/tokens.js (ESM)
+
+/**
+ * Rough token count (German legal text averages ~4 characters per token). Only used
+ * to keep requests and prompts under a budget, so overestimating is fine.
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
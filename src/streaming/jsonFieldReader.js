@@ -0,0 +1,62 @@
+// src/streaming/jsonFieldReader.js (ESM)
+
+const SIMPLE_ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * Incrementally extracts one top-level string field from a JSON document
+ * that arrives in arbitrary fragments (e.g. a streamed strict-JSON completion).
+ * push(fragment) returns the newly decoded characters of that field ("" if none).
+ */
+export function createJsonStringFieldReader(field) {
+  const keyRe = new RegExp(`"${field}"\\s*:\\s*"`);
+  let state = "seek"; // seek -> value -> done
+  let pending = "";
+
+  function decodeValue() {
+    let out = "";
+    let i = 0;
+    while (i < pending.length) {
+      const ch = pending[i];
+      if (ch === '"') {
+        state = "done";
+        pending = "";
+        return out;
+      }
+      if (ch !== "\\") {
+        out += ch;
+        i += 1;
+        continue;
+      }
+      const esc = pending[i + 1];
+      if (esc === undefined) break; // escape split across fragments
+      if (esc === "u") {
+        const hex = pending.slice(i + 2, i + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      out += SIMPLE_ESCAPES[esc] ?? esc;
+      i += 2;
+    }
+    pending = pending.slice(i);
+    return out;
+  }
+
+  return {
+    get done() {
+      return state === "done";
+    },
+    push(fragment) {
+      if (state === "done" || !fragment) return "";
+      pending += fragment;
+      if (state === "seek") {
+        const m = pending.match(keyRe);
+        if (!m) return "";
+        pending = pending.slice(m.index + m[0].length);
+        state = "value";
+      }
+      return decodeValue();
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// src/streaming/sse.js (ESM)
+
+/**
+ * Minimal Server-Sent Events writer on top of an express response.
+ * Writes after the client disconnected are dropped silently.
+ */
+export function openSseStream(res) {
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // nginx/Render proxies buffer responses unless told otherwise
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`);
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+  };
+}
+
+/**
+ * Parses an OpenAI-style SSE body ("data: {...}" lines, "data: [DONE]").
+ * Yields the parsed JSON payload of every data line.
+ */
+export async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === "[DONE]") continue;
+      yield JSON.parse(payload);
+    }
+  }
+}